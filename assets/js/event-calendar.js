@@ -0,0 +1,673 @@
+(() => {
+  'use strict';
+
+  // =====================================================================
+  // EVENT CALENDAR
+  // =====================================================================
+
+  /**
+   * Config validation, time zone math and ICS generation shared by the
+   * browser experience (main.js) and the calendar feed build script
+   * (scripts/build-calendar-feed.js). Everything here is derived from the
+   * SAVE_THE_DATE_CONFIG object and has no DOM dependencies.
+   */
+
+  const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+  const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+  const ITINERARY_ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+  // RFC 5545 writer from ics-serializer.js
+  const icsSerializer = typeof module === 'object' && module.exports
+    ? require('./ics-serializer.js')
+    : window.SaveTheDateIcsSerializer;
+
+  // Calendar scope covering every itinerary event
+  const CALENDAR_SCOPE_WEEKEND = 'weekend';
+
+  // =====================================================================
+  // CONFIG VALIDATION
+  // =====================================================================
+
+  /**
+   * Checks that a value is an ISO `YYYY-MM-DD` string naming a real calendar day
+   * @param {*} value - Value to check
+   * @returns {boolean} Whether the value is a valid ISO date
+   */
+  const isValidIsoDate = (value) => {
+    if (typeof value !== 'string' || !ISO_DATE_PATTERN.test(value)) {
+      return false;
+    }
+
+    const parsed = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(value);
+  };
+
+  /**
+   * Checks that a value is a 24-hour `HH:MM` time
+   * @param {*} value - Value to check
+   * @returns {boolean} Whether the value is a valid time
+   */
+  const isValidTime = (value) => typeof value === 'string' && TIME_PATTERN.test(value);
+
+  /**
+   * Checks that a value is an absolute http(s) URL
+   * @param {*} value - Value to check
+   * @returns {boolean} Whether the value is a usable link
+   */
+  const isValidHttpUrl = (value) => {
+    if (typeof value !== 'string') {
+      return false;
+    }
+
+    try {
+      const url = new URL(value);
+      return url.protocol === 'https:' || url.protocol === 'http:';
+    } catch (error) {
+      return false;
+    }
+  };
+
+  /**
+   * Checks that a value is an IANA time zone name supported by the runtime
+   * @param {*} value - Value to check
+   * @returns {boolean} Whether the time zone can be used with Intl
+   */
+  const isValidTimeZone = (value) => {
+    if (typeof value !== 'string' || !value) {
+      return false;
+    }
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: value });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  /**
+   * Validates the event configuration loaded from event-config.js
+   * @param {Object} config - Event configuration object
+   * @returns {string[]} Human readable problems, empty when the config is valid
+   */
+  const validateEventConfig = (config) => {
+    if (!config || typeof config !== 'object') {
+      return ['SAVE_THE_DATE_CONFIG is missing - is event-config.js loaded first?'];
+    }
+
+    const problems = [];
+    const requireText = (value, path) => {
+      if (typeof value !== 'string' || !value.trim()) {
+        problems.push(`${path} must be a non-empty string`);
+      }
+    };
+    const requireDate = (value, path) => {
+      if (!isValidIsoDate(value)) {
+        problems.push(`${path} must be a valid YYYY-MM-DD date`);
+      }
+    };
+    const requireUrl = (value, path) => {
+      if (!isValidHttpUrl(value)) {
+        problems.push(`${path} must be an absolute http(s) URL`);
+      }
+    };
+
+    requireText(config.couple?.firstName, 'couple.firstName');
+    requireText(config.couple?.secondName, 'couple.secondName');
+    requireText(config.hashtag, 'hashtag');
+    if (!isValidTimeZone(config.timeZone)) {
+      problems.push('timeZone must be a valid IANA time zone name');
+    }
+
+    requireDate(config.weddingDate, 'weddingDate');
+    requireText(config.weekend?.title, 'weekend.title');
+    requireText(config.weekend?.description, 'weekend.description');
+    requireText(config.weekend?.uid, 'weekend.uid');
+    requireDate(config.weekend?.startDate, 'weekend.startDate');
+    requireDate(config.weekend?.endDateExclusive, 'weekend.endDateExclusive');
+
+    const { startDate, endDateExclusive } = config.weekend ?? {};
+    if (isValidIsoDate(startDate) && isValidIsoDate(endDateExclusive)) {
+      if (endDateExclusive <= startDate) {
+        problems.push('weekend.endDateExclusive must be after weekend.startDate');
+      }
+      if (isValidIsoDate(config.weddingDate)
+        && (config.weddingDate < startDate || config.weddingDate >= endDateExclusive)) {
+        problems.push('weddingDate must fall within the weekend dates');
+      }
+    }
+
+    if (!Array.isArray(config.itinerary) || config.itinerary.length === 0) {
+      problems.push('itinerary must list at least one event');
+    } else {
+      const seenIds = new Set();
+      const seenUids = new Set();
+      config.itinerary.forEach((item, index) => {
+        const path = `itinerary[${index}]`;
+        if (typeof item?.id !== 'string' || !ITINERARY_ID_PATTERN.test(item.id)) {
+          problems.push(`${path}.id must be a lowercase slug such as "welcome-drinks"`);
+        } else if (seenIds.has(item.id)) {
+          problems.push(`${path}.id "${item.id}" is used more than once`);
+        }
+        seenIds.add(item?.id);
+
+        requireText(item?.uid, `${path}.uid`);
+        if (seenUids.has(item?.uid)) {
+          problems.push(`${path}.uid "${item.uid}" is used more than once`);
+        }
+        seenUids.add(item?.uid);
+
+        requireText(item?.title, `${path}.title`);
+        requireDate(item?.date, `${path}.date`);
+        if (isValidIsoDate(item?.date) && isValidIsoDate(startDate) && isValidIsoDate(endDateExclusive)
+          && (item.date < startDate || item.date >= endDateExclusive)) {
+          problems.push(`${path}.date must fall within the weekend dates`);
+        }
+
+        const hasValidTimes = isValidTime(item?.startTime) && isValidTime(item?.endTime);
+        if (!hasValidTimes) {
+          problems.push(`${path}.startTime and endTime must be HH:MM times`);
+        } else if (item.endTime <= item.startTime) {
+          problems.push(`${path}.endTime must be after startTime`);
+        }
+
+        if (item?.location !== undefined) {
+          requireText(item.location, `${path}.location`);
+        }
+      });
+    }
+
+    if (config.reminders !== undefined) {
+      if (!Array.isArray(config.reminders)) {
+        problems.push('reminders must be a list when provided');
+      } else {
+        config.reminders.forEach((reminder, index) => {
+          if (!Number.isInteger(reminder?.daysBefore) || reminder.daysBefore < 1) {
+            problems.push(`reminders[${index}].daysBefore must be a whole number of days of at least 1`);
+          }
+          requireText(reminder?.message, `reminders[${index}].message`);
+        });
+      }
+    }
+
+    requireText(config.venue?.name, 'venue.name');
+    requireText(config.venue?.streetAddress, 'venue.streetAddress');
+    requireText(config.venue?.city, 'venue.city');
+    requireText(config.venue?.region, 'venue.region');
+    requireText(config.venue?.regionCode, 'venue.regionCode');
+
+    if (config.addressPrivacyNotice !== undefined) {
+      requireText(config.addressPrivacyNotice, 'addressPrivacyNotice');
+    }
+
+    requireUrl(config.links?.website, 'links.website');
+    requireUrl(config.links?.hotelBooking, 'links.hotelBooking');
+    if (config.links?.calendarFeed !== undefined) {
+      requireUrl(config.links.calendarFeed, 'links.calendarFeed');
+    }
+
+    return problems;
+  };
+
+  /**
+   * Converts an ISO date to the compact `YYYYMMDD` form used by calendar formats
+   * @param {string} isoDate - Date in YYYY-MM-DD notation
+   * @returns {string} Compact date string
+   */
+  const toCompactDate = (isoDate) => (isoDate ?? '').replace(/-/g, '');
+
+  // =====================================================================
+  // DATE & TIME ZONE MODULE
+  // =====================================================================
+
+  const zonedDateTimeFormatters = new Map();
+
+  /**
+   * Gets a cached formatter that exposes wall-clock parts for a time zone
+   * @param {string} timeZone - IANA time zone name
+   * @returns {Intl.DateTimeFormat} Formatter instance
+   */
+  const getZonedDateTimeFormatter = (timeZone) => {
+    if (!zonedDateTimeFormatters.has(timeZone)) {
+      zonedDateTimeFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      }));
+    }
+    return zonedDateTimeFormatters.get(timeZone);
+  };
+
+  /**
+   * Calculates the UTC offset of a time zone at a given instant
+   * @param {Date} date - Instant to inspect
+   * @param {string} timeZone - IANA time zone name
+   * @returns {number} Offset in minutes (negative west of UTC)
+   */
+  const getTimeZoneOffsetMinutes = (date, timeZone) => {
+    const parts = {};
+    getZonedDateTimeFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+    const wallClockAsUtc = Date.UTC(
+      Number(parts.year),
+      Number(parts.month) - 1,
+      Number(parts.day),
+      Number(parts.hour) % 24,
+      Number(parts.minute),
+      Number(parts.second)
+    );
+    const wholeSecondInstant = date.getTime() - date.getUTCMilliseconds();
+    return Math.round((wallClockAsUtc - wholeSecondInstant) / 60000);
+  };
+
+  /**
+   * Converts a wall-clock date and time in a time zone to an absolute instant
+   * @param {string} isoDate - Date in YYYY-MM-DD notation
+   * @param {string} [time='00:00'] - Time in HH:MM notation
+   * @param {string} timeZone - IANA time zone name
+   * @returns {Date} The matching instant
+   */
+  const zonedTimeToDate = (isoDate, time = '00:00', timeZone) => {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    const wallClockAsUtc = Date.UTC(year, month - 1, day, hours, minutes);
+
+    // Resolve twice so instants near a DST transition use the correct offset
+    const firstOffset = getTimeZoneOffsetMinutes(new Date(wallClockAsUtc), timeZone);
+    const candidate = wallClockAsUtc - firstOffset * 60000;
+    const secondOffset = getTimeZoneOffsetMinutes(new Date(candidate), timeZone);
+
+    return new Date(wallClockAsUtc - secondOffset * 60000);
+  };
+
+  /**
+   * Finds every UTC offset change of a time zone within a range
+   * @param {number} fromMs - Range start as epoch milliseconds
+   * @param {number} toMs - Range end as epoch milliseconds
+   * @param {string} timeZone - IANA time zone name
+   * @returns {Object[]} Transitions with the instant and offsets before and after
+   */
+  const findTimeZoneTransitions = (fromMs, toMs, timeZone) => {
+    const DAY_MS = 86400000;
+    const MINUTE_MS = 60000;
+    const transitions = [];
+
+    let previousMs = fromMs;
+    let previousOffset = getTimeZoneOffsetMinutes(new Date(fromMs), timeZone);
+
+    for (let currentMs = fromMs + DAY_MS; previousMs < toMs; currentMs += DAY_MS) {
+      const probeMs = Math.min(currentMs, toMs);
+      const probeOffset = getTimeZoneOffsetMinutes(new Date(probeMs), timeZone);
+
+      if (probeOffset !== previousOffset) {
+        // Narrow the change down to the minute it happens
+        let low = previousMs;
+        let high = probeMs;
+        while (high - low > MINUTE_MS) {
+          const middle = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+          if (getTimeZoneOffsetMinutes(new Date(middle), timeZone) === previousOffset) {
+            low = middle;
+          } else {
+            high = middle;
+          }
+        }
+        transitions.push({ atMs: high, offsetFrom: previousOffset, offsetTo: probeOffset });
+      }
+
+      previousMs = probeMs;
+      previousOffset = probeOffset;
+    }
+
+    return transitions;
+  };
+
+  /**
+   * Gets the short name of a time zone at an instant, e.g. "PDT"
+   * @param {Date} date - Instant to inspect
+   * @param {string} timeZone - IANA time zone name
+   * @returns {string} Abbreviation, or an empty string when unavailable
+   */
+  const getTimeZoneAbbreviation = (date, timeZone) => {
+    const namePart = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+      .formatToParts(date)
+      .find(({ type }) => type === 'timeZoneName');
+    return namePart?.value ?? '';
+  };
+
+  // =====================================================================
+  // CALENDAR ENTRIES
+  // =====================================================================
+
+  /**
+   * Joins the venue name and street address into a calendar location
+   * @param {Object} config - Event configuration object
+   * @returns {string} Venue location
+   */
+  const getVenueLocation = (config) =>
+    [config?.venue?.name, config?.venue?.streetAddress].filter(Boolean).join(', ');
+
+  /**
+   * Lists the weekend itinerary in chronological order; invalid entries are skipped
+   * @param {Object} config - Event configuration object
+   * @returns {Object[]} Itinerary events with venue fallbacks applied
+   */
+  const getItinerary = (config) =>
+    (Array.isArray(config?.itinerary) ? config.itinerary : [])
+      .filter((item) => isValidIsoDate(item?.date)
+        && isValidTime(item?.startTime)
+        && isValidTime(item?.endTime))
+      .map((item) => ({
+        id: item.id,
+        uid: item.uid,
+        title: item.title,
+        description: item.description ?? '',
+        location: item.location ?? getVenueLocation(config),
+        locationLabel: item.location ?? config?.venue?.name ?? '',
+        date: item.date,
+        startTime: item.startTime,
+        endTime: item.endTime,
+      }))
+      .sort((a, b) => `${a.date}T${a.startTime}`.localeCompare(`${b.date}T${b.startTime}`));
+
+  /**
+   * Lists the reminder alarms for calendar files; invalid entries are skipped
+   * @param {Object} config - Event configuration object
+   * @returns {Object[]} Reminders with daysBefore and message
+   */
+  const getCalendarReminders = (config) =>
+    (Array.isArray(config?.reminders) ? config.reminders : [])
+      .filter((reminder) => Number.isInteger(reminder?.daysBefore) && reminder.daysBefore >= 1)
+      .map((reminder) => ({ daysBefore: reminder.daysBefore, message: reminder.message ?? '' }));
+
+  /**
+   * Formats an ISO date and HH:MM time as a local calendar date-time stamp
+   * @param {string} isoDate - Date in YYYY-MM-DD notation
+   * @param {string} time - Time in HH:MM notation
+   * @returns {string} Stamp such as 20260912T160000
+   */
+  const toCalendarDateTime = (isoDate, time) =>
+    `${toCompactDate(isoDate)}T${time.replace(':', '')}00`;
+
+  /**
+   * Creates the all-day calendar entry spanning the whole weekend
+   * @param {Object} config - Event configuration object
+   * @returns {Object} Calendar entry
+   */
+  const createWeekendCalendarEntry = (config) => ({
+    uid: config?.weekend?.uid ?? '',
+    title: config?.weekend?.title ?? '',
+    description: config?.weekend?.description ?? '',
+    location: getVenueLocation(config),
+    url: config?.links?.website ?? '',
+    allDay: true,
+    start: toCompactDate(config?.weekend?.startDate),
+    end: toCompactDate(config?.weekend?.endDateExclusive),
+  });
+
+  /**
+   * Creates a timed calendar entry for a single itinerary event
+   * @param {Object} config - Event configuration object
+   * @param {Object} item - Itinerary event from getItinerary
+   * @returns {Object} Calendar entry
+   */
+  const createItineraryCalendarEntry = (config, item) => {
+    const website = config?.links?.website ?? '';
+    const timeZone = config?.timeZone ?? '';
+    return {
+      uid: item.uid,
+      title: `${item.title}: ${config?.couple?.firstName ?? ''} & ${config?.couple?.secondName ?? ''}`,
+      description: [item.description, `Visit ${website} for details.`]
+        .filter(Boolean)
+        .join(' '),
+      location: item.location,
+      url: website,
+      allDay: false,
+      start: toCalendarDateTime(item.date, item.startTime),
+      end: toCalendarDateTime(item.date, item.endTime),
+      timeZone,
+      startsAt: zonedTimeToDate(item.date, item.startTime, timeZone),
+      endsAt: zonedTimeToDate(item.date, item.endTime, timeZone),
+    };
+  };
+
+  /**
+   * Resolves the calendar entries written to an .ics file for a scope
+   * @param {Object} config - Event configuration object
+   * @param {string} scope - CALENDAR_SCOPE_WEEKEND or an itinerary event id
+   * @returns {Object[]} Calendar entries
+   */
+  const getCalendarEntriesForScope = (config, scope) => {
+    const itinerary = getItinerary(config);
+    if (scope === CALENDAR_SCOPE_WEEKEND) {
+      return itinerary.length > 0
+        ? itinerary.map((item) => createItineraryCalendarEntry(config, item))
+        : [createWeekendCalendarEntry(config)];
+    }
+
+    const item = itinerary.find(({ id }) => id === scope);
+    return item ? [createItineraryCalendarEntry(config, item)] : [];
+  };
+
+  // =====================================================================
+  // ICS GENERATION
+  // =====================================================================
+
+  const { textProperty, uriProperty, rawProperty, serializeCalendar } = icsSerializer;
+
+  /**
+   * Formats a date instance to an ICS timestamp in UTC
+   * @param {Date} date - Date instance to format
+   * @returns {string} Formatted timestamp string
+   */
+  const formatIcsTimestamp = (date) =>
+    date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}Z$/, 'Z');
+
+  /**
+   * Creates VALARM components for the configured reminders
+   * @param {Object[]} reminders - Reminders with daysBefore and message
+   * @returns {Object[]} ICS components
+   */
+  const createIcsAlarmComponents = (reminders) =>
+    reminders.map(({ daysBefore, message }) => ({
+      name: 'VALARM',
+      properties: [
+        rawProperty('ACTION', 'DISPLAY'),
+        textProperty('DESCRIPTION', message),
+        rawProperty('TRIGGER', `-P${daysBefore}D`),
+      ],
+    }));
+
+  /**
+   * Creates the VEVENT component for a calendar entry
+   * @param {Object} entry - Calendar entry
+   * @param {string} timestamp - DTSTAMP value used when the entry has no revision
+   * @param {Object[]} [reminders=[]] - Reminders to attach as alarms
+   * @param {Object} [revision] - Published revision with sequence and lastModified
+   * @returns {Object} ICS component
+   */
+  const createIcsEventComponent = (entry, timestamp, reminders = [], revision = null) => {
+    const dateParams = entry.allDay ? { VALUE: 'DATE' } : { TZID: entry.timeZone };
+
+    // A revised entry is stamped with its own modification time so an
+    // unchanged feed regenerates byte for byte
+    const revisionProperties = revision
+      ? [
+        rawProperty('SEQUENCE', revision.sequence),
+        rawProperty('LAST-MODIFIED', formatIcsTimestamp(revision.lastModified)),
+      ]
+      : [];
+
+    return {
+      name: 'VEVENT',
+      properties: [
+        rawProperty('DTSTAMP', revision ? formatIcsTimestamp(revision.lastModified) : timestamp),
+        rawProperty('DTSTART', entry.start, dateParams),
+        rawProperty('DTEND', entry.end, dateParams),
+        textProperty('SUMMARY', entry.title),
+        textProperty('DESCRIPTION', entry.description),
+        textProperty('LOCATION', entry.location),
+        textProperty('UID', entry.uid),
+        ...revisionProperties,
+        uriProperty('URL', entry.url),
+      ],
+      components: createIcsAlarmComponents(reminders),
+    };
+  };
+
+  /**
+   * Formats a UTC offset in minutes as an ICS UTC-OFFSET value, e.g. -0700
+   * @param {number} offsetMinutes - Offset in minutes
+   * @returns {string} Formatted offset
+   */
+  const formatIcsUtcOffset = (offsetMinutes) => {
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const absolute = Math.abs(offsetMinutes);
+    const hours = String(Math.floor(absolute / 60)).padStart(2, '0');
+    const minutes = String(absolute % 60).padStart(2, '0');
+    return `${sign}${hours}${minutes}`;
+  };
+
+  /**
+   * Formats an instant as a local ICS date-time in a fixed offset
+   * @param {number} epochMs - Instant as epoch milliseconds
+   * @param {number} offsetMinutes - Offset to apply
+   * @returns {string} Local date-time such as 20260308T020000
+   */
+  const formatIcsLocalDateTime = (epochMs, offsetMinutes) =>
+    new Date(epochMs + offsetMinutes * 60000)
+      .toISOString()
+      .replace(/[-:]/g, '')
+      .replace(/\.\d{3}Z$/, '');
+
+  /**
+   * Creates a VTIMEZONE component describing a time zone over the years the
+   * timed entries fall in. Observances are listed explicitly from the
+   * runtime's time zone data, so any IANA zone is supported.
+   * @param {string} timeZone - IANA time zone name
+   * @param {Object[]} timedEntries - Timed calendar entries using the zone
+   * @returns {Object} ICS component
+   */
+  const createIcsTimeZoneComponent = (timeZone, timedEntries) => {
+    const years = timedEntries.map(({ start }) => Number(start.slice(0, 4)));
+    const rangeStartMs = zonedTimeToDate(`${Math.min(...years)}-01-01`, '00:00', timeZone).getTime();
+    const rangeEndMs = zonedTimeToDate(`${Math.max(...years) + 1}-01-01`, '00:00', timeZone).getTime();
+
+    const initialOffset = getTimeZoneOffsetMinutes(new Date(rangeStartMs), timeZone);
+    const transitions = findTimeZoneTransitions(rangeStartMs, rangeEndMs, timeZone);
+    const standardOffset = Math.min(initialOffset, ...transitions.map(({ offsetTo }) => offsetTo));
+
+    const observances = [
+      { atMs: rangeStartMs, offsetFrom: initialOffset, offsetTo: initialOffset },
+      ...transitions,
+    ];
+
+    return {
+      name: 'VTIMEZONE',
+      properties: [rawProperty('TZID', timeZone)],
+      components: observances.map(({ atMs, offsetFrom, offsetTo }) => {
+        const abbreviation = getTimeZoneAbbreviation(new Date(atMs), timeZone);
+        return {
+          name: offsetTo > standardOffset ? 'DAYLIGHT' : 'STANDARD',
+          properties: [
+            rawProperty('DTSTART', formatIcsLocalDateTime(atMs, offsetFrom)),
+            rawProperty('TZOFFSETFROM', formatIcsUtcOffset(offsetFrom)),
+            rawProperty('TZOFFSETTO', formatIcsUtcOffset(offsetTo)),
+            ...(abbreviation ? [textProperty('TZNAME', abbreviation)] : []),
+          ],
+        };
+      }),
+    };
+  };
+
+  /**
+   * Creates the ICS file contents for one or more calendar entries
+   * @param {Object[]} entries - Calendar entries
+   * @param {Object} options - Output options
+   * @param {string} options.timeZone - IANA time zone of the timed entries
+   * @param {Object[]} [options.reminders=[]] - Reminder alarms for the first entry; they
+   *   count down to the wedding weekend, so only pass them for weekend files
+   * @param {Date} [options.timestamp] - DTSTAMP for entries without a revision
+   * @param {Object} [options.revisions={}] - Published revisions keyed by UID
+   * @param {Object} [options.feed] - Subscription feed name and refresh interval
+   * @returns {string} ICS file data
+   */
+  const createCalendarIcsContent = (entries, {
+    timeZone,
+    reminders = [],
+    timestamp = new Date(),
+    revisions = {},
+    feed = null,
+  }) => {
+    const stamp = formatIcsTimestamp(timestamp);
+    const timedEntries = entries.filter(({ allDay }) => !allDay);
+
+    // Subscribed calendars use these to label the feed and decide how
+    // often to poll it for changes
+    const feedProperties = feed
+      ? [
+        textProperty('NAME', feed.name),
+        textProperty('X-WR-CALNAME', feed.name),
+        textProperty('X-WR-TIMEZONE', timeZone),
+        rawProperty('REFRESH-INTERVAL', feed.refreshInterval, { VALUE: 'DURATION' }),
+        rawProperty('X-PUBLISHED-TTL', feed.refreshInterval),
+      ]
+      : [];
+
+    return serializeCalendar({
+      name: 'VCALENDAR',
+      properties: [
+        rawProperty('VERSION', '2.0'),
+        textProperty('PRODID', '-//Becoming Cummings//Save The Date//EN'),
+        rawProperty('CALSCALE', 'GREGORIAN'),
+        rawProperty('METHOD', 'PUBLISH'),
+        ...feedProperties,
+      ],
+      components: [
+        ...(timedEntries.length > 0 ? [createIcsTimeZoneComponent(timeZone, timedEntries)] : []),
+        // Reminders go on the first event only so guests are not alerted once per event
+        ...entries.map((entry, index) =>
+          createIcsEventComponent(
+            entry,
+            stamp,
+            index === 0 ? reminders : [],
+            revisions[entry.uid] ?? null
+          )
+        ),
+      ],
+    });
+  };
+
+  const SaveTheDateEventCalendar = {
+    CALENDAR_SCOPE_WEEKEND,
+    isValidIsoDate,
+    isValidTime,
+    isValidHttpUrl,
+    isValidTimeZone,
+    validateEventConfig,
+    toCompactDate,
+    getTimeZoneOffsetMinutes,
+    zonedTimeToDate,
+    findTimeZoneTransitions,
+    getTimeZoneAbbreviation,
+    getItinerary,
+    getCalendarReminders,
+    createWeekendCalendarEntry,
+    createItineraryCalendarEntry,
+    getCalendarEntriesForScope,
+    formatIcsTimestamp,
+    createCalendarIcsContent,
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = SaveTheDateEventCalendar;
+  } else {
+    window.SaveTheDateEventCalendar = SaveTheDateEventCalendar;
+  }
+})();
@@ -0,0 +1,141 @@
+(() => {
+  'use strict';
+
+  // =====================================================================
+  // EVENT CONFIGURATION
+  // =====================================================================
+
+  /**
+   * Single source of truth for every event fact used by the experience.
+   * The details card, celebration video captions, calendar files, provider
+   * links and page meta are all derived from this object, so a date or venue
+   * change only needs to be made here. Dates use ISO `YYYY-MM-DD` notation
+   * and are interpreted in `timeZone`.
+   */
+  const SAVE_THE_DATE_CONFIG = {
+    couple: {
+      firstName: 'Lorraine',
+      secondName: 'Christopher',
+    },
+    hashtag: '#BECOMINGCUMMINGS',
+    timeZone: 'America/Los_Angeles',
+    weddingDate: '2026-09-12',
+    weekend: {
+      title: 'Wedding Weekend: Lorraine & Christopher',
+      description:
+        'Join us for our wedding weekend celebration. Visit https://becomingcummings.love for details.',
+      startDate: '2026-09-11',
+      endDateExclusive: '2026-09-14',
+      uid: 'wedding-weekend-20260911@becomingcummings.love',
+    },
+    // Weekend schedule. Times are 24-hour `HH:MM` wall-clock times in
+    // `timeZone`; `location` falls back to the venue when omitted. Keep each
+    // `uid` stable once published so calendars update rather than duplicate.
+    itinerary: [
+      {
+        id: 'welcome-drinks',
+        uid: 'welcome-drinks-2026@becomingcummings.love',
+        title: 'Welcome Drinks',
+        description: 'Kick off the weekend with drinks and appetizers as guests arrive.',
+        date: '2026-09-11',
+        startTime: '18:00',
+        endTime: '21:00',
+      },
+      {
+        id: 'ceremony',
+        uid: 'ceremony-2026@becomingcummings.love',
+        title: 'Wedding Ceremony',
+        description: 'Please be seated by 3:45 PM.',
+        date: '2026-09-12',
+        startTime: '16:00',
+        endTime: '17:00',
+      },
+      {
+        id: 'reception',
+        uid: 'reception-2026@becomingcummings.love',
+        title: 'Reception',
+        description: 'Dinner, toasts and dancing under the pines.',
+        date: '2026-09-12',
+        startTime: '17:30',
+        endTime: '23:00',
+      },
+      {
+        id: 'farewell-brunch',
+        uid: 'farewell-brunch-2026@becomingcummings.love',
+        title: 'Farewell Brunch',
+        description: 'One last gathering before everyone heads home.',
+        date: '2026-09-13',
+        startTime: '10:00',
+        endTime: '12:00',
+      },
+    ],
+    // Optional reminder alarms written into the downloaded whole-weekend
+    // calendar file. They are attached to its earliest event; single-event
+    // downloads leave them out.
+    reminders: [
+      {
+        daysBefore: 30,
+        message: 'One month until our wedding weekend - have you booked travel and your hotel?',
+      },
+      {
+        daysBefore: 7,
+        message: 'One week until our wedding weekend!',
+      },
+    ],
+    venue: {
+      name: 'Chalet View Lodge',
+      streetAddress: '72056 CA-70, Blairsden-Graeagle, CA 96103',
+      city: 'Portola',
+      region: 'California',
+      regionCode: 'CA',
+    },
+    // Videos on the card. List a source per format and width, for example
+    // a WebM and an MP4 at 480 and 1080 pixels wide: the page loads the
+    // narrowest one that covers the video on screen (smaller on slow or
+    // data-saving connections) in the first listed format the browser can
+    // play. `poster` is an optional still shown before playback, and in
+    // data saver mode until the guest taps play.
+    //
+    // `tracks` are caption and subtitle WebVTT files. `kind` is 'captions'
+    // (speech and sound cues) or 'subtitles' (speech only) and `srclang` is
+    // a language tag such as 'en' or 'es'. The track in the browser's
+    // language is used, otherwise the one marked `default`. The transcript
+    // under each video is built from the same track. For example:
+    //   { kind: 'captions', src: 'assets/captions/celebration.en.vtt',
+    //     srclang: 'en', label: 'English', default: true }
+    videos: {
+      celebration: {
+        sources: [
+          { src: 'assets/CelebrationVideo.mp4', type: 'video/mp4', width: 852 },
+        ],
+        tracks: [],
+      },
+      sneakPeek: {
+        sources: [
+          { src: 'assets/ChaletView.mp4', type: 'video/mp4' },
+        ],
+        tracks: [],
+      },
+    },
+    // Shown under the mailing address form. Say only what really happens
+    // to the addresses; omit it to show no notice.
+    addressPrivacyNotice:
+      'Your address comes straight to us and is kept with our guest list so we can mail your invitation.',
+    // Optional background music for the intro. Leave it out to play the
+    // intro silently, without a music toggle:
+    // music: { src: 'assets/BackgroundMusic.mp3' },
+    links: {
+      website: 'https://becomingcummings.love',
+      hotelBooking: 'https://booking.chaletviewlodge.com/#/booking/step-1?group=becomingcummings',
+      // Published location of calendar/wedding-weekend.ics, generated by
+      // scripts/build-calendar-feed.js. Omit to hide the subscribe options.
+      calendarFeed: 'https://savethedate.becomingcummings.love/calendar/wedding-weekend.ics',
+    },
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = SAVE_THE_DATE_CONFIG;
+  } else {
+    window.SAVE_THE_DATE_CONFIG = SAVE_THE_DATE_CONFIG;
+  }
+})();
@@ -0,0 +1,99 @@
+(() => {
+  'use strict';
+
+  // =====================================================================
+  // GALLERY MANIFEST
+  // =====================================================================
+
+  /**
+   * Photos shown in the desktop border around the card and in the mobile
+   * slideshow, in reveal order. The border adapts to anywhere from 4 to 16
+   * photos: the first ones fill the top edge, the next ones alternate down
+   * the left and right sides and the rest fill the bottom edge.
+   *
+   * - `src`, `width`, `height`: image file and its size in pixels; keep
+   *   these in step with the file so the page can reserve its space
+   * - `alt`: description for screen readers
+   * - `focalPoint`: the part of the photo to keep in view when it is
+   *   cropped, as percentages from the left (`x`) and top (`y`)
+   * - `caption`: optional line shown with the photo, in the couple's own
+   *   words; leave it empty until they supply one
+   * - `wide`: give the photo twice the room of its neighbours
+   */
+  const SAVE_THE_DATE_GALLERY = {
+    photos: [
+      {
+        src: 'assets/gallery/top_left.jpeg',
+        width: 552,
+        height: 632,
+        alt: 'Couple laughing together',
+        focalPoint: { x: 50, y: 5 },
+        caption: '',
+        wide: true,
+      },
+      {
+        src: 'assets/gallery/IMG_2336.jpeg',
+        width: 860,
+        height: 1072,
+        alt: 'Holding hands',
+        focalPoint: { x: 50, y: 20 },
+        caption: '',
+      },
+      {
+        src: 'assets/gallery/top_right.jpeg',
+        width: 1024,
+        height: 1536,
+        alt: 'Sharing a quiet moment together',
+        focalPoint: { x: 50, y: 20 },
+        caption: '',
+      },
+      {
+        src: 'assets/gallery/left.jpeg',
+        width: 1024,
+        height: 1536,
+        alt: 'Walking through the forest',
+        focalPoint: { x: 50, y: 20 },
+        caption: '',
+      },
+      {
+        src: 'assets/gallery/right.jpeg',
+        width: 1024,
+        height: 1536,
+        alt: 'Laughing in the field',
+        focalPoint: { x: 50, y: 50 },
+        caption: '',
+      },
+      {
+        src: 'assets/gallery/bot_left.jpeg',
+        width: 1024,
+        height: 1536,
+        alt: 'Smiling under the trees',
+        focalPoint: { x: 50, y: 20 },
+        caption: '',
+      },
+      {
+        src: 'assets/gallery/bot_mid.jpeg',
+        width: 1024,
+        height: 1536,
+        alt: 'Holding close',
+        focalPoint: { x: 50, y: 28 },
+        caption: '',
+        wide: true,
+      },
+      {
+        src: 'assets/gallery/bot_right.jpeg',
+        width: 1024,
+        height: 1536,
+        alt: 'Strolling along the shoreline',
+        focalPoint: { x: 50, y: 50 },
+        caption: '',
+      },
+    ],
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = SAVE_THE_DATE_GALLERY;
+  } else {
+    window.SAVE_THE_DATE_GALLERY = SAVE_THE_DATE_GALLERY;
+  }
+})();
@@ -0,0 +1,368 @@
+(() => {
+  'use strict';
+
+  // =====================================================================
+  // GUEST RESPONSES
+  // =====================================================================
+
+  /**
+   * Validation for the replies and mailing addresses guests send from the
+   * details card. The same rules run in the browser, for inline error
+   * messages, and in the local stand-in server (server/dev-server.js),
+   * which never trusts the client.
+   */
+
+  const GUEST_TOKEN_PATTERN = /^[A-Za-z0-9_-]{6,64}$/;
+  const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+  // Possible answers to "Will you be able to make it?", in display order
+  const RSVP_ATTENDANCE_OPTIONS = [
+    { value: 'yes', label: 'Joyfully accepts' },
+    { value: 'maybe', label: 'Not sure yet' },
+    { value: 'no', label: 'Regretfully declines' },
+  ];
+
+  const RSVP_LIMITS = {
+    nameLength: 120,
+    emailLength: 254,
+    messageLength: 500,
+    // Party size allowed when the reply is not tied to a guest list entry
+    partySize: 10,
+  };
+
+  const ADDRESS_LIMITS = {
+    nameLength: 120,
+    lineLength: 120,
+    cityLength: 80,
+    regionLength: 80,
+    postalCodeLength: 20,
+    countryNameLength: 80,
+    emailLength: 254,
+  };
+
+  // Invitations are mailed from here, so domestic labels omit the country line
+  const HOME_COUNTRY = 'US';
+  const OTHER_COUNTRY = 'OTHER';
+
+  /**
+   * Builds the locality line(s) of a label, e.g. "Portola, CA 96122"
+   * @param {...string} parts - Non-empty parts are joined with single spaces
+   * @returns {string} Locality line
+   */
+  const joinLocality = (...parts) => parts.filter(Boolean).join(' ');
+
+  /**
+   * Countries offered in the address form, in display order. Each entry
+   * names its region and postal code fields the way locals expect, says
+   * which of them are required, and lays out the locality lines of a label.
+   */
+  const ADDRESS_COUNTRIES = [
+    {
+      code: 'US',
+      name: 'United States',
+      regionLabel: 'State',
+      regionRequired: true,
+      postalLabel: 'ZIP code',
+      postalPattern: /^\d{5}(-\d{4})?$/,
+      formatLocality: ({ city, region, postalCode }) => [joinLocality(`${city},`, region, postalCode)],
+    },
+    {
+      code: 'CA',
+      name: 'Canada',
+      regionLabel: 'Province or territory',
+      regionRequired: true,
+      postalLabel: 'Postal code',
+      postalPattern: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/i,
+      formatLocality: ({ city, region, postalCode }) => [joinLocality(city, region, postalCode)],
+    },
+    {
+      code: 'MX',
+      name: 'Mexico',
+      regionLabel: 'State',
+      regionRequired: true,
+      postalLabel: 'Postal code',
+      postalPattern: /^\d{5}$/,
+      formatLocality: ({ city, region, postalCode }) => [joinLocality(postalCode, `${city},`, region)],
+    },
+    {
+      code: 'GB',
+      name: 'United Kingdom',
+      regionLabel: 'County (optional)',
+      postalLabel: 'Postcode',
+      postalPattern: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/i,
+      formatLocality: ({ city, region, postalCode }) => [city, region, postalCode],
+    },
+    {
+      code: 'IE',
+      name: 'Ireland',
+      regionLabel: 'County',
+      regionRequired: true,
+      postalLabel: 'Eircode (optional)',
+      postalOptional: true,
+      postalPattern: /^[A-Z]\d[\dW] ?[A-Z\d]{4}$/i,
+      formatLocality: ({ city, region, postalCode }) => [city, region && `Co. ${region}`, postalCode],
+    },
+    {
+      code: 'FR',
+      name: 'France',
+      postalLabel: 'Postal code',
+      postalPattern: /^\d{5}$/,
+      formatLocality: ({ city, postalCode }) => [joinLocality(postalCode, city)],
+    },
+    {
+      code: 'DE',
+      name: 'Germany',
+      postalLabel: 'Postal code',
+      postalPattern: /^\d{5}$/,
+      formatLocality: ({ city, postalCode }) => [joinLocality(postalCode, city)],
+    },
+    {
+      code: 'IT',
+      name: 'Italy',
+      regionLabel: 'Province',
+      regionRequired: true,
+      postalLabel: 'Postal code',
+      postalPattern: /^\d{5}$/,
+      formatLocality: ({ city, region, postalCode }) => [joinLocality(postalCode, city, region)],
+    },
+    {
+      code: 'ES',
+      name: 'Spain',
+      regionLabel: 'Province',
+      regionRequired: true,
+      postalLabel: 'Postal code',
+      postalPattern: /^\d{5}$/,
+      formatLocality: ({ city, region, postalCode }) => [joinLocality(postalCode, city), region],
+    },
+    {
+      code: 'NL',
+      name: 'Netherlands',
+      postalLabel: 'Postal code',
+      postalPattern: /^\d{4} ?[A-Z]{2}$/i,
+      formatLocality: ({ city, postalCode }) => [joinLocality(postalCode, city)],
+    },
+    {
+      code: 'AU',
+      name: 'Australia',
+      regionLabel: 'State or territory',
+      regionRequired: true,
+      postalLabel: 'Postcode',
+      postalPattern: /^\d{4}$/,
+      formatLocality: ({ city, region, postalCode }) => [joinLocality(city, region, postalCode)],
+    },
+    {
+      code: 'NZ',
+      name: 'New Zealand',
+      regionLabel: 'Suburb (optional)',
+      postalLabel: 'Postcode',
+      postalPattern: /^\d{4}$/,
+      formatLocality: ({ city, region, postalCode }) => [region, joinLocality(city, postalCode)],
+    },
+    {
+      code: OTHER_COUNTRY,
+      name: 'Another country',
+      regionLabel: 'State, province or region (optional)',
+      postalLabel: 'Postal code (optional)',
+      postalOptional: true,
+      formatLocality: ({ city, region, postalCode }) => [joinLocality(city, region, postalCode)],
+    },
+  ];
+
+  /**
+   * Finds the address format for a country code
+   * @param {string} code - Country code from ADDRESS_COUNTRIES
+   * @returns {Object|null} Country entry, or null when not offered
+   */
+  const getAddressCountry = (code) => ADDRESS_COUNTRIES.find((country) => country.code === code) ?? null;
+
+  /**
+   * Calculates how many people a guest list entry may reply for
+   * @param {Object} [guest] - Guest list entry with invited and plusOne
+   * @returns {number} Largest allowed party size
+   */
+  const getMaxPartySize = (guest) => {
+    if (!guest) {
+      return RSVP_LIMITS.partySize;
+    }
+    const invited = Number.isInteger(guest.invited) && guest.invited >= 1 ? guest.invited : 1;
+    return invited + (guest.plusOne === true ? 1 : 0);
+  };
+
+  /**
+   * Trims a value when it is a string
+   * @param {*} value - Raw field value
+   * @returns {string} Trimmed text, or an empty string for non-strings
+   */
+  const toTrimmedText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+  /**
+   * Validates an RSVP and normalizes it for storage
+   * @param {Object} input - Raw form or request data
+   * @param {Object} [options] - Validation options
+   * @param {number} [options.maxPartySize] - Largest allowed party size
+   * @returns {Object} Field errors keyed by field name, and the normalized RSVP
+   */
+  const validateRsvp = (input, { maxPartySize = RSVP_LIMITS.partySize } = {}) => {
+    const errors = {};
+    const name = toTrimmedText(input?.name);
+    const attending = toTrimmedText(input?.attending);
+    const email = toTrimmedText(input?.email);
+    const message = toTrimmedText(input?.message);
+    const guestToken = toTrimmedText(input?.guestToken);
+    const partySize = Number(input?.partySize);
+
+    if (!name) {
+      errors.name = 'Please tell us who is replying.';
+    } else if (name.length > RSVP_LIMITS.nameLength) {
+      errors.name = `Please keep the name under ${RSVP_LIMITS.nameLength} characters.`;
+    }
+
+    if (!RSVP_ATTENDANCE_OPTIONS.some(({ value }) => value === attending)) {
+      errors.attending = 'Please choose whether you can make it.';
+    }
+
+    if (attending !== 'no'
+      && (!Number.isInteger(partySize) || partySize < 1 || partySize > maxPartySize)) {
+      errors.partySize = maxPartySize === 1
+        ? 'This invitation is for one guest.'
+        : `Please enter a number from 1 to ${maxPartySize}.`;
+    }
+
+    if (email && (email.length > RSVP_LIMITS.emailLength || !EMAIL_PATTERN.test(email))) {
+      errors.email = 'Please enter a valid email address, or leave it blank.';
+    }
+
+    if (message.length > RSVP_LIMITS.messageLength) {
+      errors.message = `Please keep your note under ${RSVP_LIMITS.messageLength} characters.`;
+    }
+
+    return {
+      errors,
+      rsvp: {
+        guestToken: GUEST_TOKEN_PATTERN.test(guestToken) ? guestToken : null,
+        name,
+        attending,
+        partySize: attending === 'no' ? 0 : partySize,
+        email,
+        message,
+      },
+    };
+  };
+
+  /**
+   * Validates a mailing address and normalizes it for storage
+   * @param {Object} input - Raw form or request data
+   * @returns {Object} Field errors keyed by field name, and the normalized address
+   */
+  const validateAddress = (input) => {
+    const errors = {};
+    const country = getAddressCountry(toTrimmedText(input?.country));
+    const address = {
+      guestToken: null,
+      name: toTrimmedText(input?.name),
+      country: country?.code ?? '',
+      countryName: '',
+      line1: toTrimmedText(input?.line1),
+      line2: toTrimmedText(input?.line2),
+      city: toTrimmedText(input?.city),
+      region: toTrimmedText(input?.region),
+      postalCode: toTrimmedText(input?.postalCode).replace(/\s+/g, ' '),
+      email: toTrimmedText(input?.email),
+    };
+
+    const guestToken = toTrimmedText(input?.guestToken);
+    if (GUEST_TOKEN_PATTERN.test(guestToken)) {
+      address.guestToken = guestToken;
+    }
+
+    const requireText = (field, maxLength, missingMessage) => {
+      if (!address[field]) {
+        errors[field] = missingMessage;
+      } else if (address[field].length > maxLength) {
+        errors[field] = `Please keep this under ${maxLength} characters.`;
+      }
+    };
+
+    requireText('name', ADDRESS_LIMITS.nameLength, 'Please tell us whose names go on the envelope.');
+
+    if (!country) {
+      errors.country = 'Please choose a country.';
+    } else if (country.code === OTHER_COUNTRY) {
+      address.countryName = toTrimmedText(input?.countryName);
+      if (!address.countryName) {
+        errors.countryName = 'Please enter the country.';
+      } else if (address.countryName.length > ADDRESS_LIMITS.countryNameLength) {
+        errors.countryName = `Please keep this under ${ADDRESS_LIMITS.countryNameLength} characters.`;
+      }
+    } else {
+      address.countryName = country.name;
+    }
+
+    requireText('line1', ADDRESS_LIMITS.lineLength, 'Please enter the street address.');
+    if (address.line2.length > ADDRESS_LIMITS.lineLength) {
+      errors.line2 = `Please keep this under ${ADDRESS_LIMITS.lineLength} characters.`;
+    }
+    requireText('city', ADDRESS_LIMITS.cityLength, 'Please enter the city or town.');
+
+    if (country?.regionRequired && !address.region) {
+      errors.region = `${country.regionLabel} is required.`;
+    } else if (address.region.length > ADDRESS_LIMITS.regionLength) {
+      errors.region = `Please keep this under ${ADDRESS_LIMITS.regionLength} characters.`;
+    }
+
+    const postalLabel = (country?.postalLabel ?? 'Postal code').replace(/ \(optional\)$/, '');
+    if (country && !address.postalCode && !country.postalOptional) {
+      errors.postalCode = `${postalLabel} is required.`;
+    } else if (address.postalCode.length > ADDRESS_LIMITS.postalCodeLength
+      || (address.postalCode && country?.postalPattern && !country.postalPattern.test(address.postalCode))) {
+      errors.postalCode = `${postalLabel} doesn't look right - please check it.`;
+    } else if (country?.postalPattern) {
+      address.postalCode = address.postalCode.toUpperCase();
+    }
+
+    if (address.email
+      && (address.email.length > ADDRESS_LIMITS.emailLength || !EMAIL_PATTERN.test(address.email))) {
+      errors.email = 'Please enter a valid email address, or leave it blank.';
+    }
+
+    return { errors, address };
+  };
+
+  /**
+   * Lays out a validated address as the lines of a mailing label
+   * @param {Object} address - Address from validateAddress
+   * @returns {string[]} Label lines, without blanks
+   */
+  const formatMailingLabel = (address) => {
+    const country = getAddressCountry(address.country) ?? getAddressCountry(OTHER_COUNTRY);
+    const lines = [
+      address.name,
+      address.line1,
+      address.line2,
+      ...country.formatLocality(address),
+      address.country === HOME_COUNTRY ? '' : (address.countryName ?? '').toUpperCase(),
+    ];
+    return lines.map((line) => (line ?? '').trim()).filter(Boolean);
+  };
+
+  const SaveTheDateGuestResponses = {
+    GUEST_TOKEN_PATTERN,
+    RSVP_ATTENDANCE_OPTIONS,
+    RSVP_LIMITS,
+    ADDRESS_LIMITS,
+    ADDRESS_COUNTRIES,
+    HOME_COUNTRY,
+    OTHER_COUNTRY,
+    getMaxPartySize,
+    validateRsvp,
+    getAddressCountry,
+    validateAddress,
+    formatMailingLabel,
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = SaveTheDateGuestResponses;
+  } else {
+    window.SaveTheDateGuestResponses = SaveTheDateGuestResponses;
+  }
+})();
@@ -0,0 +1,210 @@
+(() => {
+  'use strict';
+
+  // =====================================================================
+  // ICS SERIALIZER
+  // =====================================================================
+
+  /**
+   * Minimal RFC 5545 writer. Calendars are described as nested components
+   * ({ name, properties, components }) whose properties carry a name,
+   * optional parameters and a value already in its ICS representation; the
+   * value helpers below produce that representation for text and URIs.
+   * Serialization takes care of parameter quoting, 75 octet line folding
+   * on UTF-8 character boundaries and CRLF line endings.
+   */
+
+  const LINE_BREAK = '\r\n';
+  const MAX_LINE_OCTETS = 75;
+  const NAME_PATTERN = /^[A-Za-z0-9-]+$/;
+  // Control characters other than tab are not allowed anywhere in a content line
+  const CONTROL_CHARACTERS = /[\u0000-\u0008\u000A-\u001F\u007F]/g;
+
+  /**
+   * Escapes a TEXT value (RFC 5545 section 3.3.11). Any line break style
+   * becomes an escaped newline and remaining control characters are dropped.
+   * @param {string} value - Text to escape
+   * @returns {string} Escaped text value
+   */
+  const escapeText = (value) =>
+    String(value ?? '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r\n|\r|\n/g, '\\n')
+      .replace(CONTROL_CHARACTERS, '');
+
+  /**
+   * Formats a URI value (RFC 5545 section 3.3.13). URIs are not backslash
+   * escaped, so characters that are unsafe in a content line are percent
+   * encoded instead.
+   * @param {string} value - Absolute URI
+   * @returns {string} Encoded URI value
+   */
+  const escapeUri = (value) => {
+    const text = String(value ?? '').trim();
+    try {
+      return new URL(text).href;
+    } catch (error) {
+      return encodeURI(text.replace(CONTROL_CHARACTERS, ''));
+    }
+  };
+
+  /**
+   * Formats a property parameter value, applying RFC 6868 caret encoding and
+   * quoting values that contain ":", ";" or ","
+   * @param {string} value - Parameter value
+   * @returns {string} Parameter value safe to write
+   */
+  const formatParameterValue = (value) => {
+    const encoded = String(value ?? '')
+      .replace(/\^/g, '^^')
+      .replace(/\r\n|\r|\n/g, '^n')
+      .replace(/"/g, "^'")
+      .replace(CONTROL_CHARACTERS, '');
+    return /[:;,]/.test(encoded) ? `"${encoded}"` : encoded;
+  };
+
+  /**
+   * Checks a property, parameter or component name
+   * @param {string} name - Name to check
+   * @returns {string} Upper-cased name
+   */
+  const normalizeName = (name) => {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      throw new TypeError(`Invalid iCalendar name: ${name}`);
+    }
+    return name.toUpperCase();
+  };
+
+  /**
+   * Counts the UTF-8 octets of a single character
+   * @param {string} character - One code point
+   * @returns {number} Octet count
+   */
+  const getUtf8Length = (character) => {
+    const codePoint = character.codePointAt(0);
+    if (codePoint < 0x80) {
+      return 1;
+    }
+    if (codePoint < 0x800) {
+      return 2;
+    }
+    return codePoint < 0x10000 ? 3 : 4;
+  };
+
+  /**
+   * Folds a content line so no physical line exceeds 75 octets. Breaks only
+   * fall between characters, so multi-byte UTF-8 sequences stay intact.
+   * @param {string} line - Unfolded content line
+   * @returns {string} Folded line without a trailing line break
+   */
+  const foldLine = (line) => {
+    const segments = [];
+    let segment = '';
+    let segmentOctets = 0;
+
+    for (const character of line) {
+      const octets = getUtf8Length(character);
+      if (segmentOctets + octets > MAX_LINE_OCTETS) {
+        segments.push(segment);
+        // Continuation lines start with a space, which counts towards the limit
+        segment = ' ';
+        segmentOctets = 1;
+      }
+      segment += character;
+      segmentOctets += octets;
+    }
+    segments.push(segment);
+
+    return segments.join(LINE_BREAK);
+  };
+
+  /**
+   * Serializes a property to a single unfolded content line
+   * @param {Object} property - Property to write
+   * @param {string} property.name - Property name, e.g. DTSTART
+   * @param {Object<string, string>} [property.params] - Property parameters
+   * @param {string} property.value - Value in its ICS representation
+   * @returns {string} Content line
+   */
+  const serializeProperty = ({ name, params = {}, value }) => {
+    const parameters = Object.entries(params)
+      .filter(([, paramValue]) => paramValue !== undefined && paramValue !== null && paramValue !== '')
+      .map(([paramName, paramValue]) => `;${normalizeName(paramName)}=${formatParameterValue(paramValue)}`)
+      .join('');
+    return `${normalizeName(name)}${parameters}:${String(value ?? '').replace(CONTROL_CHARACTERS, '')}`;
+  };
+
+  /**
+   * Serializes a component and its children to unfolded content lines
+   * @param {Object} component - Component to write
+   * @param {string} component.name - Component name, e.g. VEVENT
+   * @param {Object[]} [component.properties] - Properties in output order
+   * @param {Object[]} [component.components] - Nested components
+   * @returns {string[]} Content lines
+   */
+  const serializeComponentLines = ({ name, properties = [], components = [] }) => {
+    const componentName = normalizeName(name);
+    return [
+      `BEGIN:${componentName}`,
+      ...properties.map(serializeProperty),
+      ...components.flatMap(serializeComponentLines),
+      `END:${componentName}`,
+    ];
+  };
+
+  /**
+   * Serializes a VCALENDAR component to iCalendar data
+   * @param {Object} calendar - Top-level component
+   * @returns {string} Folded, CRLF terminated iCalendar data
+   */
+  const serializeCalendar = (calendar) =>
+    `${serializeComponentLines(calendar).map(foldLine).join(LINE_BREAK)}${LINE_BREAK}`;
+
+  /**
+   * Creates a property with a TEXT value
+   * @param {string} name - Property name
+   * @param {string} value - Unescaped text
+   * @param {Object<string, string>} [params] - Property parameters
+   * @returns {Object} Property
+   */
+  const textProperty = (name, value, params) => ({ name, params, value: escapeText(value) });
+
+  /**
+   * Creates a property with a URI value
+   * @param {string} name - Property name
+   * @param {string} value - Absolute URI
+   * @param {Object<string, string>} [params] - Property parameters
+   * @returns {Object} Property
+   */
+  const uriProperty = (name, value, params) => ({ name, params, value: escapeUri(value) });
+
+  /**
+   * Creates a property whose value is already in its ICS representation,
+   * such as a date-time, duration or UTC offset
+   * @param {string} name - Property name
+   * @param {string|number} value - Preformatted value
+   * @param {Object<string, string>} [params] - Property parameters
+   * @returns {Object} Property
+   */
+  const rawProperty = (name, value, params) => ({ name, params, value: String(value) });
+
+  const SaveTheDateIcsSerializer = {
+    escapeText,
+    escapeUri,
+    formatParameterValue,
+    foldLine,
+    serializeProperty,
+    serializeCalendar,
+    textProperty,
+    uriProperty,
+    rawProperty,
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = SaveTheDateIcsSerializer;
+  } else {
+    window.SaveTheDateIcsSerializer = SaveTheDateIcsSerializer;
+  }
+})();
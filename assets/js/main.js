@@ -6,7 +6,14 @@
   // =====================================================================
 
   /**
-   * Centralized event listener management to prevent memory leaks
+   * Centralized event listener management to prevent memory leaks.
+   *
+   * Tracked listeners belong to the intro: skipping it (bypassIntro) calls
+   * cleanup() and removes every one of them. Listeners that have to keep
+   * working afterwards - history navigation, tab visibility, system setting
+   * changes, and UI that outlives the intro such as the details card and
+   * the views it opens, the lightbox and the preferences panel - are
+   * attached with addEventListener directly.
    */
   const eventListenerManager = {
     listeners: new Map(),
@@ -103,23 +110,17 @@
   const COUNTDOWN_TRANSITION_RESET_MS = 360;
   const START_OVERLAY_CLEAR_DELAY_MS = 420;
   const SAVE_THE_DATE_REVEAL_DELAY_MS = 80;
+  const LIVE_COUNTDOWN_INTERVAL_MS = 1000;
 
   // Confetti animation settings
-  const CELEBRATION_CONFETTI_PIECES = 80;
   const CELEBRATION_CONFETTI_COLORS = ['#03281c', '#000000', '#ffffff'];
   const CELEBRATION_CONFETTI_LIFETIME_MS = 4200;
-
-  // Calendar invite settings
-  const CALENDAR_EVENT = {
-    title: 'Wedding Weekend: Lorraine & Christopher',
-    location: 'Chalet View Lodge, 72056 CA-70, Blairsden-Graeagle, CA 96103',
-    website: 'https://becomingcummings.love',
-    description:
-      'Join us for our wedding weekend celebration. Visit https://becomingcummings.love for details.',
-    startDate: '20260911',
-    endDateExclusive: '20260914',
-    uid: 'wedding-weekend-20260911@becomingcummings.love',
-  };
+  const CONFETTI_MAX_PARTICLES = 260;
+  const CONFETTI_MIN_PARTICLES = 60;
+  const CONFETTI_GRAVITY = 980; // px/s²
+  const CONFETTI_DRAG = 0.9; // share of velocity kept each second
+  const CONFETTI_SLOW_FRAME_MS = 24;
+  const CONFETTI_MAX_PIXEL_RATIO = 2;
 
   // Mobile photo sequence settings
   const MOBILE_PHOTO_DEFAULT_DURATION_MS = 1600;
@@ -131,12 +132,457 @@
   const MOBILE_FINAL_PHOTO_ANIMATION_DURATION_MS = 4560;
   const MOBILE_FINAL_PHOTO_ADDITIONAL_DELAY_MS = 360;
 
+  // Background music settings (times in seconds, as used by Web Audio)
+  const BACKGROUND_MUSIC_VOLUME = 0.35;
+  const BACKGROUND_MUSIC_FADE_IN_S = 2.5;
+  const BACKGROUND_MUSIC_CROSSFADE_S = 2;
+  const BACKGROUND_MUSIC_DUCK_LEVEL = 0.3;
+  const BACKGROUND_MUSIC_MUTE_FADE_S = 0.3;
+
   // Content settings
-  const COUNTDOWN_START_FALLBACK = 10;
-  const CELEBRATION_VIDEO_SOURCE = 'assets/CelebrationVideo.mp4';
-  const VENUE_SNEAK_PEEK_VIDEO_SOURCE = 'assets/ChaletView.mp4';
+  // The countdown always runs from here; gallery photos are spread across its steps
+  const COUNTDOWN_START = 10;
+  const BACKGROUND_MUSIC_MUTED_STORAGE_KEY = 'saveTheDate.musicMuted';
+  const GUEST_ENDPOINT = 'api/guest';
+  const RSVP_ENDPOINT = 'api/rsvp';
+  const RSVP_QUEUE_STORAGE_KEY = 'saveTheDate.rsvpQueue';
+  const ADDRESS_ENDPOINT = 'api/address';
+  const PREFERENCES_STORAGE_KEY = 'saveTheDate.preferences';
+  const SERVICE_WORKER_URL = 'sw.js';
   const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
 
+  // =====================================================================
+  // VIEWER PREFERENCES MODULE
+  // =====================================================================
+
+  // Locales offered for the date format. They only change how dates and
+  // times are written; the page itself stays in English.
+  const DATE_FORMAT_LOCALES = [
+    { code: 'en-US', label: 'English (US)' },
+    { code: 'en-GB', label: 'English (UK)' },
+    { code: 'es', label: 'Español' },
+    { code: 'fr', label: 'Français' },
+    { code: 'de', label: 'Deutsch' },
+  ];
+
+  /**
+   * Preferences before the viewer changes anything. Data saver, animations
+   * and high contrast stay null until chosen, meaning "follow the system
+   * setting".
+   */
+  const DEFAULT_VIEWER_PREFERENCES = {
+    sound: true,
+    captions: false,
+    dataSaver: null,
+    animations: null,
+    highContrast: null,
+    dateFormat: DATE_FORMAT_LOCALES[0].code,
+  };
+
+  const createMediaQuery = (query) => (typeof window.matchMedia === 'function' ? window.matchMedia(query) : null);
+  const systemReducedMotionQuery = createMediaQuery('(prefers-reduced-motion: reduce)');
+  const systemHighContrastQuery = createMediaQuery('(prefers-contrast: more)');
+
+  /**
+   * Reads saved preferences, ignoring anything unexpected
+   * @returns {Object} Viewer preferences
+   */
+  const readViewerPreferences = () => {
+    let stored = {};
+    try {
+      stored = JSON.parse(window.localStorage.getItem(PREFERENCES_STORAGE_KEY) ?? '{}') ?? {};
+    } catch (error) {
+      stored = {};
+    }
+
+    const readFlag = (value, fallback) => (typeof value === 'boolean' ? value : fallback);
+    return {
+      sound: readFlag(stored.sound, DEFAULT_VIEWER_PREFERENCES.sound),
+      captions: readFlag(stored.captions, DEFAULT_VIEWER_PREFERENCES.captions),
+      dataSaver: readFlag(stored.dataSaver, DEFAULT_VIEWER_PREFERENCES.dataSaver),
+      animations: readFlag(stored.animations, DEFAULT_VIEWER_PREFERENCES.animations),
+      highContrast: readFlag(stored.highContrast, DEFAULT_VIEWER_PREFERENCES.highContrast),
+      dateFormat: DATE_FORMAT_LOCALES.some(({ code }) => code === stored.dateFormat)
+        ? stored.dateFormat
+        : DEFAULT_VIEWER_PREFERENCES.dateFormat,
+    };
+  };
+
+  const viewerPreferences = readViewerPreferences();
+  const viewerPreferenceListeners = new Set();
+
+  // Resolved from the viewer's choice, or the system setting when there is none
+  let prefersReducedMotion = false;
+  let prefersHighContrast = false;
+
+  /**
+   * Resolves the preferences, applies the page-wide ones to the root
+   * element and tells subscribers
+   * @param {string|null} [changedKey=null] - Preference that changed, null on load or a system change
+   */
+  const applyViewerPreferences = (changedKey = null) => {
+    prefersReducedMotion = viewerPreferences.animations === null
+      ? systemReducedMotionQuery?.matches ?? false
+      : !viewerPreferences.animations;
+    prefersHighContrast = viewerPreferences.highContrast === null
+      ? systemHighContrastQuery?.matches ?? false
+      : viewerPreferences.highContrast;
+
+    const root = document.documentElement;
+    root.classList.toggle('reduce-motion', prefersReducedMotion);
+    root.classList.toggle('high-contrast', prefersHighContrast);
+
+    viewerPreferenceListeners.forEach((listener) => listener(viewerPreferences, changedKey));
+  };
+
+  /**
+   * Changes a preference, saves it and applies it straight away
+   * @param {string} key - Preference name
+   * @param {*} value - New value
+   */
+  const setViewerPreference = (key, value) => {
+    if (!(key in viewerPreferences) || viewerPreferences[key] === value) {
+      return;
+    }
+
+    viewerPreferences[key] = value;
+    try {
+      window.localStorage.setItem(PREFERENCES_STORAGE_KEY, JSON.stringify(viewerPreferences));
+    } catch (error) {
+      // Storage unavailable (private mode) - the choice lasts for this visit only
+    }
+    applyViewerPreferences(key);
+  };
+
+  /**
+   * Subscribes to preference changes
+   * @param {Function} listener - Receives the preferences and the key that changed
+   * @returns {Function} Unsubscribe function
+   */
+  const onViewerPreferencesChange = (listener) => {
+    viewerPreferenceListeners.add(listener);
+    return () => viewerPreferenceListeners.delete(listener);
+  };
+
+  // System setting changes only matter while the viewer has not chosen.
+  [systemReducedMotionQuery, systemHighContrastQuery].forEach((query) => {
+    if (typeof query?.addEventListener === 'function') {
+      query.addEventListener('change', () => applyViewerPreferences());
+    } else if (typeof query?.addListener === 'function') {
+      // Fallback for older browsers
+      query.addListener(() => applyViewerPreferences());
+    }
+  });
+
+  applyViewerPreferences();
+
+  // =====================================================================
+  // EVENT CONFIGURATION MODULE
+  // =====================================================================
+
+  // Shared config validation, time zone and ICS helpers from event-calendar.js
+  const eventCalendar = window.SaveTheDateEventCalendar;
+  const {
+    CALENDAR_SCOPE_WEEKEND,
+    isValidIsoDate,
+    isValidTime,
+    isValidTimeZone,
+    validateEventConfig,
+    zonedTimeToDate,
+    getItinerary,
+    getCalendarReminders,
+    formatIcsTimestamp,
+  } = eventCalendar;
+
+  const EVENT_CONFIG = window.SAVE_THE_DATE_CONFIG ?? null;
+  const eventConfigProblems = validateEventConfig(EVENT_CONFIG);
+  if (eventConfigProblems.length > 0) {
+    console.error(`Event config: ${eventConfigProblems.length} problem(s) found`);
+    eventConfigProblems.forEach((problem) => console.error(`Event config: ${problem}`));
+  }
+
+  /**
+   * Formats an ISO date for display without shifting it across time zones
+   * @param {string} isoDate - Date in YYYY-MM-DD notation
+   * @param {Intl.DateTimeFormatOptions} options - Formatting options
+   * @returns {string} Formatted date, or an empty string for invalid input
+   */
+  const formatEventDate = (isoDate, options) => {
+    if (!isValidIsoDate(isoDate)) {
+      return '';
+    }
+
+    return new Intl.DateTimeFormat(viewerPreferences.dateFormat, { ...options, timeZone: 'UTC' })
+      .format(new Date(`${isoDate}T00:00:00Z`));
+  };
+
+  /**
+   * Formats an HH:MM wall-clock time for display, e.g. "4:00 PM"
+   * @param {string} time - Time in HH:MM notation
+   * @returns {string} Formatted time, or an empty string for invalid input
+   */
+  const formatEventTime = (time) => {
+    if (!isValidTime(time)) {
+      return '';
+    }
+
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Intl.DateTimeFormat(viewerPreferences.dateFormat, { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' })
+      .format(new Date(Date.UTC(2000, 0, 1, hours, minutes)));
+  };
+
+  const coupleNames = {
+    first: EVENT_CONFIG?.couple?.firstName ?? '',
+    second: EVENT_CONFIG?.couple?.secondName ?? '',
+  };
+
+  // Display strings derived from the config
+  const EVENT_DISPLAY = {
+    dateLong: '',
+    dateNumeric: '',
+    venueName: EVENT_CONFIG?.venue?.name ?? '',
+    cityLong: [EVENT_CONFIG?.venue?.city, EVENT_CONFIG?.venue?.region].filter(Boolean).join(', '),
+    cityShort: [EVENT_CONFIG?.venue?.city, EVENT_CONFIG?.venue?.regionCode].filter(Boolean).join(' '),
+    hashtag: EVENT_CONFIG?.hashtag ?? '',
+  };
+
+  /**
+   * Formats the wedding date in the viewer's date format
+   */
+  const updateEventDisplayDates = () => {
+    EVENT_DISPLAY.dateLong = formatEventDate(EVENT_CONFIG?.weddingDate, {
+      month: 'long',
+      day: 'numeric',
+      year: 'numeric',
+    });
+    EVENT_DISPLAY.dateNumeric = formatEventDate(EVENT_CONFIG?.weddingDate, {
+      month: 'numeric',
+      day: 'numeric',
+      year: 'numeric',
+    });
+  };
+
+  // Elements showing a formatted date or time, keyed to the function that
+  // formats it, so a date format change rewrites them without a rebuild
+  const formattedDateElements = new Map();
+
+  /**
+   * Fills an element with a formatted date and keeps it in step with the
+   * date format preference
+   * @param {HTMLElement} element - Element to fill
+   * @param {Function} format - Returns the text in the current date format
+   */
+  const setFormattedDateText = (element, format) => {
+    element.textContent = format();
+    formattedDateElements.set(element, format);
+  };
+
+  updateEventDisplayDates();
+  onViewerPreferencesChange((preferences, changedKey) => {
+    if (changedKey !== 'dateFormat') {
+      return;
+    }
+
+    updateEventDisplayDates();
+    formattedDateElements.forEach((format, element) => {
+      if (element.isConnected) {
+        element.textContent = format();
+      } else {
+        formattedDateElements.delete(element);
+      }
+    });
+  });
+
+  // Calendar invite settings
+  const CALENDAR_EVENT = {
+    website: EVENT_CONFIG?.links?.website ?? '',
+    timeZone: EVENT_CONFIG?.timeZone ?? '',
+    feedUrl: EVENT_CONFIG?.links?.calendarFeed ?? '',
+  };
+
+  // Weekend itinerary in chronological order; invalid entries are skipped
+  const ITINERARY = getItinerary(EVENT_CONFIG);
+
+  /**
+   * Applies config-driven text to the static page meta and intro markup
+   */
+  const applyEventConfigToPage = () => {
+    if (!coupleNames.first || !coupleNames.second) {
+      return;
+    }
+
+    const coupleLabel = `${coupleNames.first} and ${coupleNames.second}`;
+
+    const metaDescription = document.querySelector('meta[name="description"]');
+    if (metaDescription) {
+      metaDescription.setAttribute(
+        'content',
+        `Celebrate ${coupleLabel}'s upcoming wedding weekend with an immersive countdown experience and venue preview.`
+      );
+    }
+
+    document.title = `Save the Date - ${coupleNames.first} & ${coupleNames.second}`;
+
+    const startInstructions = document.getElementById('startInstructions');
+    if (startInstructions) {
+      startInstructions.textContent =
+        `This will start an interactive countdown and photo experience for ${coupleLabel}'s wedding celebration`;
+    }
+  };
+
+  applyEventConfigToPage();
+
+  // =====================================================================
+  // GUEST PERSONALIZATION MODULE
+  // =====================================================================
+
+  const GUEST_TOKEN_PARAM = 'g';
+  const { GUEST_TOKEN_PATTERN, getMaxPartySize } = window.SaveTheDateGuestResponses;
+
+  // Guest matched from the invite link, or null for the generic experience
+  let currentGuest = null;
+
+  /**
+   * Reads the guest token from the page URL
+   * @returns {string|null} Well-formed token, or null when absent or malformed
+   */
+  const getGuestTokenFromUrl = () => {
+    const token = new URLSearchParams(window.location.search).get(GUEST_TOKEN_PARAM);
+    return token && GUEST_TOKEN_PATTERN.test(token) ? token : null;
+  };
+
+  /**
+   * Checks a guest list entry and copies the fields the experience uses
+   * @param {Object} entry - Raw guest list entry
+   * @returns {Object|null} Guest, or null when the entry is unusable
+   */
+  const normalizeGuest = (entry) => {
+    if (typeof entry?.household !== 'string' || !entry.household.trim()) {
+      return null;
+    }
+
+    return {
+      token: entry.token,
+      household: entry.household.trim(),
+      invited: Number.isInteger(entry.invited) && entry.invited >= 1 ? entry.invited : 1,
+      plusOne: entry.plusOne === true,
+    };
+  };
+
+  /**
+   * Looks up a guest token on the server, which only ever answers with the
+   * one matching household
+   * @param {string} token - Token from the invite link
+   * @returns {Promise<Object|null>} Matching guest, or null when not listed
+   */
+  const loadGuest = (token) =>
+    fetch(`${GUEST_ENDPOINT}?${new URLSearchParams({ token })}`, {
+      credentials: 'same-origin',
+      headers: { Accept: 'application/json' },
+    })
+      .then((response) => {
+        if (response.status === 404) {
+          return null;
+        }
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+      })
+      .then((body) => (body?.guest?.token === token ? normalizeGuest(body.guest) : null));
+
+  /**
+   * Describes the seats held for a guest, e.g. "We've saved 2 seats for you"
+   * @param {Object} guest - Guest from the guest list
+   * @returns {string} Seat summary
+   */
+  const formatGuestSeats = ({ invited, plusOne }) => {
+    const seats = invited === 1 ? 'a seat for you' : `${invited} seats for you`;
+    return `We've saved ${seats}${plusOne ? ', and you are welcome to bring a guest' : ''}.`;
+  };
+
+  /**
+   * Writes a guest's name and seats into a greeting element
+   * @param {HTMLElement} greeting - Element from createSaveTheDateGreeting
+   * @param {Object|null} guest - Guest, or null to hide the greeting
+   */
+  const fillSaveTheDateGreeting = (greeting, guest) => {
+    greeting.hidden = !guest;
+    greeting.querySelector('.save-date-greeting-name').textContent = guest ? `Dear ${guest.household},` : '';
+    greeting.querySelector('.save-date-greeting-seats').textContent = guest ? formatGuestSeats(guest) : '';
+  };
+
+  /**
+   * Creates the personal greeting shown on the details card. The greeting
+   * stays hidden for the generic experience and is filled in if the guest
+   * lookup finishes after the card is built.
+   * @returns {HTMLElement} The greeting element
+   */
+  const createSaveTheDateGreeting = () => {
+    const greeting = document.createElement('div');
+    greeting.className = 'save-date-greeting';
+
+    const salutation = document.createElement('p');
+    salutation.className = 'save-date-greeting-name';
+
+    const seats = document.createElement('p');
+    seats.className = 'save-date-greeting-seats';
+
+    greeting.append(salutation, seats);
+    fillSaveTheDateGreeting(greeting, currentGuest);
+    return greeting;
+  };
+
+  /**
+   * Personalizes the intro text and any details card or form already on
+   * screen. Forms built before the lookup finished keep whatever the guest
+   * has typed; only the generic defaults are replaced.
+   * @param {Object} guest - Guest from the guest list
+   */
+  const applyGuestToPage = (guest) => {
+    const startInstructions = document.getElementById('startInstructions');
+    if (startInstructions && coupleNames.first && coupleNames.second) {
+      startInstructions.textContent =
+        `Dear ${guest.household}, this will start an interactive countdown and photo experience for ${coupleNames.first} and ${coupleNames.second}'s wedding celebration`;
+    }
+
+    document.querySelectorAll('.save-date-greeting').forEach((greeting) => {
+      fillSaveTheDateGreeting(greeting, guest);
+    });
+
+    document.querySelectorAll('.save-date-rsvp-form, .save-date-address-form').forEach((form) => {
+      const nameInput = form.elements.namedItem('name');
+      if (!nameInput.value) {
+        nameInput.value = guest.household;
+      }
+    });
+
+    document.querySelectorAll('.save-date-rsvp-form').forEach((form) => {
+      const partySizeInput = form.elements.namedItem('partySize');
+      const maxPartySize = getMaxPartySize(guest);
+      partySizeInput.max = String(maxPartySize);
+      if (partySizeInput.value === '1' || Number(partySizeInput.value) > maxPartySize) {
+        partySizeInput.value = String(guest.invited);
+      }
+    });
+  };
+
+  const guestToken = getGuestTokenFromUrl();
+  if (guestToken) {
+    loadGuest(guestToken)
+      .then((guest) => {
+        if (!guest) {
+          return;
+        }
+        currentGuest = guest;
+        applyGuestToPage(guest);
+      })
+      .catch((error) => {
+        // Without the lookup the generic experience is shown
+        console.warn('Guest lookup unavailable:', error.message);
+      });
+  }
+
   // =====================================================================
   // VIDEO MANAGEMENT MODULE
   // =====================================================================
@@ -152,7 +598,8 @@
    * @param {HTMLVideoElement} video - Target video element
    */
   const setVideoSoundEnabled = (video) => {
-    if (!video) {
+    // Viewers who switched sound off keep videos muted; the native controls can still unmute
+    if (!video || !viewerPreferences.sound) {
       return;
     }
 
@@ -167,6 +614,20 @@
     }
   };
 
+  // Applies the sound preference to videos that are already on screen
+  onViewerPreferencesChange((preferences, changedKey) => {
+    if (changedKey !== 'sound') {
+      return;
+    }
+    document.querySelectorAll('video').forEach((video) => {
+      if (!preferences.sound) {
+        video.muted = true;
+      } else if (!video.paused) {
+        setVideoSoundEnabled(video);
+      }
+    });
+  });
+
   /**
    * Ensures a video's sound is enabled as soon as playback begins
    * @param {HTMLVideoElement} video - Target video element
@@ -188,113 +649,518 @@
     video.addEventListener('play', applySound, { once: true });
   };
 
+  // Sources & data saver ----------------------------------------------
+
+  // Widest rendition worth fetching on slow connections
+  const VIDEO_CONNECTION_WIDTH_LIMITS = { 'slow-2g': 426, '2g': 426, '3g': 854 };
+  const DATA_SAVER_VIDEO_WIDTH = 426;
+  const DATA_SAVER_CONNECTION_TYPES = new Set(['slow-2g', '2g']);
+  const VIDEO_MAX_PIXEL_RATIO = 2;
+
   /**
-   * Creates a new celebration video element with appropriate settings
-   * @returns {HTMLVideoElement} The configured video element
+   * Whether videos wait for a tap before loading anything: the viewer's
+   * choice, otherwise the browser's Save-Data setting or a 2G connection
+   * @returns {boolean} True in data saver mode
    */
-  const createCelebrationVideoElement = () => {
-    const video = document.createElement('video');
-    video.className = 'countdown-video countdown-video--embedded';
-    video.src = CELEBRATION_VIDEO_SOURCE;
-    video.preload = 'auto';
-    video.autoplay = true;
-    video.muted = true;
-    video.defaultMuted = true;
-    video.setAttribute('muted', '');
-    video.controls = true;
-    video.setAttribute('playsinline', '');
-    return video;
+  const isDataSaverActive = () => {
+    if (viewerPreferences.dataSaver !== null) {
+      return viewerPreferences.dataSaver;
+    }
+    const connection = navigator.connection;
+    return connection?.saveData === true || DATA_SAVER_CONNECTION_TYPES.has(connection?.effectiveType);
   };
 
   /**
-   * Creates a new celebration audio element with appropriate settings
-   * @returns {HTMLAudioElement} The configured audio element
-   */
-  /**
-   * Gets or creates the shared celebration video element
-   * @returns {HTMLVideoElement} The shared video element
+   * Works out how many pixels wide a video needs to be: its size on screen
+   * at up to 2x density, capped on slow connections and in data saver mode
+   * @returns {number} Target width in device pixels
    */
-  const getCelebrationVideoElement = () => {
-    if (!sharedCelebrationVideoElement) {
-      sharedCelebrationVideoElement = createCelebrationVideoElement();
-    }
-    return sharedCelebrationVideoElement;
+  const getTargetVideoWidth = () => {
+    // Videos fill the screen on mobile and sit inside the card elsewhere
+    const displayWidth = isMobileExperienceActive
+      ? window.innerWidth
+      : cardShell?.clientWidth || window.innerWidth;
+    const pixelRatio = Math.min(window.devicePixelRatio || 1, VIDEO_MAX_PIXEL_RATIO);
+    const connectionLimit = isDataSaverActive()
+      ? DATA_SAVER_VIDEO_WIDTH
+      : VIDEO_CONNECTION_WIDTH_LIMITS[navigator.connection?.effectiveType] ?? Infinity;
+    return Math.min(displayWidth * pixelRatio, connectionLimit);
   };
 
   /**
-   * Stops playback of the shared celebration video element if it exists
+   * Picks the source to load. Among the formats the browser can play, the
+   * narrowest rendition that covers the target width wins, or the widest
+   * when none does. Sources without a width fit any size but lose to ones
+   * that have one, and ties go to the source listed first.
+   * @param {HTMLVideoElement} video - Video that will play the source
+   * @param {string} videoKey - Key under `videos` in the event config
+   * @returns {Object|null} Chosen source, or null when none is configured
    */
-  const stopCelebrationVideoPlayback = () => {
-    if (!sharedCelebrationVideoElement) {
-      return;
+  const chooseVideoSource = (video, videoKey) => {
+    const sources = (EVENT_CONFIG?.videos?.[videoKey]?.sources ?? [])
+      .filter((source) => typeof source?.src === 'string' && source.src.trim());
+    if (sources.length === 0) {
+      console.warn(`Video config: videos.${videoKey}.sources has no usable source`);
+      return null;
     }
 
-    try {
-      sharedCelebrationVideoElement.pause();
-    } catch (error) {
-      // Ignore pause errors during cleanup
+    const playable = sources.filter((source) => !source.type || video.canPlayType(source.type) !== '');
+    // Some browsers cannot answer canPlayType reliably, so fall back to the full list
+    const candidates = playable.length > 0 ? playable : sources;
+    const getWidth = (source) => (Number.isFinite(source.width) ? source.width : Infinity);
+    const targetWidth = getTargetVideoWidth();
+
+    const fitting = candidates.filter((source) => getWidth(source) >= targetWidth);
+    if (fitting.length > 0) {
+      return fitting.reduce((best, source) => (getWidth(source) < getWidth(best) ? source : best));
     }
+    return candidates.reduce((best, source) => (getWidth(source) > getWidth(best) ? source : best));
   };
 
   /**
-   * Removes existing event handlers from the video element
-   * @param {HTMLVideoElement} video - The video element to clean up
+   * Sets whether a video loads and plays by itself. In data saver mode
+   * nothing is fetched until the viewer starts playback.
+   * @param {HTMLVideoElement} video - Target video element
    */
-  const resetCelebrationVideoHandlers = (video) => {
-    if (!video) return;
+  const applyVideoLoading = (video) => {
+    const isSavingData = isDataSaverActive();
+    video.preload = isSavingData ? 'none' : 'auto';
+    video.autoplay = !isSavingData;
+  };
 
-    if (sharedCelebrationVideoEndedHandler) {
-      video.removeEventListener('ended', sharedCelebrationVideoEndedHandler);
-      sharedCelebrationVideoEndedHandler = null;
+  /**
+   * Points a video at its configured poster and best source
+   * @param {HTMLVideoElement} video - Target video element
+   * @param {string} videoKey - Key under `videos` in the event config
+   */
+  const applyVideoSource = (video, videoKey) => {
+    const poster = EVENT_CONFIG?.videos?.[videoKey]?.poster;
+    if (typeof poster === 'string' && poster) {
+      video.poster = poster;
     }
 
-    if (sharedCelebrationVideoErrorHandler) {
-      video.removeEventListener('error', sharedCelebrationVideoErrorHandler);
-      sharedCelebrationVideoErrorHandler = null;
+    applyVideoLoading(video);
+    const source = chooseVideoSource(video, videoKey);
+    if (source) {
+      video.src = source.src;
     }
   };
 
+  // Whether each video's source exists, checked once per visit
+  const videoAvailability = new Map();
+
   /**
-   * Attaches new event handlers to the video element
-   * @param {HTMLVideoElement} video - The video element
-   * @param {Object} handlers - Object with onEnded and onError callbacks
+   * Checks whether a video's chosen source can be fetched, so the controls
+   * for a missing video can be hidden. Only a definite "not found" counts;
+   * network trouble leaves the video on offer.
+   * @param {string} videoKey - Key under `videos` in the event config
+   * @returns {Promise<boolean>} Resolves false when the video is missing
    */
-  const attachCelebrationVideoHandlers = (video, { onEnded, onError }) => {
-    if (!video) return;
+  const checkVideoAvailability = (videoKey) => {
+    if (!videoAvailability.has(videoKey)) {
+      const source = chooseVideoSource(document.createElement('video'), videoKey);
+      const check = source
+        ? fetch(source.src, { method: 'HEAD', credentials: 'same-origin' })
+            .then((response) => response.status !== 404 && response.status !== 410)
+            .catch(() => true)
+        : Promise.resolve(false);
+      videoAvailability.set(videoKey, check);
+    }
+    return videoAvailability.get(videoKey);
+  };
 
-    resetCelebrationVideoHandlers(video);
+  /**
+   * Records the outcome of actually loading a video, which is more
+   * reliable than the HEAD check
+   * @param {string} videoKey - Key under `videos` in the event config
+   * @param {boolean} isAvailable - Whether the video loaded
+   */
+  const setVideoAvailability = (videoKey, isAvailable) => {
+    videoAvailability.set(videoKey, Promise.resolve(isAvailable));
+  };
 
-    if (typeof onEnded === 'function') {
-      sharedCelebrationVideoEndedHandler = onEnded;
-      video.addEventListener('ended', sharedCelebrationVideoEndedHandler, { once: true });
+  /**
+   * Creates the large play button shown over the poster in data saver mode
+   * @param {HTMLVideoElement} video - Video the button starts
+   * @param {string} label - Accessible name
+   * @returns {HTMLButtonElement|null} Button, or null when videos play by themselves
+   */
+  const createTapToPlayButton = (video, label) => {
+    if (!isDataSaverActive()) {
+      return null;
     }
 
-    if (typeof onError === 'function') {
-      sharedCelebrationVideoErrorHandler = onError;
-      video.addEventListener('error', sharedCelebrationVideoErrorHandler, { once: true });
-    }
+    const button = createIconButton('video-play-button', label, ICON_PATHS.play);
+    // The browser's own controls can start the video too
+    video.addEventListener('play', () => {
+      button.hidden = true;
+    }, { once: true });
+    return button;
   };
 
   /**
-   * Attempts to play video safely with proper error handling
-   * @param {HTMLVideoElement} videoElement - The video to play
-   * @param {Object} options - Playback options
-   * @param {Function} [options.onError] - Error callback
-   * @param {Function} [options.onSuccess] - Success callback
+   * Starts a video, or in data saver mode waits for its play button
+   * @param {HTMLVideoElement} video - Video to play
+   * @param {Object} [options] - Options passed to safelyPlayVideo
    */
-  const safelyPlayVideo = (videoElement, { onError, onSuccess } = {}) => {
-    if (!videoElement || typeof videoElement.play !== 'function') {
-      console.error('Video playback: Invalid video element provided');
-      onError?.('Invalid video element');
+  const playVideoWhenAllowed = (video, options) => {
+    const playButton = video.parentElement?.querySelector('.video-play-button');
+    if (!playButton || playButton.hidden) {
+      safelyPlayVideo(video, options);
       return;
     }
 
-    const attemptVideoPlayback = () => {
-      const playPromise = videoElement.play();
-      if (playPromise && typeof playPromise.then === 'function') {
-        playPromise
-          .then(() => {
-            onSuccess?.();
+    playButton.addEventListener('click', () => {
+      playButton.hidden = true;
+      safelyPlayVideo(video, options);
+    }, { once: true });
+  };
+
+  // Captions & transcripts -------------------------------------------
+
+  const VIDEO_TRACK_KINDS = new Set(['captions', 'subtitles']);
+  const TRACK_READY_STATE = { loaded: 2, error: 3 };
+  const VTT_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&nbsp;': '\u00a0', '&lrm;': '', '&rlm;': '' };
+  const videoTranscriptBodies = new WeakMap();
+
+  /**
+   * Reads the caption and subtitle tracks configured for a video, warning
+   * about and leaving out any that are incomplete
+   * @param {string} videoKey - Key under `videos` in the event config
+   * @returns {Array<{kind: string, src: string, srclang: string, label: string, default: boolean}>} Usable tracks
+   */
+  const getConfiguredVideoTracks = (videoKey) => {
+    const tracks = EVENT_CONFIG?.videos?.[videoKey]?.tracks ?? [];
+    if (!Array.isArray(tracks)) {
+      console.warn(`Video config: videos.${videoKey}.tracks must be a list`);
+      return [];
+    }
+
+    return tracks.filter((track, index) => {
+      const label = `videos.${videoKey}.tracks[${index}]`;
+      if (!VIDEO_TRACK_KINDS.has(track?.kind)) {
+        console.warn(`Video config: ${label}.kind must be 'captions' or 'subtitles'`);
+        return false;
+      }
+      if (typeof track.src !== 'string' || !track.src.trim()) {
+        console.warn(`Video config: ${label}.src is missing`);
+        return false;
+      }
+      if (typeof track.srclang !== 'string' || !track.srclang.trim()) {
+        console.warn(`Video config: ${label}.srclang is missing`);
+        return false;
+      }
+      return true;
+    }).map((track) => ({
+      kind: track.kind,
+      src: track.src,
+      srclang: track.srclang,
+      label: track.label || track.srclang,
+      default: track.default === true,
+    }));
+  };
+
+  /**
+   * Picks the track to use: the first one in a language the browser asks
+   * for, otherwise the one marked default, otherwise the first
+   * @param {HTMLVideoElement} video - Video with track elements
+   * @returns {HTMLTrackElement|null} Track element
+   */
+  const getPreferredTrackElement = (video) => {
+    const trackElements = [...video.querySelectorAll('track')];
+    const getBaseLanguage = (tag) => tag.split('-')[0].toLowerCase();
+    const browserLanguages = (navigator.languages?.length ? navigator.languages : [navigator.language ?? ''])
+      .map(getBaseLanguage);
+    return browserLanguages
+      .map((language) => trackElements.find((element) => getBaseLanguage(element.srclang) === language))
+      .find(Boolean)
+      ?? trackElements.find((element) => element.dataset.default === 'true')
+      ?? trackElements[0]
+      ?? null;
+  };
+
+  /**
+   * Shows or hides captions to match the preference. The preferred track is
+   * kept loaded while hidden so the transcript has its cues.
+   * @param {HTMLVideoElement} video - Video with track elements
+   */
+  const applyCaptionMode = (video) => {
+    const preferred = getPreferredTrackElement(video);
+    video.querySelectorAll('track').forEach((element) => {
+      if (!element.track) {
+        return;
+      }
+      if (element !== preferred) {
+        element.track.mode = 'disabled';
+      } else {
+        element.track.mode = viewerPreferences.captions ? 'showing' : 'hidden';
+      }
+    });
+  };
+
+  /**
+   * Adds the configured caption and subtitle tracks to a video
+   * @param {HTMLVideoElement} video - Target video element
+   * @param {string} videoKey - Key under `videos` in the event config
+   */
+  const addVideoTracks = (video, videoKey) => {
+    getConfiguredVideoTracks(videoKey).forEach((track) => {
+      const element = document.createElement('track');
+      element.kind = track.kind;
+      element.src = track.src;
+      element.srclang = track.srclang;
+      element.label = track.label;
+      element.dataset.default = String(track.default);
+      video.appendChild(element);
+    });
+
+    if (!video.querySelector('track')) {
+      return;
+    }
+
+    applyCaptionMode(video);
+    // Captions switched from the browser's own video controls count as the
+    // viewer's choice too
+    video.textTracks?.addEventListener?.('change', () => {
+      const isShowing = [...video.querySelectorAll('track')].some((element) => element.track?.mode === 'showing');
+      setViewerPreference('captions', isShowing);
+    });
+  };
+
+  /**
+   * Turns WebVTT cue markup into plain text, keeping voice names
+   * @param {string} cueText - Raw cue text
+   * @returns {string} Text for the transcript
+   */
+  const getCuePlainText = (cueText) =>
+    cueText
+      .replace(/<v(?:\.[^\s>]*)?\s+([^>]+)>/g, '$1: ')
+      .replace(/<[^>]*>/g, '')
+      .replace(/&(?:amp|lt|gt|nbsp|lrm|rlm);/g, (entity) => VTT_ENTITIES[entity])
+      .replace(/\s*\n\s*/g, ' ')
+      .trim();
+
+  /**
+   * Formats a cue start time as m:ss
+   * @param {number} seconds - Time in seconds
+   * @returns {string} Formatted time
+   */
+  const formatCueTime = (seconds) => {
+    const wholeSeconds = Math.floor(seconds);
+    return `${Math.floor(wholeSeconds / 60)}:${String(wholeSeconds % 60).padStart(2, '0')}`;
+  };
+
+  /**
+   * Fills a transcript from the cues of the video's preferred track,
+   * waiting for the track to load if needed
+   * @param {HTMLVideoElement} video - Video with track elements
+   */
+  const renderVideoTranscript = (video) => {
+    const body = videoTranscriptBodies.get(video);
+    const trackElement = getPreferredTrackElement(video);
+    if (!body?.isConnected || !trackElement) {
+      return;
+    }
+
+    const transcript = body.closest('.video-transcript');
+    if (trackElement.readyState === TRACK_READY_STATE.error) {
+      transcript.hidden = true;
+      return;
+    }
+    if (trackElement.readyState !== TRACK_READY_STATE.loaded) {
+      trackElement.addEventListener('load', () => renderVideoTranscript(video), { once: true });
+      trackElement.addEventListener('error', () => renderVideoTranscript(video), { once: true });
+      return;
+    }
+
+    body.replaceChildren();
+    body.lang = trackElement.srclang;
+    [...(trackElement.track?.cues ?? [])].forEach((cue) => {
+      const text = getCuePlainText(cue.text);
+      if (!text) {
+        return;
+      }
+
+      const line = document.createElement('p');
+      line.className = 'video-transcript__line';
+      const time = document.createElement('span');
+      time.className = 'video-transcript__time';
+      time.textContent = formatCueTime(cue.startTime);
+      line.append(time, document.createTextNode(text));
+      body.appendChild(line);
+    });
+    transcript.hidden = !body.hasChildNodes();
+  };
+
+  /**
+   * Creates the captions toggle and expandable transcript for a video that
+   * has caption or subtitle tracks
+   * @param {HTMLVideoElement} video - Video with track elements
+   * @returns {Object|null} Toggle button and transcript element, or null without tracks
+   */
+  const createCaptionControls = (video) => {
+    if (!video.querySelector('track')) {
+      return null;
+    }
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'video-captions-toggle';
+    toggle.textContent = 'CC';
+    toggle.setAttribute('aria-label', 'Captions');
+    toggle.setAttribute('aria-pressed', String(viewerPreferences.captions));
+    toggle.addEventListener('click', () => {
+      setViewerPreference('captions', !viewerPreferences.captions);
+    });
+
+    const transcript = document.createElement('details');
+    transcript.className = 'video-transcript';
+    transcript.hidden = true;
+    const summary = document.createElement('summary');
+    summary.textContent = 'Transcript';
+    const body = document.createElement('div');
+    body.className = 'video-transcript__body';
+    transcript.append(summary, body);
+
+    videoTranscriptBodies.set(video, body);
+    applyCaptionMode(video);
+    // Rendered once the transcript is on the page
+    window.setTimeout(() => renderVideoTranscript(video), 0);
+
+    // Without a usable track there is nothing to caption
+    const preferred = getPreferredTrackElement(video);
+    if (preferred?.readyState === TRACK_READY_STATE.error) {
+      toggle.hidden = true;
+    } else {
+      preferred?.addEventListener('error', () => {
+        toggle.hidden = true;
+      }, { once: true });
+    }
+
+    return { toggle, transcript };
+  };
+
+  // Applies the captions preference to videos already on screen
+  onViewerPreferencesChange((preferences, changedKey) => {
+    if (changedKey !== 'captions') {
+      return;
+    }
+    document.querySelectorAll('video').forEach((video) => {
+      if (video.querySelector('track')) {
+        applyCaptionMode(video);
+      }
+    });
+    document.querySelectorAll('.video-captions-toggle').forEach((toggle) => {
+      toggle.setAttribute('aria-pressed', String(preferences.captions));
+    });
+  });
+
+  /**
+   * Creates a new celebration video element with appropriate settings
+   * @returns {HTMLVideoElement} The configured video element
+   */
+  const createCelebrationVideoElement = () => {
+    const video = document.createElement('video');
+    video.className = 'countdown-video countdown-video--embedded';
+    applyVideoSource(video, 'celebration');
+    video.muted = true;
+    video.defaultMuted = true;
+    video.setAttribute('muted', '');
+    video.controls = true;
+    video.setAttribute('playsinline', '');
+    addVideoTracks(video, 'celebration');
+    return video;
+  };
+
+  /**
+   * Creates a new celebration audio element with appropriate settings
+   * @returns {HTMLAudioElement} The configured audio element
+   */
+  /**
+   * Gets or creates the shared celebration video element
+   * @returns {HTMLVideoElement} The shared video element
+   */
+  const getCelebrationVideoElement = () => {
+    if (!sharedCelebrationVideoElement) {
+      sharedCelebrationVideoElement = createCelebrationVideoElement();
+    }
+    return sharedCelebrationVideoElement;
+  };
+
+  /**
+   * Stops playback of the shared celebration video element if it exists
+   */
+  const stopCelebrationVideoPlayback = () => {
+    if (!sharedCelebrationVideoElement) {
+      return;
+    }
+
+    try {
+      sharedCelebrationVideoElement.pause();
+    } catch (error) {
+      // Ignore pause errors during cleanup
+    }
+  };
+
+  /**
+   * Removes existing event handlers from the video element
+   * @param {HTMLVideoElement} video - The video element to clean up
+   */
+  const resetCelebrationVideoHandlers = (video) => {
+    if (!video) return;
+
+    if (sharedCelebrationVideoEndedHandler) {
+      video.removeEventListener('ended', sharedCelebrationVideoEndedHandler);
+      sharedCelebrationVideoEndedHandler = null;
+    }
+
+    if (sharedCelebrationVideoErrorHandler) {
+      video.removeEventListener('error', sharedCelebrationVideoErrorHandler);
+      sharedCelebrationVideoErrorHandler = null;
+    }
+  };
+
+  /**
+   * Attaches new event handlers to the video element
+   * @param {HTMLVideoElement} video - The video element
+   * @param {Object} handlers - Object with onEnded and onError callbacks
+   */
+  const attachCelebrationVideoHandlers = (video, { onEnded, onError }) => {
+    if (!video) return;
+
+    resetCelebrationVideoHandlers(video);
+
+    if (typeof onEnded === 'function') {
+      sharedCelebrationVideoEndedHandler = onEnded;
+      video.addEventListener('ended', sharedCelebrationVideoEndedHandler, { once: true });
+    }
+
+    if (typeof onError === 'function') {
+      sharedCelebrationVideoErrorHandler = onError;
+      video.addEventListener('error', sharedCelebrationVideoErrorHandler, { once: true });
+    }
+  };
+
+  /**
+   * Attempts to play video safely with proper error handling
+   * @param {HTMLVideoElement} videoElement - The video to play
+   * @param {Object} options - Playback options
+   * @param {Function} [options.onError] - Error callback
+   * @param {Function} [options.onSuccess] - Success callback
+   */
+  const safelyPlayVideo = (videoElement, { onError, onSuccess } = {}) => {
+    if (!videoElement || typeof videoElement.play !== 'function') {
+      console.error('Video playback: Invalid video element provided');
+      onError?.('Invalid video element');
+      return;
+    }
+
+    const attemptVideoPlayback = () => {
+      const playPromise = videoElement.play();
+      if (playPromise && typeof playPromise.then === 'function') {
+        playPromise
+          .then(() => {
+            onSuccess?.();
           })
           .catch((error) => {
             // Handle autoplay policy restrictions gracefully
@@ -310,7 +1176,8 @@
       }
     };
 
-    if (videoElement.readyState >= 2) {
+    // A video that is not preloaded only starts loading once play() is called
+    if (videoElement.readyState >= 2 || videoElement.preload === 'none') {
       attemptVideoPlayback();
     } else {
       eventListenerManager.add(videoElement, 'canplay', attemptVideoPlayback, { once: true });
@@ -322,7 +1189,8 @@
    * This helps with autoplay restrictions on mobile browsers
    */
   const primeMobileCelebrationVideoPlayback = () => {
-    if (hasPrimedMobileVideoPlayback) {
+    // Priming would download the video, which data saver mode waits to do
+    if (hasPrimedMobileVideoPlayback || isDataSaverActive()) {
       return;
     }
 
@@ -447,74 +1315,402 @@
     }
   };
 
+  // Background music ---------------------------------------------------
+
+  // The music runs element -> duck gain -> music gain -> speakers. The duck
+  // gain dips under sound effects; the music gain handles fades and muting.
+  let backgroundMusicElement = null;
+  let musicDuckGain = null;
+  let musicGain = null;
+  let musicStopTimerId = null;
+  let musicToggleButton = null;
+  // True from the start gesture until the music fades out, muted or not
+  let isBackgroundMusicActive = false;
+  // Resolves false when the configured track is missing, checked once per visit
+  let musicAvailability = null;
+
   /**
-   * Plays a subtle transition sound effect with graceful fallback
+   * Reads the background music track from the event config
+   * @returns {string} Track URL, or an empty string when none is configured
    */
-  const playTransitionSound = () => {
-    try {
-      const context = getAudioContext();
-      if (!context) return;
-
-      resumeContextIfSuspended(context);
+  const getBackgroundMusicSource = () => {
+    const source = EVENT_CONFIG?.music?.src;
+    if (source === undefined) {
+      return '';
+    }
+    if (typeof source !== 'string' || !source.trim()) {
+      console.warn('Music config: music.src must be the path of an audio file');
+      return '';
+    }
+    return source.trim();
+  };
 
-      const oscillator = context.createOscillator();
-      const gain = context.createGain();
-      
-      oscillator.type = 'sine';
-      oscillator.frequency.setValueAtTime(82, context.currentTime);
-      oscillator.connect(gain);
-      gain.connect(context.destination);
+  const BACKGROUND_MUSIC_SOURCE = getBackgroundMusicSource();
 
-      const now = context.currentTime;
-      gain.gain.setValueAtTime(0, now);
-      gain.gain.linearRampToValueAtTime(1.3, now + 0.012);
-      gain.gain.exponentialRampToValueAtTime(0.001, now + 0.34);
-      
-      oscillator.start(now);
-      oscillator.stop(now + 0.34);
+  /**
+   * Reads the guest's saved music preference
+   * @returns {boolean} Whether music is muted
+   */
+  const readMusicMuted = () => {
+    try {
+      return window.localStorage.getItem(BACKGROUND_MUSIC_MUTED_STORAGE_KEY) === 'true';
     } catch (error) {
-      // Audio not available or blocked - gracefully continue without sound
-      console.info('Audio not available, continuing silently');
+      return false;
     }
   };
 
   /**
-   * Plays a celebratory boom sound effect with graceful fallback
+   * Saves the guest's music preference for future visits
+   * @param {boolean} muted - Whether music is muted
    */
-  const playBoom = () => {
+  const writeMusicMuted = (muted) => {
     try {
-      const context = getAudioContext();
-      if (!context) return;
+      window.localStorage.setItem(BACKGROUND_MUSIC_MUTED_STORAGE_KEY, muted ? 'true' : 'false');
+    } catch (error) {
+      // Storage unavailable (private mode) - the preference lasts for this visit only
+    }
+  };
 
-      resumeContextIfSuspended(context);
+  let isMusicMuted = readMusicMuted();
 
-      const now = context.currentTime;
-      const duration = 0.82;
+  /**
+   * Ramps an audio parameter from its current value
+   * @param {AudioParam} param - Parameter to ramp
+   * @param {number} value - Target value
+   * @param {number} seconds - Ramp length
+   */
+  const rampAudioParam = (param, value, seconds) => {
+    const now = audioCtx.currentTime;
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(param.value, now);
+    param.linearRampToValueAtTime(value, now + seconds);
+  };
 
-      // Create tone oscillator
-      const toneOscillator = context.createOscillator();
-      const toneGain = context.createGain();
-      toneOscillator.type = 'sine';
-      toneOscillator.frequency.setValueAtTime(180, now);
-      toneOscillator.frequency.exponentialRampToValueAtTime(52, now + duration);
-    toneGain.gain.setValueAtTime(0.0001, now);
-    toneGain.gain.exponentialRampToValueAtTime(1.1, now + 0.02);
-    toneGain.gain.exponentialRampToValueAtTime(0.0001, now + duration);
-    toneOscillator.connect(toneGain);
-    toneGain.connect(context.destination);
+  const clearMusicStopTimer = () => {
+    if (musicStopTimerId !== null) {
+      window.clearTimeout(musicStopTimerId);
+      musicStopTimerId = null;
+    }
+  };
 
-    toneOscillator.start(now);
-    toneOscillator.stop(now + duration);
+  /**
+   * Briefly lowers the music so a sound effect cuts through
+   * @param {number} holdSeconds - How long the effect lasts
+   */
+  const duckBackgroundMusic = (holdSeconds) => {
+    if (!musicDuckGain || !isBackgroundMusicActive) {
+      return;
+    }
 
-    // Create noise buffer for impact effect
-    const noiseBuffer = context.createBuffer(1, Math.ceil(context.sampleRate * duration), context.sampleRate);
-    const noiseChannelData = noiseBuffer.getChannelData(0);
-    for (let i = 0; i < noiseChannelData.length; i++) {
-      const decay = 1 - i / noiseChannelData.length;
-      noiseChannelData[i] = (Math.random() * 2 - 1) * decay * decay;
+    const param = musicDuckGain.gain;
+    const now = audioCtx.currentTime;
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(param.value, now);
+    param.linearRampToValueAtTime(BACKGROUND_MUSIC_DUCK_LEVEL, now + 0.04);
+    param.setValueAtTime(BACKGROUND_MUSIC_DUCK_LEVEL, now + holdSeconds);
+    param.linearRampToValueAtTime(1, now + holdSeconds + 0.3);
+  };
+
+  /**
+   * Renders the mute toggle for the current preference. It mutes the music
+   * only, so it is hidden while the Sound preference silences everything.
+   */
+  const renderMusicToggle = () => {
+    if (!musicToggleButton) {
+      return;
     }
 
-    const noiseSource = context.createBufferSource();
+    musicToggleButton.hidden = !viewerPreferences.sound;
+    musicToggleButton.setAttribute('aria-pressed', isMusicMuted ? 'true' : 'false');
+    musicToggleButton.querySelector('path').setAttribute(
+      'd',
+      isMusicMuted
+        ? 'M16.5 12A4.5 4.5 0 0 0 14 7.97v2.21l2.45 2.45c.03-.2.05-.41.05-.63zM19 12c0 .94-.2 1.82-.54 2.64l1.51 1.51A8.8 8.8 0 0 0 21 12c0-4.28-2.99-7.86-7-8.77v2.06c2.89.86 5 3.54 5 6.71zM4.27 3 3 4.27 7.73 9H3v6h4l5 5v-6.73l4.25 4.25c-.67.52-1.42.93-2.25 1.18v2.06a8.99 8.99 0 0 0 3.69-1.81L19.73 21 21 19.73l-9-9L4.27 3zM12 4 9.91 6.09 12 8.18V4z'
+        : 'M3 9v6h4l5 5V4L7 9H3zm13.5 3A4.5 4.5 0 0 0 14 7.97v8.05c1.48-.73 2.5-2.25 2.5-4.02zM14 3.23v2.06c2.89.86 5 3.54 5 6.71s-2.11 5.85-5 6.71v2.06c4.01-.91 7-4.49 7-8.77s-2.99-7.86-7-8.77z'
+    );
+  };
+
+  /**
+   * Creates the music mute toggle shown while the music plays
+   * @returns {HTMLButtonElement} Toggle button
+   */
+  const createMusicToggleButton = () => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'music-toggle';
+    button.setAttribute('aria-label', 'Mute music');
+
+    const icon = document.createElementNS(SVG_NAMESPACE, 'svg');
+    icon.setAttribute('viewBox', '0 0 24 24');
+    icon.setAttribute('aria-hidden', 'true');
+    icon.setAttribute('focusable', 'false');
+    icon.classList.add('music-toggle__icon');
+    const iconPath = document.createElementNS(SVG_NAMESPACE, 'path');
+    iconPath.setAttribute('fill', 'currentColor');
+    icon.appendChild(iconPath);
+
+    const label = document.createElement('span');
+    label.className = 'music-toggle__label';
+    label.textContent = 'Music';
+
+    button.append(icon, label);
+    button.addEventListener('click', () => setMusicMuted(!isMusicMuted));
+    return button;
+  };
+
+  /**
+   * Whether the music should be heard: not muted here, and sound not
+   * switched off in the preferences
+   * @returns {boolean} True when the music is audible
+   */
+  const isMusicAudible = () => !isMusicMuted && viewerPreferences.sound;
+
+  /**
+   * Fades the music in or out to match the mute toggle and sound preference
+   */
+  const applyMusicOutput = () => {
+    if (!isBackgroundMusicActive) {
+      return;
+    }
+
+    clearMusicStopTimer();
+    if (!isMusicAudible()) {
+      rampAudioParam(musicGain.gain, 0, BACKGROUND_MUSIC_MUTE_FADE_S);
+      musicStopTimerId = window.setTimeout(() => {
+        musicStopTimerId = null;
+        backgroundMusicElement.pause();
+      }, BACKGROUND_MUSIC_MUTE_FADE_S * 1000);
+    } else {
+      backgroundMusicElement.play().catch(() => {});
+      rampAudioParam(musicGain.gain, BACKGROUND_MUSIC_VOLUME, BACKGROUND_MUSIC_MUTE_FADE_S);
+    }
+  };
+
+  /**
+   * Mutes or unmutes the music and remembers the choice
+   * @param {boolean} muted - Whether music should be muted
+   */
+  const setMusicMuted = (muted) => {
+    isMusicMuted = muted;
+    writeMusicMuted(muted);
+    renderMusicToggle();
+    applyMusicOutput();
+  };
+
+  onViewerPreferencesChange((preferences, changedKey) => {
+    if (changedKey === 'sound') {
+      renderMusicToggle();
+      applyMusicOutput();
+    }
+  });
+
+  /**
+   * Fades the music out and stops it
+   * @param {number} [seconds=BACKGROUND_MUSIC_CROSSFADE_S] - Fade length
+   */
+  const stopBackgroundMusic = (seconds = BACKGROUND_MUSIC_CROSSFADE_S) => {
+    if (!isBackgroundMusicActive) {
+      return;
+    }
+
+    isBackgroundMusicActive = false;
+    clearMusicStopTimer();
+    rampAudioParam(musicGain.gain, 0, seconds);
+    musicStopTimerId = window.setTimeout(() => {
+      musicStopTimerId = null;
+      backgroundMusicElement.pause();
+      musicToggleButton?.remove();
+    }, seconds * 1000);
+  };
+
+  /**
+   * Starts the music with a fade in. Must be called from the guest's start
+   * gesture, as browsers only allow audio to begin after one.
+   */
+  const startBackgroundMusic = () => {
+    if (!BACKGROUND_MUSIC_SOURCE || isBackgroundMusicActive) {
+      return;
+    }
+    const context = getAudioContext();
+    if (!context) {
+      return;
+    }
+
+    try {
+      if (!backgroundMusicElement) {
+        backgroundMusicElement = new Audio(BACKGROUND_MUSIC_SOURCE);
+        backgroundMusicElement.loop = true;
+        backgroundMusicElement.preload = 'auto';
+        // A missing or unsupported track just means an intro without music
+        backgroundMusicElement.addEventListener('error', () => {
+          isBackgroundMusicActive = false;
+          musicToggleButton?.remove();
+        });
+
+        musicDuckGain = context.createGain();
+        musicGain = context.createGain();
+        context.createMediaElementSource(backgroundMusicElement).connect(musicDuckGain);
+        musicDuckGain.connect(musicGain);
+        musicGain.connect(context.destination);
+      }
+    } catch (error) {
+      console.info('Background music not available, continuing without it');
+      return;
+    }
+
+    isBackgroundMusicActive = true;
+    clearMusicStopTimer();
+    musicGain.gain.setValueAtTime(0, context.currentTime);
+
+    // The toggle only appears once the track is known to exist, so a
+    // missing file never flashes it
+    if (!musicAvailability) {
+      musicAvailability = fetch(BACKGROUND_MUSIC_SOURCE, { method: 'HEAD', credentials: 'same-origin' })
+        .then((response) => response.status !== 404 && response.status !== 410)
+        .catch(() => true);
+    }
+    musicAvailability.then((isAvailable) => {
+      if (!isAvailable || !isBackgroundMusicActive) {
+        return;
+      }
+      if (!musicToggleButton) {
+        musicToggleButton = createMusicToggleButton();
+      }
+      renderMusicToggle();
+      document.body.appendChild(musicToggleButton);
+    });
+
+    if (isMusicAudible()) {
+      backgroundMusicElement.play().catch(() => {});
+      rampAudioParam(musicGain.gain, BACKGROUND_MUSIC_VOLUME, BACKGROUND_MUSIC_FADE_IN_S);
+    }
+  };
+
+  // Music stops while the tab is hidden and picks up again on return.
+  document.addEventListener('visibilitychange', () => {
+    if (!isBackgroundMusicActive || !isMusicAudible()) {
+      return;
+    }
+    if (document.hidden) {
+      backgroundMusicElement.pause();
+    } else {
+      backgroundMusicElement.play().catch(() => {});
+    }
+  });
+
+  /**
+   * Hands the soundtrack over to a video: the music fades out while the
+   * video's own sound fades in
+   * @param {HTMLMediaElement} video - Video taking over
+   */
+  const crossfadeMusicIntoVideo = (video) => {
+    const wasAudible = isBackgroundMusicActive && isMusicAudible();
+    stopBackgroundMusic(BACKGROUND_MUSIC_CROSSFADE_S);
+    if (!wasAudible || !video) {
+      return;
+    }
+
+    const fadeInVideo = () => {
+      const startedAt = window.performance.now();
+      const step = (time) => {
+        const progress = Math.min(1, (time - startedAt) / (BACKGROUND_MUSIC_CROSSFADE_S * 1000));
+        try {
+          video.volume = progress;
+        } catch (error) {
+          // Some mobile browsers do not allow volume changes; the video plays at full volume
+          return;
+        }
+        if (progress < 1) {
+          window.requestAnimationFrame(step);
+        }
+      };
+      step(startedAt);
+    };
+
+    // Registered after the listener that turns the video's sound on, so the
+    // fade starts from silence rather than full volume
+    if (video.paused) {
+      video.addEventListener('play', fadeInVideo, { once: true });
+    } else {
+      fadeInVideo();
+    }
+  };
+
+  /**
+   * Plays a subtle transition sound effect with graceful fallback
+   */
+  const playTransitionSound = () => {
+    if (!viewerPreferences.sound) return;
+
+    try {
+      const context = getAudioContext();
+      if (!context) return;
+
+      resumeContextIfSuspended(context);
+
+      duckBackgroundMusic(0.34);
+
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      
+      oscillator.type = 'sine';
+      oscillator.frequency.setValueAtTime(82, context.currentTime);
+      oscillator.connect(gain);
+      gain.connect(context.destination);
+
+      const now = context.currentTime;
+      gain.gain.setValueAtTime(0, now);
+      gain.gain.linearRampToValueAtTime(1.3, now + 0.012);
+      gain.gain.exponentialRampToValueAtTime(0.001, now + 0.34);
+      
+      oscillator.start(now);
+      oscillator.stop(now + 0.34);
+    } catch (error) {
+      // Audio not available or blocked - gracefully continue without sound
+      console.info('Audio not available, continuing silently');
+    }
+  };
+
+  /**
+   * Plays a celebratory boom sound effect with graceful fallback
+   */
+  const playBoom = () => {
+    if (!viewerPreferences.sound) return;
+
+    try {
+      const context = getAudioContext();
+      if (!context) return;
+
+      resumeContextIfSuspended(context);
+
+      const now = context.currentTime;
+      const duration = 0.82;
+      duckBackgroundMusic(duration);
+
+      // Create tone oscillator
+      const toneOscillator = context.createOscillator();
+      const toneGain = context.createGain();
+      toneOscillator.type = 'sine';
+      toneOscillator.frequency.setValueAtTime(180, now);
+      toneOscillator.frequency.exponentialRampToValueAtTime(52, now + duration);
+    toneGain.gain.setValueAtTime(0.0001, now);
+    toneGain.gain.exponentialRampToValueAtTime(1.1, now + 0.02);
+    toneGain.gain.exponentialRampToValueAtTime(0.0001, now + duration);
+    toneOscillator.connect(toneGain);
+    toneGain.connect(context.destination);
+
+    toneOscillator.start(now);
+    toneOscillator.stop(now + duration);
+
+    // Create noise buffer for impact effect
+    const noiseBuffer = context.createBuffer(1, Math.ceil(context.sampleRate * duration), context.sampleRate);
+    const noiseChannelData = noiseBuffer.getChannelData(0);
+    for (let i = 0; i < noiseChannelData.length; i++) {
+      const decay = 1 - i / noiseChannelData.length;
+      noiseChannelData[i] = (Math.random() * 2 - 1) * decay * decay;
+    }
+
+    const noiseSource = context.createBufferSource();
     noiseSource.buffer = noiseBuffer;
     const noiseGain = context.createGain();
     noiseGain.gain.setValueAtTime(0.5, now);
@@ -522,108 +1718,1236 @@
     noiseSource.connect(noiseGain);
     noiseGain.connect(context.destination);
 
-    noiseSource.start(now);
-    noiseSource.stop(now + duration);
-    } catch (error) {
-      // Audio not available or blocked - gracefully continue without sound
-      console.info('Audio celebration not available, continuing silently');
+    noiseSource.start(now);
+    noiseSource.stop(now + duration);
+    } catch (error) {
+      // Audio not available or blocked - gracefully continue without sound
+      console.info('Audio celebration not available, continuing silently');
+    }
+  };
+
+  // =====================================================================
+  // ANIMATION & VISUAL EFFECTS MODULE
+  // =====================================================================
+
+  const CONFETTI_SHAPES = ['heart', 'ribbon', 'ring'];
+
+  /**
+   * Works out a starting particle budget from the device's cores and memory.
+   * The engine lowers it further if frames start to run slow.
+   * @returns {number} Maximum live particles
+   */
+  const getInitialConfettiBudget = () => {
+    const cores = navigator.hardwareConcurrency || 4;
+    const memory = navigator.deviceMemory || 4;
+    const scale = Math.min(1, cores / 8, memory / 4);
+    return Math.max(CONFETTI_MIN_PARTICLES, Math.round(CONFETTI_MAX_PARTICLES * Math.max(0.35, scale)));
+  };
+
+  /**
+   * Draws one particle centred on the origin
+   * @param {CanvasRenderingContext2D} context - Canvas context
+   * @param {Object} particle - Particle to draw
+   */
+  const drawConfettiParticle = (context, particle) => {
+    const { size } = particle;
+    context.fillStyle = particle.color;
+    context.strokeStyle = particle.color;
+
+    switch (particle.shape) {
+      case 'heart':
+        context.beginPath();
+        context.moveTo(0, size * 0.35);
+        context.bezierCurveTo(-size * 0.9, -size * 0.2, -size * 0.35, -size * 0.85, 0, -size * 0.3);
+        context.bezierCurveTo(size * 0.35, -size * 0.85, size * 0.9, -size * 0.2, 0, size * 0.35);
+        context.fill();
+        break;
+      case 'ring':
+        context.lineWidth = Math.max(1.5, size * 0.18);
+        context.beginPath();
+        context.arc(0, 0, size * 0.4, 0, Math.PI * 2);
+        context.stroke();
+        break;
+      default:
+        // Ribbons flutter by narrowing as they turn edge-on
+        context.scale(Math.cos(particle.flutter), 1);
+        context.fillRect(-size * 0.25, -size * 0.6, size * 0.5, size * 1.2);
+    }
+  };
+
+  /**
+   * Creates the canvas confetti renderer. Particles are simulated with
+   * gravity, drag and spin, and drawn on a single full-screen canvas that
+   * only exists while confetti is in the air.
+   * @returns {Object} Engine with burst and stop
+   */
+  const createConfettiEngine = () => {
+    let canvas = null;
+    let context = null;
+    let frameId = null;
+    let lastFrameTime = 0;
+    let slowFrames = 0;
+    let particles = [];
+    let budget = getInitialConfettiBudget();
+
+    const resizeCanvas = () => {
+      const pixelRatio = Math.min(window.devicePixelRatio || 1, CONFETTI_MAX_PIXEL_RATIO);
+      canvas.width = Math.round(window.innerWidth * pixelRatio);
+      canvas.height = Math.round(window.innerHeight * pixelRatio);
+      context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    };
+
+    /**
+     * Ends the animation and removes the canvas
+     */
+    const stop = () => {
+      if (frameId !== null) {
+        window.cancelAnimationFrame(frameId);
+        frameId = null;
+      }
+      particles = [];
+      if (canvas) {
+        window.removeEventListener('resize', resizeCanvas);
+        canvas.remove();
+        canvas = null;
+        context = null;
+      }
+    };
+
+    /**
+     * Lowers the particle budget when frames keep running slow, dropping
+     * the oldest particles first
+     * @param {number} frameMs - Time since the previous frame
+     */
+    const adaptBudget = (frameMs) => {
+      slowFrames = frameMs > CONFETTI_SLOW_FRAME_MS ? slowFrames + 1 : 0;
+      if (slowFrames < 5 || budget <= CONFETTI_MIN_PARTICLES) {
+        return;
+      }
+      slowFrames = 0;
+      budget = Math.max(CONFETTI_MIN_PARTICLES, Math.round(budget * 0.75));
+      if (particles.length > budget) {
+        particles = particles.slice(particles.length - budget);
+      }
+    };
+
+    const renderFrame = (time) => {
+      const frameMs = lastFrameTime ? time - lastFrameTime : 16;
+      lastFrameTime = time;
+      adaptBudget(frameMs);
+
+      // Long gaps (a dropped frame or a stalled tab) are capped so particles do not jump
+      const seconds = Math.min(frameMs, 50) / 1000;
+      const dragFactor = Math.pow(CONFETTI_DRAG, seconds);
+      const height = window.innerHeight;
+
+      context.clearRect(0, 0, window.innerWidth, height);
+      particles = particles.filter((particle) => {
+        particle.age += frameMs;
+        particle.vx *= dragFactor;
+        particle.vy = particle.vy * dragFactor + CONFETTI_GRAVITY * seconds * particle.weight;
+        particle.x += (particle.vx + Math.sin(particle.age / 300 + particle.sway) * 30) * seconds;
+        particle.y += particle.vy * seconds;
+        particle.rotation += particle.spin * seconds;
+        particle.flutter += particle.spin * 1.5 * seconds;
+
+        if (particle.age >= particle.lifetime || particle.y > height + particle.size) {
+          return false;
+        }
+
+        // Fade out over the last fifth of the particle's life
+        const remaining = 1 - particle.age / particle.lifetime;
+        context.save();
+        context.globalAlpha = Math.min(1, remaining * 5);
+        context.translate(particle.x, particle.y);
+        context.rotate(particle.rotation);
+        drawConfettiParticle(context, particle);
+        context.restore();
+        return true;
+      });
+
+      if (particles.length === 0) {
+        stop();
+        return;
+      }
+      frameId = window.requestAnimationFrame(renderFrame);
+    };
+
+    const ensureCanvas = () => {
+      if (canvas) {
+        return true;
+      }
+
+      canvas = document.createElement('canvas');
+      canvas.className = 'confetti-canvas';
+      canvas.setAttribute('aria-hidden', 'true');
+      context = canvas.getContext?.('2d') ?? null;
+      if (!context) {
+        canvas = null;
+        return false;
+      }
+
+      resizeCanvas();
+      window.addEventListener('resize', resizeCanvas);
+      document.body.appendChild(canvas);
+      return true;
+    };
+
+    /**
+     * Fires a burst of confetti
+     * @param {Object} [options] - Burst options
+     * @param {{x: number, y: number}} [options.origin] - Origin as fractions of the viewport
+     * @param {number} [options.count=80] - Particles wanted; capped by the budget
+     * @param {number} [options.angle=-90] - Launch direction in degrees, -90 is straight up
+     * @param {number} [options.spread=60] - Spread around the angle in degrees
+     * @param {number} [options.speed=700] - Launch speed in px/s
+     * @param {string[]} [options.shapes] - Shapes to mix
+     * @param {string[]} [options.colors] - Colors to mix
+     */
+    const burst = ({
+      origin = { x: 0.5, y: 0.5 },
+      count = 80,
+      angle = -90,
+      spread = 60,
+      speed = 700,
+      shapes = CONFETTI_SHAPES,
+      colors = CELEBRATION_CONFETTI_COLORS,
+    } = {}) => {
+      if (prefersReducedMotion || document.hidden || !document.body) {
+        return;
+      }
+
+      const available = Math.min(count, budget - particles.length);
+      if (available <= 0 || !ensureCanvas()) {
+        return;
+      }
+
+      const originX = origin.x * window.innerWidth;
+      const originY = origin.y * window.innerHeight;
+      for (let i = 0; i < available; i += 1) {
+        const direction = ((angle + (Math.random() - 0.5) * spread) * Math.PI) / 180;
+        const velocity = speed * (0.55 + Math.random() * 0.45);
+        particles.push({
+          x: originX,
+          y: originY,
+          vx: Math.cos(direction) * velocity,
+          vy: Math.sin(direction) * velocity,
+          rotation: Math.random() * Math.PI * 2,
+          spin: (Math.random() - 0.5) * 12,
+          flutter: Math.random() * Math.PI,
+          sway: Math.random() * Math.PI * 2,
+          size: 8 + Math.random() * 8,
+          weight: 0.45 + Math.random() * 0.35,
+          shape: shapes[i % shapes.length],
+          color: colors[Math.floor(Math.random() * colors.length)],
+          age: 0,
+          lifetime: CELEBRATION_CONFETTI_LIFETIME_MS * (0.7 + Math.random() * 0.3),
+        });
+      }
+
+      if (frameId === null) {
+        lastFrameTime = 0;
+        frameId = window.requestAnimationFrame(renderFrame);
+      }
+    };
+
+    return { burst, stop };
+  };
+
+  const confettiEngine = createConfettiEngine();
+
+  // Confetti left in the air while the tab is hidden is dropped rather than
+  // replayed in one jump.
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+      confettiEngine.stop();
+    }
+  });
+
+  onViewerPreferencesChange(() => {
+    if (prefersReducedMotion) {
+      confettiEngine.stop();
+    }
+  });
+
+  /**
+   * Launches the celebration confetti: two cannons from the lower corners
+   * and a shower from the top of the screen
+   */
+  const launchConfetti = () => {
+    confettiEngine.burst({ origin: { x: 0, y: 0.85 }, angle: -60, spread: 40, speed: 1100, count: 70 });
+    confettiEngine.burst({ origin: { x: 1, y: 0.85 }, angle: -120, spread: 40, speed: 1100, count: 70 });
+    confettiEngine.burst({ origin: { x: 0.5, y: -0.05 }, angle: 90, spread: 160, speed: 260, count: 60 });
+  };
+
+  // =====================================================================
+  // GALLERY MODULE
+  // =====================================================================
+
+  const GALLERY_MANIFEST = window.SAVE_THE_DATE_GALLERY ?? null;
+  const GALLERY_PHOTO_LIMITS = { min: 4, max: 16 };
+
+  const isPercentage = (value) => typeof value === 'number' && value >= 0 && value <= 100;
+
+  /**
+   * Checks the gallery manifest
+   * @param {Object} manifest - Gallery manifest
+   * @returns {string[]} Problems found, empty when the manifest is valid
+   */
+  const validateGalleryManifest = (manifest) => {
+    if (!Array.isArray(manifest?.photos)) {
+      return ['photos must be a list'];
+    }
+
+    const problems = [];
+    const { length } = manifest.photos;
+    if (length < GALLERY_PHOTO_LIMITS.min || length > GALLERY_PHOTO_LIMITS.max) {
+      problems.push(`expected ${GALLERY_PHOTO_LIMITS.min}-${GALLERY_PHOTO_LIMITS.max} photos, found ${length}`);
+    }
+
+    manifest.photos.forEach((photo, index) => {
+      const label = `photos[${index}]`;
+      if (typeof photo?.src !== 'string' || !photo.src.trim()) {
+        problems.push(`${label}.src is required`);
+      }
+      if (typeof photo?.alt !== 'string') {
+        problems.push(`${label}.alt must be text (use "" for purely decorative photos)`);
+      }
+      if (photo?.focalPoint !== undefined && !(isPercentage(photo.focalPoint?.x) && isPercentage(photo.focalPoint?.y))) {
+        problems.push(`${label}.focalPoint needs x and y percentages between 0 and 100`);
+      }
+      if (photo?.caption !== undefined && typeof photo.caption !== 'string') {
+        problems.push(`${label}.caption must be text`);
+      }
+    });
+
+    return problems;
+  };
+
+  const galleryManifestProblems = validateGalleryManifest(GALLERY_MANIFEST);
+  if (galleryManifestProblems.length > 0) {
+    console.warn(`Gallery manifest: ${galleryManifestProblems.length} problem(s) found`);
+    galleryManifestProblems.forEach((problem) => console.warn(`Gallery manifest: ${problem}`));
+  }
+
+  /**
+   * Photos from the manifest that can be shown, up to the layout's limit
+   * @type {Array<{src: string, alt: string, caption: string, objectPosition: string, width: number, height: number, wide: boolean}>}
+   */
+  const GALLERY_PHOTOS = (Array.isArray(GALLERY_MANIFEST?.photos) ? GALLERY_MANIFEST.photos : [])
+    .filter((photo) => typeof photo?.src === 'string' && photo.src.trim())
+    .slice(0, GALLERY_PHOTO_LIMITS.max)
+    .map((photo) => ({
+      src: photo.src,
+      alt: typeof photo.alt === 'string' ? photo.alt : '',
+      caption: typeof photo.caption === 'string' ? photo.caption.trim() : '',
+      objectPosition: isPercentage(photo.focalPoint?.x) && isPercentage(photo.focalPoint?.y)
+        ? `${photo.focalPoint.x}% ${photo.focalPoint.y}%`
+        : 'center center',
+      width: Number(photo.width) || undefined,
+      height: Number(photo.height) || undefined,
+      wide: Boolean(photo.wide),
+    }));
+
+  /**
+   * Splits the photos between the four edges of the border. The sides get
+   * one photo for every eight, and the rest go to the top and bottom edges.
+   * @param {number} count - Number of photos
+   * @returns {Object} Photo counts for the top, each side and the bottom
+   */
+  const getGalleryEdgeSizes = (count) => {
+    const side = Math.min(Math.max(1, Math.round(count / 8)), Math.floor(count / 4) || 0);
+    const remaining = count - side * 2;
+    return { top: Math.ceil(remaining / 2), side, bottom: Math.floor(remaining / 2) };
+  };
+
+  /**
+   * Creates one border cell
+   * @param {Object} photo - Gallery photo
+   * @param {number} revealIndex - Position in the reveal order, starting at 1
+   * @returns {HTMLElement} Border cell
+   */
+  const createBorderCell = (photo, revealIndex) => {
+    const cell = document.createElement('div');
+    cell.className = `border-cell${photo.wide ? ' border-cell--wide' : ''}`;
+    cell.dataset.revealIndex = String(revealIndex);
+
+    const image = document.createElement('img');
+    image.src = photo.src;
+    image.alt = photo.alt;
+    image.loading = 'lazy';
+    image.decoding = 'async';
+    image.style.objectPosition = photo.objectPosition;
+    if (photo.width && photo.height) {
+      image.width = photo.width;
+      image.height = photo.height;
+    }
+
+    cell.appendChild(image);
+    return cell;
+  };
+
+  /**
+   * Renders the desktop photo border around the card
+   * @param {Object[]} photos - Gallery photos in reveal order
+   * @returns {HTMLElement[]} Border cells in reveal order
+   */
+  const renderBorderGallery = (photos) => {
+    const pageBorder = document.querySelector('.page-border');
+    if (!pageBorder) {
+      return [];
+    }
+
+    const createEdge = (edge) => {
+      const element = document.createElement('div');
+      element.className = `gallery-edge gallery-edge--${edge}`;
+      return element;
+    };
+
+    const edges = {
+      top: createEdge('top'),
+      left: createEdge('left'),
+      right: createEdge('right'),
+      bottom: createEdge('bottom'),
+    };
+
+    const sizes = getGalleryEdgeSizes(photos.length);
+    const cells = photos.map((photo, index) => createBorderCell(photo, index + 1));
+
+    // Top edge first, then the sides row by row, then the bottom edge
+    edges.top.append(...cells.slice(0, sizes.top));
+    cells.slice(sizes.top, sizes.top + sizes.side * 2).forEach((cell, index) => {
+      (index % 2 === 0 ? edges.left : edges.right).appendChild(cell);
+    });
+    edges.bottom.append(...cells.slice(sizes.top + sizes.side * 2));
+
+    // Keep the reading order around the card: top, left, card, right, bottom
+    const cardShellElement = pageBorder.querySelector('.card-shell');
+    pageBorder.insertBefore(edges.top, cardShellElement);
+    pageBorder.insertBefore(edges.left, cardShellElement);
+    pageBorder.append(edges.right, edges.bottom);
+
+    return cells;
+  };
+
+  // Border cell management for countdown animation
+  const borderCells = renderBorderGallery(GALLERY_PHOTOS);
+
+  // Show all cells immediately if motion is reduced
+  if (prefersReducedMotion) {
+    borderCells.forEach((cell) => cell.classList.add('is-visible'));
+  }
+
+  // Mobile experience management
+  const mobileStage = document.getElementById('mobileStage');
+  if (!mobileStage) {
+    console.warn('Main: mobileStage element not found - mobile experience may not work properly');
+  }
+  const mobileBreakpointQuery = typeof window.matchMedia === 'function'
+    ? window.matchMedia('(max-width: 640px), (max-height: 520px)')
+    : null;
+  let isMobileExperienceActive = mobileBreakpointQuery?.matches ?? false;
+
+  /**
+   * Updates mobile experience preference based on viewport changes
+   * @param {MediaQueryListEvent} event - The media query change event
+   */
+  const updateMobileExperiencePreference = (event) => {
+    isMobileExperienceActive = typeof event?.matches === 'boolean' 
+      ? event.matches 
+      : mobileBreakpointQuery?.matches ?? false;
+  };
+
+  // Stage routing picks the layout from this after the intro, so it is never removed
+  if (mobileBreakpointQuery) {
+    if (typeof mobileBreakpointQuery.addEventListener === 'function') {
+      mobileBreakpointQuery.addEventListener('change', updateMobileExperiencePreference);
+    } else if (typeof mobileBreakpointQuery.addListener === 'function') {
+      // Fallback for older browsers
+      mobileBreakpointQuery.addListener(updateMobileExperiencePreference);
+    }
+  }
+
+  // =====================================================================
+  // TIMELINE SCHEDULER MODULE
+  // =====================================================================
+
+  /**
+   * Creates the scheduler that owns the intro's stage timings. A timeline is
+   * a list of cues at fixed offsets, and each cue renders the whole state for
+   * its point in the sequence, so seeking can jump straight to any cue.
+   * Pauses are tracked per reason: a guest's own pause survives the tab
+   * being hidden and shown again.
+   * @returns {Object} Timeline controls
+   */
+  const createTimelineScheduler = () => {
+    let cues = [];
+    let nextCueIndex = 0;
+    let position = 0;
+    let positionMeasuredAt = 0;
+    let timerId = null;
+    let isRunning = false;
+    const pauseReasons = new Set();
+    const stateListeners = new Set();
+
+    const now = () => (typeof window.performance?.now === 'function' ? window.performance.now() : Date.now());
+    const isPaused = () => pauseReasons.size > 0;
+    const getPosition = () => (isRunning && !isPaused() ? position + (now() - positionMeasuredAt) : position);
+
+    /**
+     * Describes the timeline for controls and listeners
+     * @returns {Object} Running and paused flags, position and duration in milliseconds
+     */
+    const getState = () => ({
+      isRunning,
+      isPaused: isRunning && isPaused(),
+      position: getPosition(),
+      duration: cues.length > 0 ? cues[cues.length - 1].at : 0,
+    });
+
+    const notifyStateChange = () => {
+      const state = getState();
+      stateListeners.forEach((listener) => listener(state));
+    };
+
+    const clearTimer = () => {
+      if (timerId !== null) {
+        window.clearTimeout(timerId);
+        timerId = null;
+      }
+    };
+
+    const finish = () => {
+      clearTimer();
+      isRunning = false;
+      cues = [];
+      nextCueIndex = 0;
+      position = 0;
+      pauseReasons.delete('user');
+      notifyStateChange();
+    };
+
+    /**
+     * Runs the cue at an index, ending the timeline first when it is the last
+     * @param {number} index - Cue index
+     */
+    const runCue = (index) => {
+      const cue = cues[index];
+      nextCueIndex = index + 1;
+      if (nextCueIndex >= cues.length) {
+        finish();
+      }
+      cue.run();
+    };
+
+    const scheduleNextCue = () => {
+      clearTimer();
+      if (!isRunning || isPaused() || nextCueIndex >= cues.length) {
+        return;
+      }
+
+      const cueIndex = nextCueIndex;
+      timerId = window.setTimeout(() => {
+        timerId = null;
+        position = cues[cueIndex].at;
+        positionMeasuredAt = now();
+        runCue(cueIndex);
+        scheduleNextCue();
+      }, Math.max(0, cues[cueIndex].at - getPosition()));
+    };
+
+    /**
+     * Starts a new timeline, replacing any that is running
+     * @param {Array<{at: number, run: Function}>} timelineCues - Cues with offsets in milliseconds
+     */
+    const play = (timelineCues) => {
+      clearTimer();
+      cues = [...timelineCues].sort((a, b) => a.at - b.at);
+      nextCueIndex = 0;
+      position = 0;
+      positionMeasuredAt = now();
+      isRunning = cues.length > 0;
+      pauseReasons.delete('user');
+      notifyStateChange();
+      scheduleNextCue();
+    };
+
+    /**
+     * Pauses the timeline
+     * @param {string} [reason='user'] - Why it is paused; each reason is resumed separately
+     */
+    const pause = (reason = 'user') => {
+      if (pauseReasons.has(reason)) {
+        return;
+      }
+      position = getPosition();
+      pauseReasons.add(reason);
+      clearTimer();
+      notifyStateChange();
+    };
+
+    /**
+     * Lifts a pause. The timeline continues once no pause reasons remain.
+     * @param {string} [reason='user'] - Pause reason to lift
+     */
+    const resume = (reason = 'user') => {
+      if (!pauseReasons.delete(reason)) {
+        return;
+      }
+      positionMeasuredAt = now();
+      notifyStateChange();
+      scheduleNextCue();
+    };
+
+    /**
+     * Jumps to a point on the timeline, rendering the cue in effect there
+     * @param {number} time - Offset in milliseconds
+     */
+    const seek = (time) => {
+      if (!isRunning) {
+        return;
+      }
+
+      clearTimer();
+      const { duration } = getState();
+      position = Math.min(Math.max(0, time), duration);
+      positionMeasuredAt = now();
+
+      let cueIndex = -1;
+      cues.forEach((cue, index) => {
+        if (cue.at <= position) {
+          cueIndex = index;
+        }
+      });
+
+      if (cueIndex >= 0) {
+        runCue(cueIndex);
+      } else {
+        nextCueIndex = 0;
+      }
+      notifyStateChange();
+      scheduleNextCue();
+    };
+
+    /**
+     * Ends the timeline without running the remaining cues
+     */
+    const stop = () => {
+      if (isRunning) {
+        finish();
+      }
+    };
+
+    /**
+     * Subscribes to play, pause, resume, seek and stop
+     * @param {Function} listener - Receives the timeline state
+     * @returns {Function} Unsubscribe function
+     */
+    const onStateChange = (listener) => {
+      stateListeners.add(listener);
+      return () => stateListeners.delete(listener);
+    };
+
+    return { play, pause, resume, seek, stop, getState, onStateChange };
+  };
+
+  const experienceTimeline = createTimelineScheduler();
+
+  // Hidden tabs pause the intro so guests come back to where they left off.
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+      experienceTimeline.pause('hidden');
+    } else {
+      experienceTimeline.resume('hidden');
     }
+  });
+
+  /**
+   * Creates the pause button shown while the intro timeline runs
+   * @returns {HTMLButtonElement} Pause/resume toggle
+   */
+  const createTimelineToggleButton = () => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'timeline-toggle';
+
+    const icon = document.createElementNS(SVG_NAMESPACE, 'svg');
+    icon.setAttribute('viewBox', '0 0 24 24');
+    icon.setAttribute('aria-hidden', 'true');
+    icon.setAttribute('focusable', 'false');
+    icon.classList.add('timeline-toggle__icon');
+    const iconPath = document.createElementNS(SVG_NAMESPACE, 'path');
+    iconPath.setAttribute('fill', 'currentColor');
+    icon.appendChild(iconPath);
+
+    const label = document.createElement('span');
+    label.className = 'timeline-toggle__label';
+
+    button.append(icon, label);
+
+    const render = ({ isPaused }) => {
+      iconPath.setAttribute('d', isPaused ? 'M8 5v14l11-7z' : 'M6 5h4v14H6zm8 0h4v14h-4z');
+      label.textContent = isPaused ? 'Resume' : 'Pause';
+      button.setAttribute('aria-label', isPaused ? 'Resume the intro' : 'Pause the intro');
+    };
+
+    button.addEventListener('click', () => {
+      if (experienceTimeline.getState().isPaused) {
+        experienceTimeline.resume('user');
+      } else {
+        experienceTimeline.pause('user');
+      }
+    });
+
+    render(experienceTimeline.getState());
+    experienceTimeline.onStateChange(render);
+    return button;
   };
 
+  const timelineToggleButton = createTimelineToggleButton();
+
+  experienceTimeline.onStateChange(({ isRunning, isPaused }) => {
+    document.body.classList.toggle('is-timeline-paused', isPaused);
+    if (!isRunning) {
+      timelineToggleButton.remove();
+    } else if (!timelineToggleButton.isConnected) {
+      document.body.appendChild(timelineToggleButton);
+    }
+  });
+
   // =====================================================================
-  // ANIMATION & VISUAL EFFECTS MODULE
+  // LIGHTBOX MODULE
   // =====================================================================
 
-  // Motion preferences detection
-  const prefersReducedMotionQuery = typeof window.matchMedia === 'function'
-    ? window.matchMedia('(prefers-reduced-motion: reduce)')
-    : null;
-  const prefersReducedMotion = prefersReducedMotionQuery?.matches ?? false;
+  const SWIPE_THRESHOLD_PX = 50;
+  const DIALOG_FOCUSABLE_SELECTOR = 'button:not([disabled]), input:not([disabled]), select:not([disabled])';
+
+  // 24x24 SVG paths shared by the photo controls
+  const ICON_PATHS = {
+    close: 'M18.3 5.71 12 12.01l-6.3-6.3-1.41 1.41 6.3 6.3-6.3 6.3 1.41 1.41 6.3-6.3 6.3 6.3 1.41-1.41-6.3-6.3 6.3-6.3z',
+    previous: 'M15.41 7.41 14 6l-6 6 6 6 1.41-1.41L10.83 12z',
+    next: 'M8.59 16.59 10 18l6-6-6-6-1.41 1.41L13.17 12z',
+    play: 'M8 5v14l11-7z',
+    pause: 'M6 5h4v14H6zm8 0h4v14h-4z',
+  };
 
   /**
-   * Creates and launches confetti animation for celebrations
+   * Keeps Tab and Shift+Tab inside a modal dialog
+   * @param {HTMLElement} container - Dialog element
+   * @param {KeyboardEvent} event - Tab key event
    */
-  const launchConfetti = () => {
-    if (prefersReducedMotion || !document.body) return;
+  const trapFocusWithin = (container, event) => {
+    const focusable = Array.from(container.querySelectorAll(DIALOG_FOCUSABLE_SELECTOR))
+      .filter((control) => !control.closest('[hidden]'));
+    if (focusable.length === 0) {
+      event.preventDefault();
+      return;
+    }
 
-    const confettiContainer = document.createElement('div');
-    confettiContainer.className = 'confetti-container';
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const isFocusInside = container.contains(document.activeElement);
+    if (event.shiftKey && (document.activeElement === first || !isFocusInside)) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && (document.activeElement === last || !isFocusInside)) {
+      event.preventDefault();
+      first.focus();
+    }
+  };
 
-    for (let i = 0; i < CELEBRATION_CONFETTI_PIECES; i++) {
-      const piece = document.createElement('span');
-      piece.className = 'confetti-piece';
-      piece.style.setProperty('--confetti-left', `${Math.random() * 100}%`);
-      piece.style.setProperty('--confetti-delay', `${Math.random() * 0.45}s`);
-      piece.style.setProperty('--confetti-duration', `${2.6 + Math.random()}s`);
-      piece.style.setProperty('--confetti-drift', `${Math.random() * 120 - 60}px`);
-      piece.style.backgroundColor = CELEBRATION_CONFETTI_COLORS[i % CELEBRATION_CONFETTI_COLORS.length];
-      confettiContainer.appendChild(piece);
+  /**
+   * Works out whether a touch gesture was a horizontal swipe
+   * @param {{x: number, y: number}} start - Where the touch started
+   * @param {Touch} end - Where the touch ended
+   * @returns {number} 1 for a swipe to the left, -1 for a swipe to the right, 0 otherwise
+   */
+  const getSwipeDirection = (start, end) => {
+    const deltaX = end.clientX - start.x;
+    const deltaY = end.clientY - start.y;
+    // Mostly horizontal swipes only, so vertical scrolling gestures are left alone
+    if (Math.abs(deltaX) < SWIPE_THRESHOLD_PX || Math.abs(deltaX) <= Math.abs(deltaY)) {
+      return 0;
     }
+    return deltaX < 0 ? 1 : -1;
+  };
 
-    document.body.appendChild(confettiContainer);
-    window.setTimeout(() => {
-      confettiContainer.remove();
-    }, CELEBRATION_CONFETTI_LIFETIME_MS);
+  /**
+   * Creates a button that shows an icon with an accessible label
+   * @param {string} className - Button classes
+   * @param {string} label - Accessible label
+   * @param {string} iconPathData - SVG path for the icon
+   * @returns {HTMLButtonElement} Button
+   */
+  const createIconButton = (className, label, iconPathData) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.setAttribute('aria-label', label);
+
+    const icon = document.createElementNS(SVG_NAMESPACE, 'svg');
+    icon.setAttribute('viewBox', '0 0 24 24');
+    icon.setAttribute('aria-hidden', 'true');
+    icon.setAttribute('focusable', 'false');
+    const iconPath = document.createElementNS(SVG_NAMESPACE, 'path');
+    iconPath.setAttribute('fill', 'currentColor');
+    iconPath.setAttribute('d', iconPathData);
+    icon.appendChild(iconPath);
+
+    button.appendChild(icon);
+    return button;
   };
 
-  // =====================================================================
-  // LAYOUT & RESPONSIVE MANAGEMENT
-  // =====================================================================
+  /**
+   * Creates the fullscreen viewer for the border photos. Only revealed
+   * photos can be browsed, so opening it mid-countdown does not give the
+   * rest away, and the intro waits while it is open.
+   * @param {HTMLElement[]} cells - Border cells in reveal order
+   * @param {Object[]} photos - Gallery photos matching the cells
+   * @returns {Object} Lightbox controls
+   */
+  const createLightbox = (cells, photos) => {
+    let element = null;
+    let image = null;
+    let caption = null;
+    let counter = null;
+    let currentIndex = -1;
+    let openerCell = null;
+    let touchStart = null;
 
-  // Border cell management for countdown animation
-  const borderCells = Array.from(document.querySelectorAll('.border-cell')).sort((a, b) => {
-    const aIndex = Number(a.dataset.revealIndex) || 0;
-    const bIndex = Number(b.dataset.revealIndex) || 0;
-    return aIndex - bIndex;
-  });
+    const isOpen = () => currentIndex >= 0;
 
-  // Show all cells immediately if motion is reduced
-  if (prefersReducedMotion) {
-    borderCells.forEach((cell) => cell.classList.add('is-visible'));
-  }
+    const getRevealedIndices = () =>
+      cells.reduce((indices, cell, index) => (cell.classList.contains('is-visible') ? [...indices, index] : indices), []);
 
-  // Mobile experience management
-  const mobileStage = document.getElementById('mobileStage');
-  if (!mobileStage) {
-    console.warn('Main: mobileStage element not found - mobile experience may not work properly');
-  }
-  const mobileBreakpointQuery = typeof window.matchMedia === 'function'
-    ? window.matchMedia('(max-width: 640px), (max-height: 520px)')
-    : null;
-  let isMobileExperienceActive = mobileBreakpointQuery?.matches ?? false;
+    /**
+     * Starts loading a photo so it is ready when the guest moves to it
+     * @param {number} index - Photo index
+     */
+    const preloadPhoto = (index) => {
+      const photo = photos[index];
+      if (photo) {
+        const preloadImage = new Image();
+        preloadImage.decoding = 'async';
+        preloadImage.src = photo.src;
+      }
+    };
+
+    /**
+     * Shows a photo and preloads its neighbours
+     * @param {number} index - Photo index
+     */
+    const showPhoto = (index) => {
+      const photo = photos[index];
+      if (!photo) {
+        return;
+      }
+
+      currentIndex = index;
+      image.src = photo.src;
+      image.alt = photo.alt;
+      image.style.objectPosition = photo.objectPosition;
+      if (photo.width && photo.height) {
+        image.width = photo.width;
+        image.height = photo.height;
+      }
+
+      const revealed = getRevealedIndices();
+      const position = revealed.indexOf(index);
+      // Describe the photo by its alt text unless the couple wrote a caption
+      caption.textContent = photo.caption || photo.alt;
+      counter.textContent = `${position + 1} of ${revealed.length}`;
+
+      const hasSeveral = revealed.length > 1;
+      element.querySelectorAll('.lightbox__button--prev, .lightbox__button--next').forEach((button) => {
+        button.hidden = !hasSeveral;
+      });
+      if (hasSeveral) {
+        preloadPhoto(revealed[(position + 1) % revealed.length]);
+        preloadPhoto(revealed[(position - 1 + revealed.length) % revealed.length]);
+      }
+    };
+
+    /**
+     * Moves through the revealed photos, wrapping at either end
+     * @param {number} direction - 1 for next, -1 for previous
+     */
+    const step = (direction) => {
+      const revealed = getRevealedIndices();
+      if (revealed.length < 2) {
+        return;
+      }
+      const position = revealed.indexOf(currentIndex);
+      showPhoto(revealed[(position + direction + revealed.length) % revealed.length]);
+    };
+
+    const close = () => {
+      if (!isOpen()) {
+        return;
+      }
+
+      currentIndex = -1;
+      element.hidden = true;
+      document.body.classList.remove('is-lightbox-open');
+      if (mainContent) {
+        mainContent.inert = false;
+      }
+      experienceTimeline.resume('lightbox');
+
+      if (openerCell?.isConnected) {
+        openerCell.focus();
+      }
+      openerCell = null;
+    };
+
+    const handleKeyDown = (event) => {
+      switch (event.key) {
+        case 'Escape':
+          event.preventDefault();
+          close();
+          break;
+        case 'ArrowRight':
+          event.preventDefault();
+          step(1);
+          break;
+        case 'ArrowLeft':
+          event.preventDefault();
+          step(-1);
+          break;
+        case 'Tab':
+          trapFocusWithin(element, event);
+          break;
+      }
+    };
+
+    const handleTouchStart = (event) => {
+      const touch = event.touches[0];
+      touchStart = event.touches.length === 1 ? { x: touch.clientX, y: touch.clientY } : null;
+    };
+
+    const handleTouchEnd = (event) => {
+      const touch = event.changedTouches[0];
+      if (!touchStart || !touch) {
+        return;
+      }
+
+      const direction = getSwipeDirection(touchStart, touch);
+      touchStart = null;
+      if (direction !== 0) {
+        step(direction);
+      }
+    };
+
+    const build = () => {
+      element = document.createElement('div');
+      element.className = 'lightbox';
+      element.hidden = true;
+      element.setAttribute('role', 'dialog');
+      element.setAttribute('aria-modal', 'true');
+      element.setAttribute('aria-label', 'Photo viewer');
+
+      const figure = document.createElement('figure');
+      figure.className = 'lightbox__figure';
+
+      image = document.createElement('img');
+      image.className = 'lightbox__image';
+      image.decoding = 'async';
+
+      const figcaption = document.createElement('figcaption');
+      figcaption.className = 'lightbox__caption';
+      figcaption.setAttribute('aria-live', 'polite');
+      caption = document.createElement('span');
+      caption.className = 'lightbox__caption-text';
+      counter = document.createElement('span');
+      counter.className = 'lightbox__counter';
+      figcaption.append(caption, counter);
+
+      figure.append(image, figcaption);
+
+      const closeButton = createIconButton('lightbox__button lightbox__button--close', 'Close photo viewer', ICON_PATHS.close);
+      const prevButton = createIconButton('lightbox__button lightbox__button--prev', 'Previous photo', ICON_PATHS.previous);
+      const nextButton = createIconButton('lightbox__button lightbox__button--next', 'Next photo', ICON_PATHS.next);
+
+      element.append(closeButton, prevButton, figure, nextButton);
+
+      closeButton.addEventListener('click', close);
+      prevButton.addEventListener('click', () => step(-1));
+      nextButton.addEventListener('click', () => step(1));
+      element.addEventListener('keydown', handleKeyDown);
+      element.addEventListener('touchstart', handleTouchStart, { passive: true });
+      element.addEventListener('touchend', handleTouchEnd);
+      // Clicking the backdrop around the photo closes the viewer
+      element.addEventListener('click', (event) => {
+        if (event.target === element) {
+          close();
+        }
+      });
+
+      document.body.appendChild(element);
+    };
+
+    /**
+     * Opens the lightbox on a revealed border cell
+     * @param {HTMLElement} cell - Border cell that was activated
+     */
+    const open = (cell) => {
+      const index = cells.indexOf(cell);
+      if (index < 0 || !cell.classList.contains('is-visible')) {
+        return;
+      }
+
+      if (!element) {
+        build();
+      }
+
+      openerCell = cell;
+      showPhoto(index);
+      element.hidden = false;
+      document.body.classList.add('is-lightbox-open');
+      if (mainContent) {
+        mainContent.inert = true;
+      }
+      experienceTimeline.pause('lightbox');
+      element.querySelector('.lightbox__button--close').focus();
+    };
+
+    return { open, close, isOpen };
+  };
+
+  const mainContent = document.getElementById('mainContent');
+  const galleryLightbox = createLightbox(borderCells, GALLERY_PHOTOS);
 
   /**
-   * Updates mobile experience preference based on viewport changes
-   * @param {MediaQueryListEvent} event - The media query change event
+   * Makes a border cell a button that opens the lightbox while it is revealed
+   * @param {HTMLElement} cell - Border cell
+   * @param {boolean} isRevealed - Whether the cell is showing
    */
-  const updateMobileExperiencePreference = (event) => {
-    isMobileExperienceActive = typeof event?.matches === 'boolean' 
-      ? event.matches 
-      : mobileBreakpointQuery?.matches ?? false;
+  const setBorderCellInteractive = (cell, isRevealed) => {
+    if (isRevealed) {
+      const photo = GALLERY_PHOTOS[borderCells.indexOf(cell)];
+      cell.setAttribute('role', 'button');
+      cell.setAttribute('tabindex', '0');
+      cell.setAttribute('aria-label', photo?.alt ? `Enlarge photo: ${photo.alt}` : 'Enlarge photo');
+    } else {
+      cell.removeAttribute('role');
+      cell.removeAttribute('tabindex');
+      cell.removeAttribute('aria-label');
+    }
   };
 
-  // Set up mobile breakpoint listener with proper cleanup
-  if (mobileBreakpointQuery) {
-    if (typeof mobileBreakpointQuery.addEventListener === 'function') {
-      eventListenerManager.add(mobileBreakpointQuery, 'change', updateMobileExperiencePreference);
-    } else if (typeof mobileBreakpointQuery.addListener === 'function') {
-      // Fallback for older browsers
-      mobileBreakpointQuery.addListener(updateMobileExperiencePreference);
+  borderCells.forEach((cell) => setBorderCellInteractive(cell, cell.classList.contains('is-visible')));
+
+  // Switching animations off shows the whole border at once, as on load
+  onViewerPreferencesChange(() => {
+    if (prefersReducedMotion) {
+      borderCells.forEach((cell) => {
+        cell.classList.add('is-visible');
+        setBorderCellInteractive(cell, true);
+      });
     }
+  });
+
+  // One listener on the border serves every revealed photo
+  const pageBorder = document.querySelector('.page-border');
+  if (pageBorder) {
+    pageBorder.addEventListener('click', (event) => {
+      const cell = event.target.closest('.border-cell');
+      if (cell) {
+        galleryLightbox.open(cell);
+      }
+    });
+    pageBorder.addEventListener('keydown', (event) => {
+      const cell = event.target.closest('.border-cell');
+      if (cell && KEYBOARD_ACTIVATION_KEYS.has(event.key)) {
+        event.preventDefault();
+        galleryLightbox.open(cell);
+      }
+    });
   }
 
   // =====================================================================
-  // MOBILE PHOTO SEQUENCE DATA
+  // PREFERENCES PANEL MODULE
   // =====================================================================
 
-  // Extract photo data from border cells for mobile slideshow
-  const mobilePhotoDetails = borderCells.map((cell) => {
-    const cellImage = cell.querySelector('img');
-    return {
-      src: cellImage?.getAttribute('src') ?? '',
-      alt: cellImage?.getAttribute('alt') ?? '',
+  /**
+   * Creates the preferences dialog. Every change is saved and applied as
+   * soon as it is made, so there is nothing to confirm.
+   * @returns {Object} Panel controls
+   */
+  const createPreferencesPanel = () => {
+    let element = null;
+    let controls = null;
+    let opener = null;
+
+    const isOpen = () => Boolean(element && !element.hidden);
+
+    /**
+     * Creates a labelled checkbox bound to a preference
+     * @param {string} key - Preference name
+     * @param {string} label - Visible label
+     * @param {string} hint - Extra description
+     * @returns {Object} Field wrapper and checkbox
+     */
+    const createToggle = (key, label, hint) => {
+      const id = `preference-${key}`;
+      const field = document.createElement('div');
+      field.className = 'preferences-field';
+
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.id = id;
+      input.setAttribute('aria-describedby', `${id}-hint`);
+
+      const labelElement = document.createElement('label');
+      labelElement.className = 'save-date-rsvp-choice';
+      labelElement.htmlFor = id;
+      labelElement.append(input, document.createTextNode(label));
+
+      const hintElement = document.createElement('p');
+      hintElement.className = 'preferences-hint';
+      hintElement.id = `${id}-hint`;
+      hintElement.textContent = hint;
+
+      field.append(labelElement, hintElement);
+      input.addEventListener('change', () => setViewerPreference(key, input.checked));
+      return { field, input };
     };
-  });
+
+    /**
+     * Shows the preferences in effect, including ones that follow the system
+     */
+    const render = () => {
+      if (!controls) {
+        return;
+      }
+      controls.sound.checked = viewerPreferences.sound;
+      controls.captions.checked = viewerPreferences.captions;
+      controls.dataSaver.checked = isDataSaverActive();
+      controls.animations.checked = !prefersReducedMotion;
+      controls.highContrast.checked = prefersHighContrast;
+      controls.dateFormat.value = viewerPreferences.dateFormat;
+    };
+
+    const close = () => {
+      if (!isOpen()) {
+        return;
+      }
+
+      element.hidden = true;
+      if (mainContent) {
+        mainContent.inert = false;
+      }
+
+      // Fall back to the card's gear if the opener has left the page meanwhile
+      const returnTarget = opener?.isConnected ? opener : document.querySelector('.save-date-action--preferences');
+      returnTarget?.focus();
+      opener = null;
+    };
+
+    const build = () => {
+      element = document.createElement('div');
+      element.className = 'preferences-panel';
+      element.hidden = true;
+      element.setAttribute('role', 'dialog');
+      element.setAttribute('aria-modal', 'true');
+      element.setAttribute('aria-labelledby', 'preferencesTitle');
+
+      const sheet = document.createElement('div');
+      sheet.className = 'preferences-panel__sheet';
+
+      const title = document.createElement('h2');
+      title.className = 'preferences-panel__title';
+      title.id = 'preferencesTitle';
+      title.textContent = 'Preferences';
+
+      const sound = createToggle('sound', 'Sound', 'Music, sound effects and video audio.');
+      const captions = createToggle('captions', 'Captions', 'Shown on the celebration and venue videos when available.');
+      const dataSaver = createToggle('dataSaver', 'Data saver', 'Videos load only when you press play, at a smaller size.');
+      const animations = createToggle('animations', 'Animations', 'Moving transitions, the title spiral and confetti.');
+      const highContrast = createToggle('highContrast', 'High contrast', 'Stronger text and border colours.');
+
+      const dateFormat = document.createElement('select');
+      DATE_FORMAT_LOCALES.forEach(({ code, label }) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = label;
+        option.lang = code;
+        dateFormat.appendChild(option);
+      });
+      const dateFormatField = createFormField({ id: 'preference-date-format', label: 'Date format', control: dateFormat });
+      const dateFormatHint = document.createElement('p');
+      dateFormatHint.className = 'preferences-hint';
+      dateFormatHint.id = 'preference-date-format-hint';
+      dateFormatHint.textContent = 'How dates and times are written. The invitation itself is in English.';
+      dateFormatField.appendChild(dateFormatHint);
+      dateFormat.setAttribute('aria-describedby', dateFormatHint.id);
+      dateFormat.addEventListener('change', () => setViewerPreference('dateFormat', dateFormat.value));
+
+      const doneButton = document.createElement('button');
+      doneButton.type = 'button';
+      doneButton.className = 'save-date-form-submit';
+      doneButton.textContent = 'Done';
+
+      sheet.append(title, sound.field, captions.field, dataSaver.field, animations.field, highContrast.field, dateFormatField, doneButton);
+      element.appendChild(sheet);
+      controls = {
+        sound: sound.input,
+        captions: captions.input,
+        dataSaver: dataSaver.input,
+        animations: animations.input,
+        highContrast: highContrast.input,
+        dateFormat,
+      };
+
+      doneButton.addEventListener('click', close);
+      element.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') {
+          event.preventDefault();
+          close();
+        } else if (event.key === 'Tab') {
+          trapFocusWithin(element, event);
+        }
+      });
+      // Clicking the backdrop around the sheet closes the panel
+      element.addEventListener('click', (event) => {
+        if (event.target === element) {
+          close();
+        }
+      });
+
+      document.body.appendChild(element);
+    };
+
+    /**
+     * Opens the panel
+     * @param {HTMLElement} [trigger] - Control that opened it; focus returns there
+     */
+    const open = (trigger) => {
+      if (!element) {
+        build();
+      }
+
+      opener = trigger ?? document.activeElement;
+      render();
+      element.hidden = false;
+      if (mainContent) {
+        mainContent.inert = true;
+      }
+      controls.sound.focus();
+    };
+
+    onViewerPreferencesChange(render);
+    return { open, close, isOpen };
+  };
+
+  const preferencesPanel = createPreferencesPanel();
+
+  // =====================================================================
+  // MOBILE PHOTO SEQUENCE DATA
+  // =====================================================================
+
+  // The mobile slideshow shows the same photos as the desktop border
+  const mobilePhotoDetails = GALLERY_PHOTOS;
   
   const mobilePhotoLoopCount = 1;
 
@@ -660,11 +2984,9 @@
     console.warn('Main: countdownNumber element not found - countdown display may not work properly');
   }
   const countdownNote = initialCountdownWrapper?.querySelector('.countdown-note');
-  const countdownStart = borderCells.length > 0 ? borderCells.length : COUNTDOWN_START_FALLBACK;
+  const countdownStart = COUNTDOWN_START;
   
   let currentValue = countdownStart;
-  let revealedCells = 0;
-  let countdownIntervalId = null;
   let hasStarted = false;
 
 
@@ -682,6 +3004,7 @@
   if (!skipIntroButton) {
     console.warn('Main: skipIntroButton element not found - skip intro control unavailable');
   }
+  const overlayPreferencesButton = document.getElementById('overlayPreferencesButton');
 
   const gracefullyHideStartOverlay = () => {
     if (startOverlayContent) {
@@ -698,6 +3021,11 @@
       skipIntroButton.setAttribute('tabindex', '-1');
     }
 
+    if (overlayPreferencesButton) {
+      overlayPreferencesButton.disabled = true;
+      overlayPreferencesButton.setAttribute('tabindex', '-1');
+    }
+
     if (startOverlay) {
       startOverlay.classList.add('is-counting');
       window.setTimeout(() => {
@@ -712,16 +3040,121 @@
   };
 
   /**
-   * Reveals the next border cell in sequence during countdown
+   * Reveals the first border cells in sequence during countdown, hiding the
+   * rest so seeking backwards takes reveals back
+   * @param {number} count - Number of cells to show
    */
-  const revealNextBorderCell = () => {
+  const setRevealedBorderCells = (count) => {
     if (prefersReducedMotion || isMobileExperienceActive) return;
 
-    const nextCell = borderCells[revealedCells];
-    if (nextCell) {
-      nextCell.classList.add('is-visible');
-      revealedCells += 1;
+    borderCells.forEach((cell, index) => {
+      cell.classList.toggle('is-visible', index < count);
+      setBorderCellInteractive(cell, index < count);
+    });
+  };
+
+  // =====================================================================
+  // STAGE ROUTING MODULE
+  // =====================================================================
+
+  // Stages that can be linked to. The intro and countdown have no route, so
+  // the page keeps its plain URL until the first stage is shown.
+  const STAGE_ROUTES = {
+    details: 'details',
+    video: 'video',
+    sneakPeek: 'sneak-peek',
+    mailingAddress: 'mailing-address',
+  };
+  const KNOWN_STAGE_ROUTES = new Set(Object.values(STAGE_ROUTES));
+
+  /**
+   * Reads the stage route from the URL fragment
+   * @returns {string|null} Stage route, or null for the intro and unrelated fragments
+   */
+  const getStageRouteFromUrl = () => {
+    const route = window.location.hash.replace(/^#/, '');
+    return KNOWN_STAGE_ROUTES.has(route) ? route : null;
+  };
+
+  /**
+   * Builds the URL for a stage, keeping the query string (e.g. the guest token)
+   * @param {string} route - Stage route
+   * @returns {string} URL with the route as its fragment
+   */
+  const getStageUrl = (route) => `${window.location.pathname}${window.location.search}#${route}`;
+
+  /**
+   * Records the stage on screen by replacing the current history entry.
+   * Nothing changes when the URL already names the stage, as it does after
+   * back/forward or a pushed navigation.
+   * @param {string} route - Stage route
+   */
+  const syncStageRoute = (route) => {
+    if (getStageRouteFromUrl() === route) {
+      return;
+    }
+    window.history.replaceState({ route, from: null }, '', getStageUrl(route));
+  };
+
+  /**
+   * Adds a history entry for a stage the guest chose to open
+   * @param {string} route - Stage route
+   */
+  const pushStageRoute = (route) => {
+    if (getStageRouteFromUrl() === route) {
+      return;
+    }
+    window.history.pushState({ route, from: getStageRouteFromUrl() }, '', getStageUrl(route));
+  };
+
+  // =====================================================================
+  // LIFECYCLE EVENTS MODULE
+  // =====================================================================
+
+  // CustomEvents dispatched on the root element so host pages can react to
+  // the experience, e.g. by opening their own dialog once the details appear
+  const LIFECYCLE_EVENTS = {
+    stageChange: 'stdt:stage-change',
+    calendarAdd: 'stdt:calendar-add',
+    videoEnded: 'stdt:video-ended',
+  };
+
+  // Stages reported by stdt:stage-change. Linkable stages use their route.
+  const EXPERIENCE_STAGES = {
+    intro: 'intro',
+    countdown: 'countdown',
+    slideshow: 'slideshow',
+    ...STAGE_ROUTES,
+  };
+
+  let currentStage = EXPERIENCE_STAGES.intro;
+
+  /**
+   * Dispatches a lifecycle event on the root element
+   * @param {string} type - Event name from LIFECYCLE_EVENTS
+   * @param {Object} detail - Event detail
+   */
+  const dispatchLifecycleEvent = (type, detail) => {
+    document.documentElement.dispatchEvent(new CustomEvent(type, { bubbles: true, detail }));
+  };
+
+  /**
+   * Records the stage now on screen. Linkable stages update the URL, and
+   * host pages are told about every change of stage.
+   * @param {string} stage - Stage from EXPERIENCE_STAGES
+   */
+  const enterStage = (stage) => {
+    if (KNOWN_STAGE_ROUTES.has(stage)) {
+      syncStageRoute(stage);
+    }
+
+    if (stage === currentStage) {
+      return;
     }
+
+    const previousStage = currentStage;
+    currentStage = stage;
+    dispatchLifecycleEvent(LIFECYCLE_EVENTS.stageChange, { stage, previousStage });
   };
 
   // =====================================================================
@@ -773,133 +3206,1006 @@
       button.setAttribute('aria-label', ariaLabel);
     }
 
-    const buttonClassNames = ['save-date-action'];
-    if (additionalClassName) {
-      buttonClassNames.push(additionalClassName);
-    }
-    if (isIconOnly) {
-      buttonClassNames.push('save-date-action--icon-only');
-    }
+    const buttonClassNames = ['save-date-action'];
+    if (additionalClassName) {
+      buttonClassNames.push(additionalClassName);
+    }
+    if (isIconOnly) {
+      buttonClassNames.push('save-date-action--icon-only');
+    }
+
+    button.className = buttonClassNames.join(' ');
+
+
+    const tooltipLabel = tooltipText || (isIconOnly ? label : '');
+    if (tooltipLabel) {
+      button.dataset.tooltip = tooltipLabel;
+      button.setAttribute('title', tooltipLabel);
+    }
+
+    // Create icon container
+    const icon = document.createElement('span');
+    icon.className = 'save-date-action__icon';
+
+    // Create SVG icon
+    const hasCustomFactory = typeof iconFactory === 'function';
+    let iconElement = hasCustomFactory ? iconFactory() : null;
+
+    if (!iconElement) {
+      if (!iconPath) {
+        return button;
+      }
+
+      iconElement = document.createElementNS(SVG_NAMESPACE, 'svg');
+      iconElement.setAttribute('viewBox', viewBox);
+
+      const path = document.createElementNS(SVG_NAMESPACE, 'path');
+      path.setAttribute('d', iconPath);
+      path.setAttribute('fill', 'currentColor');
+      iconElement.appendChild(path);
+    }
+
+    if (iconElement?.namespaceURI === SVG_NAMESPACE) {
+      if (!iconElement.hasAttribute('aria-hidden')) {
+        iconElement.setAttribute('aria-hidden', 'true');
+      }
+      if (!iconElement.hasAttribute('focusable')) {
+        iconElement.setAttribute('focusable', 'false');
+      }
+    } else if (iconElement instanceof HTMLImageElement) {
+      if (!iconElement.hasAttribute('alt')) {
+        iconElement.alt = '';
+      }
+      iconElement.decoding = 'async';
+      iconElement.loading = 'lazy';
+    }
+
+    iconElement.classList.add('save-date-action__icon-graphic');
+
+    icon.appendChild(iconElement);
+
+    // Create label
+    const labelEl = document.createElement('span');
+    labelEl.className = 'save-date-action__label';
+    if (isIconOnly) {
+      labelEl.classList.add('visually-hidden');
+    }
+    labelEl.textContent = label;
+
+    button.append(icon, labelEl);
+    return button;
+  };
+
+  /**
+   * Creates an icon element that reuses the site favicon
+   * @returns {HTMLImageElement} Image element referencing the favicon
+   */
+  const createFaviconIcon = () => {
+    const image = document.createElement('img');
+    // Dynamically get the favicon URL from the DOM, fallback to default if not found
+    const faviconUrl = document.querySelector('link[rel="icon"]')?.href || '/assets/favicon.png';
+    image.src = faviconUrl;
+    image.alt = '';
+    image.loading = 'lazy';
+    image.decoding = 'async';
+    return image;
+  };
+
+  /**
+   * Creates the title section with names and ampersand
+   * @returns {HTMLElement} The title element with nested spans
+   */
+  const createSaveTheDateTitle = () => {
+    const title = document.createElement('h1');
+    title.className = 'save-date-title';
+    
+    const firstName = document.createElement('span');
+    firstName.className = 'save-date-name';
+    firstName.textContent = coupleNames.first;
+
+    const ampersand = document.createElement('span');
+    ampersand.className = 'save-date-amp';
+    ampersand.textContent = '&';
+
+    const secondName = document.createElement('span');
+    secondName.className = 'save-date-name';
+    secondName.textContent = coupleNames.second;
+
+    title.append(firstName, ampersand, secondName);
+    return title;
+  };
+
+  /**
+   * Creates the date and location information section
+   * @returns {HTMLElement} The date line element
+   */
+  const createSaveTheDateInfo = () => {
+    const dateLine = document.createElement('p');
+    dateLine.className = 'save-date-date';
+    
+    const dateMain = document.createElement('span');
+    dateMain.className = 'save-date-date-main';
+    setFormattedDateText(dateMain, () => EVENT_DISPLAY.dateLong);
+
+    const dateLocation = document.createElement('span');
+    dateLocation.className = 'save-date-date-location';
+    dateLocation.textContent = EVENT_DISPLAY.cityLong;
+
+    dateLine.append(dateMain, dateLocation);
+    return dateLine;
+  };
+
+  const LIVE_COUNTDOWN_UNITS = [
+    { key: 'days', singular: 'day', plural: 'days', ms: 86400000 },
+    { key: 'hours', singular: 'hour', plural: 'hours', ms: 3600000 },
+    { key: 'minutes', singular: 'minute', plural: 'minutes', ms: 60000 },
+    { key: 'seconds', singular: 'second', plural: 'seconds', ms: 1000 },
+  ];
+
+  const hasValidWeekendDates = isValidTimeZone(EVENT_CONFIG?.timeZone)
+    && isValidIsoDate(EVENT_CONFIG?.weekend?.startDate)
+    && isValidIsoDate(EVENT_CONFIG?.weekend?.endDateExclusive);
+  const liveCountdownTarget = hasValidWeekendDates
+    ? zonedTimeToDate(EVENT_CONFIG.weekend.startDate, '00:00', EVENT_CONFIG.timeZone)
+    : null;
+  const liveCountdownEnd = hasValidWeekendDates
+    ? zonedTimeToDate(EVENT_CONFIG.weekend.endDateExclusive, '00:00', EVENT_CONFIG.timeZone)
+    : null;
+
+  /**
+   * Splits a duration into whole days, hours, minutes and seconds
+   * @param {number} remainingMs - Duration in milliseconds
+   * @returns {Object} Map of unit key to whole units remaining
+   */
+  const splitCountdownDuration = (remainingMs) => {
+    let remainder = Math.max(0, remainingMs);
+    const values = {};
+    LIVE_COUNTDOWN_UNITS.forEach(({ key, ms }) => {
+      values[key] = Math.floor(remainder / ms);
+      remainder -= values[key] * ms;
+    });
+    return values;
+  };
+
+  /**
+   * Creates a live countdown to the start of the wedding weekend.
+   * The visual digits tick every second but are hidden from assistive
+   * technology; a timer region carries a minute-level summary instead so the
+   * live region is not flooded with announcements.
+   * @returns {HTMLElement|null} Countdown element, or null when the date is unknown
+   */
+  const createLiveCountdown = () => {
+    if (!liveCountdownTarget) {
+      return null;
+    }
+
+    const container = document.createElement('div');
+    container.className = 'save-date-countdown';
+
+    const units = document.createElement('div');
+    units.className = 'save-date-countdown-units';
+    units.setAttribute('aria-hidden', 'true');
+
+    const valueElements = {};
+    LIVE_COUNTDOWN_UNITS.forEach(({ key, plural }) => {
+      const unit = document.createElement('span');
+      unit.className = 'save-date-countdown-unit';
+
+      const value = document.createElement('span');
+      value.className = 'save-date-countdown-value';
+
+      const label = document.createElement('span');
+      label.className = 'save-date-countdown-label';
+      label.textContent = plural;
+
+      unit.append(value, label);
+      units.appendChild(unit);
+      valueElements[key] = { value, label };
+    });
+
+    const summary = document.createElement('p');
+    summary.className = 'visually-hidden';
+    summary.setAttribute('role', 'timer');
+    summary.setAttribute('aria-atomic', 'true');
+
+    container.append(units, summary);
+
+    let lastSummaryMinute = null;
+    let intervalId = null;
+    let hasBeenConnected = false;
+
+    const showArrivedState = () => {
+      const isOver = Date.now() >= liveCountdownEnd.getTime();
+      container.classList.add('is-today');
+      units.textContent = isOver ? 'Thank you for celebrating with us!' : 'Today is the day!';
+      units.removeAttribute('aria-hidden');
+      units.setAttribute('role', 'status');
+      summary.remove();
+    };
+
+    const update = () => {
+      // Stop ticking once the card has been swapped out of the page
+      if (container.isConnected) {
+        hasBeenConnected = true;
+      } else if (hasBeenConnected) {
+        window.clearInterval(intervalId);
+        return;
+      }
+
+      const remainingMs = liveCountdownTarget.getTime() - Date.now();
+      if (remainingMs <= 0) {
+        window.clearInterval(intervalId);
+        showArrivedState();
+        return;
+      }
+
+      const values = splitCountdownDuration(remainingMs);
+      LIVE_COUNTDOWN_UNITS.forEach(({ key, singular, plural }) => {
+        valueElements[key].value.textContent = String(values[key]).padStart(2, '0');
+        valueElements[key].label.textContent = values[key] === 1 ? singular : plural;
+      });
+
+      // Only refresh the accessible summary once per minute
+      const totalMinutes = Math.floor(remainingMs / 60000);
+      if (totalMinutes !== lastSummaryMinute) {
+        lastSummaryMinute = totalMinutes;
+        const spokenParts = LIVE_COUNTDOWN_UNITS
+          .filter(({ key }) => key !== 'seconds')
+          .map(({ key, singular, plural }) => `${values[key]} ${values[key] === 1 ? singular : plural}`);
+        summary.textContent = `${spokenParts.join(', ')} until the wedding weekend begins`;
+      }
+    };
+
+    update();
+    if (!container.classList.contains('is-today')) {
+      intervalId = window.setInterval(update, LIVE_COUNTDOWN_INTERVAL_MS);
+    }
+
+    return container;
+  };
+
+  /**
+   * Creates the collapsible weekend schedule listing every itinerary event
+   * @returns {HTMLElement|null} Schedule element, or null without an itinerary
+   */
+  const createSaveTheDateSchedule = () => {
+    if (ITINERARY.length === 0) {
+      return null;
+    }
+
+    const schedule = document.createElement('details');
+    schedule.className = 'save-date-schedule';
+
+    const summary = document.createElement('summary');
+    summary.className = 'save-date-schedule-summary';
+    summary.textContent = 'Weekend schedule';
+
+    const list = document.createElement('ol');
+    list.className = 'save-date-schedule-list';
+
+    ITINERARY.forEach((item) => {
+      const entry = document.createElement('li');
+      entry.className = 'save-date-schedule-item';
+
+      const when = document.createElement('time');
+      when.className = 'save-date-schedule-when';
+      when.dateTime = `${item.date}T${item.startTime}`;
+      setFormattedDateText(when, () => [
+        formatEventDate(item.date, { weekday: 'long', month: 'short', day: 'numeric' }),
+        `${formatEventTime(item.startTime)} – ${formatEventTime(item.endTime)}`,
+      ].join(' · '));
+
+      const title = document.createElement('span');
+      title.className = 'save-date-schedule-title';
+      title.textContent = item.title;
+
+      const location = document.createElement('span');
+      location.className = 'save-date-schedule-location';
+      location.textContent = item.locationLabel;
+
+      entry.append(when, title, location);
+      list.appendChild(entry);
+    });
+
+    schedule.append(summary, list);
+    return schedule;
+  };
+
+  // =====================================================================
+  // FORM HELPERS
+  // =====================================================================
+
+  /**
+   * Creates a labelled form field with an error message slot
+   * @param {Object} options - Field configuration
+   * @param {string} options.id - Id of the form control
+   * @param {string} options.label - Visible label text
+   * @param {HTMLElement} options.control - Input, select or textarea
+   * @returns {HTMLElement} The field wrapper
+   */
+  const createFormField = ({ id, label, control }) => {
+    const field = document.createElement('div');
+    field.className = 'save-date-form-field';
+
+    const labelElement = document.createElement('label');
+    labelElement.className = 'save-date-form-label';
+    labelElement.htmlFor = id;
+    labelElement.textContent = label;
+
+    const error = document.createElement('p');
+    error.className = 'save-date-form-error';
+    error.id = `${id}-error`;
+    error.hidden = true;
+
+    control.id = id;
+    control.classList.add('save-date-form-input');
+    control.setAttribute('aria-describedby', error.id);
+
+    field.append(labelElement, control, error);
+    return field;
+  };
+
+  /**
+   * Shows field errors next to their controls and focuses the first one
+   * @param {Object} fields - Controls keyed by field name, in display order
+   * @param {Object} errors - Messages keyed by field name
+   */
+  const showFormErrors = (fields, errors) => {
+    Object.entries(fields).forEach(([name, { control, error, invalidTarget }]) => {
+      const errorElement = error ?? control.closest('.save-date-form-field')?.querySelector('.save-date-form-error');
+      const message = errors[name] ?? '';
+      if (errorElement) {
+        errorElement.textContent = message;
+        errorElement.hidden = !message;
+      }
+      (invalidTarget ?? control).setAttribute('aria-invalid', message ? 'true' : 'false');
+    });
+
+    const firstInvalid = Object.keys(fields).find((name) => errors[name]);
+    if (firstInvalid) {
+      fields[firstInvalid].control.focus();
+    }
+  };
+
+  /**
+   * Posts JSON to a same-origin endpoint
+   * @param {string} url - Endpoint URL
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} Response status and parsed body
+   */
+  const postJson = (url, body) =>
+    fetch(url, {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify(body),
+    }).then((response) =>
+      response.json()
+        .catch(() => ({}))
+        .then((responseBody) => ({ ok: response.ok, status: response.status, body: responseBody }))
+    );
+
+  // =====================================================================
+  // RSVP MODULE
+  // =====================================================================
+
+  const {
+    RSVP_ATTENDANCE_OPTIONS,
+    RSVP_LIMITS,
+    validateRsvp,
+  } = window.SaveTheDateGuestResponses;
+
+  // Reply sent (or queued) during this visit, so a replayed card keeps its confirmation
+  let lastRsvpReply = null;
+  let isFlushingRsvpQueue = false;
+  let rsvpFormCount = 0;
+
+  /**
+   * Reads replies waiting to be sent
+   * @returns {Object[]} Queued RSVPs
+   */
+  const readRsvpQueue = () => {
+    try {
+      const queue = JSON.parse(window.localStorage.getItem(RSVP_QUEUE_STORAGE_KEY) ?? '[]');
+      return Array.isArray(queue) ? queue : [];
+    } catch (error) {
+      return [];
+    }
+  };
+
+  /**
+   * Saves the replies waiting to be sent
+   * @param {Object[]} queue - Queued RSVPs
+   * @returns {boolean} Whether the queue could be stored
+   */
+  const writeRsvpQueue = (queue) => {
+    try {
+      if (queue.length > 0) {
+        window.localStorage.setItem(RSVP_QUEUE_STORAGE_KEY, JSON.stringify(queue));
+      } else {
+        window.localStorage.removeItem(RSVP_QUEUE_STORAGE_KEY);
+      }
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  /**
+   * Queues a reply for later; a newer reply from the same guest replaces theirs
+   * @param {Object} rsvp - Validated RSVP
+   * @returns {boolean} Whether the reply was stored
+   */
+  const queueRsvp = (rsvp) => {
+    const isSameGuest = (queued) => (rsvp.guestToken
+      ? queued.guestToken === rsvp.guestToken
+      : !queued.guestToken && queued.name === rsvp.name);
+    return writeRsvpQueue([...readRsvpQueue().filter((queued) => !isSameGuest(queued)), rsvp]);
+  };
+
+  /**
+   * Posts a reply to the RSVP endpoint
+   * @param {Object} rsvp - Validated RSVP
+   * @returns {Promise<Object>} Response status and parsed body
+   */
+  const postRsvp = (rsvp) => postJson(RSVP_ENDPOINT, rsvp);
+
+  /**
+   * Sends queued replies in order, stopping at the first one that cannot
+   * be delivered yet. Replies the server rejects as invalid are dropped.
+   */
+  const flushRsvpQueue = () => {
+    if (isFlushingRsvpQueue || navigator.onLine === false || readRsvpQueue().length === 0) {
+      return;
+    }
+
+    isFlushingRsvpQueue = true;
+    const sendNext = () => {
+      const [next] = readRsvpQueue();
+      if (!next) {
+        return Promise.resolve();
+      }
+      return postRsvp(next).then(({ status }) => {
+        if (status >= 500) {
+          return undefined;
+        }
+        writeRsvpQueue(readRsvpQueue().slice(1));
+        return sendNext();
+      });
+    };
+
+    sendNext()
+      .catch(() => {
+        // Still unreachable; try again on the next online event or visit
+      })
+      .finally(() => {
+        isFlushingRsvpQueue = false;
+      });
+  };
+
+  // Registered directly so skipping the intro, which clears tracked listeners, keeps it
+  window.addEventListener('online', flushRsvpQueue);
+  flushRsvpQueue();
+
+  /**
+   * Describes a sent or queued reply back to the guest
+   * @param {Object} reply - Reply with the RSVP and whether it was queued
+   * @returns {string} Confirmation message
+   */
+  const formatRsvpConfirmation = ({ rsvp, queued }) => {
+    const messages = {
+      yes: `Thank you, ${rsvp.name}! We can't wait to celebrate with you.`,
+      maybe: `Thank you, ${rsvp.name}! Let us know once your plans are settled.`,
+      no: `Thank you for letting us know, ${rsvp.name}. You will be missed!`,
+    };
+    const delivery = queued
+      ? ' You appear to be offline, so your reply is saved on this device and will be sent once you reconnect.'
+      : '';
+    return `${messages[rsvp.attending]}${delivery}`;
+  };
+
+  /**
+   * Creates the "Will you be able to make it?" form. Replies are validated
+   * in the browser, posted as JSON to the same-origin RSVP endpoint and
+   * queued in localStorage while the guest is offline.
+   * @returns {HTMLElement} The RSVP section
+   */
+  const createSaveTheDateRsvp = () => {
+    rsvpFormCount += 1;
+    const idPrefix = `rsvp-${rsvpFormCount}`;
+
+    const section = document.createElement('details');
+    section.className = 'save-date-rsvp';
+
+    const summary = document.createElement('summary');
+    summary.className = 'save-date-rsvp-summary';
+    summary.textContent = 'Will you be able to make it?';
+
+    const form = document.createElement('form');
+    form.className = 'save-date-rsvp-form';
+    form.noValidate = true;
+
+    // Attendance choice
+    const attendance = document.createElement('fieldset');
+    attendance.className = 'save-date-rsvp-attendance';
+    attendance.setAttribute('aria-describedby', `${idPrefix}-attending-error`);
+
+    const legend = document.createElement('legend');
+    legend.className = 'save-date-form-label';
+    legend.textContent = 'Your reply';
+    attendance.appendChild(legend);
+
+    const attendanceInputs = RSVP_ATTENDANCE_OPTIONS.map(({ value, label }) => {
+      const option = document.createElement('label');
+      option.className = 'save-date-rsvp-choice';
+
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = 'attending';
+      input.value = value;
+
+      option.append(input, document.createTextNode(label));
+      attendance.appendChild(option);
+      return input;
+    });
+
+    const attendanceError = document.createElement('p');
+    attendanceError.className = 'save-date-form-error';
+    attendanceError.id = `${idPrefix}-attending-error`;
+    attendanceError.hidden = true;
+    attendance.appendChild(attendanceError);
+
+    // Text fields
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.name = 'name';
+    nameInput.autocomplete = 'name';
+    nameInput.maxLength = RSVP_LIMITS.nameLength;
+    nameInput.value = currentGuest?.household ?? '';
+
+    const partySizeInput = document.createElement('input');
+    partySizeInput.type = 'number';
+    partySizeInput.name = 'partySize';
+    partySizeInput.inputMode = 'numeric';
+    partySizeInput.min = '1';
+    partySizeInput.max = String(getMaxPartySize(currentGuest));
+    partySizeInput.value = String(currentGuest?.invited ?? 1);
+
+    const emailInput = document.createElement('input');
+    emailInput.type = 'email';
+    emailInput.name = 'email';
+    emailInput.autocomplete = 'email';
+    emailInput.maxLength = RSVP_LIMITS.emailLength;
+
+    const messageInput = document.createElement('textarea');
+    messageInput.name = 'message';
+    messageInput.rows = 3;
+    messageInput.maxLength = RSVP_LIMITS.messageLength;
+
+    const nameField = createFormField({ id: `${idPrefix}-name`, label: 'Name', control: nameInput });
+    const partySizeField = createFormField({
+      id: `${idPrefix}-party-size`,
+      label: 'Number attending',
+      control: partySizeInput,
+    });
+    const emailField = createFormField({ id: `${idPrefix}-email`, label: 'Email (optional)', control: emailInput });
+    const messageField = createFormField({
+      id: `${idPrefix}-message`,
+      label: 'Note to the couple (optional)',
+      control: messageInput,
+    });
+
+    const status = document.createElement('p');
+    status.className = 'save-date-form-status';
+    status.setAttribute('role', 'status');
+
+    const submitButton = document.createElement('button');
+    submitButton.type = 'submit';
+    submitButton.className = 'save-date-form-submit';
+    submitButton.textContent = 'Send reply';
+
+    form.append(attendance, nameField, partySizeField, emailField, messageField, status, submitButton);
+
+    // Confirmation state
+    const confirmation = document.createElement('div');
+    confirmation.className = 'save-date-rsvp-confirmation';
+    confirmation.hidden = true;
+
+    const confirmationMessage = document.createElement('p');
+    confirmationMessage.className = 'save-date-form-confirmation-message';
+    confirmationMessage.tabIndex = -1;
 
-    button.className = buttonClassNames.join(' ');
+    const changeButton = document.createElement('button');
+    changeButton.type = 'button';
+    changeButton.className = 'save-date-form-secondary';
+    changeButton.textContent = 'Change reply';
 
+    confirmation.append(confirmationMessage, changeButton);
+    section.append(summary, form, confirmation);
 
-    const tooltipLabel = tooltipText || (isIconOnly ? label : '');
-    if (tooltipLabel) {
-      button.dataset.tooltip = tooltipLabel;
-      button.setAttribute('title', tooltipLabel);
-    }
+    const formFields = {
+      attending: { control: attendanceInputs[0], error: attendanceError, invalidTarget: attendance },
+      name: { control: nameInput },
+      partySize: { control: partySizeInput },
+      email: { control: emailInput },
+      message: { control: messageInput },
+    };
 
-    // Create icon container
-    const icon = document.createElement('span');
-    icon.className = 'save-date-action__icon';
+    const updatePartySizeVisibility = () => {
+      const declined = attendanceInputs.some((input) => input.checked && input.value === 'no');
+      partySizeField.hidden = declined;
+    };
 
-    // Create SVG icon
-    const hasCustomFactory = typeof iconFactory === 'function';
-    let iconElement = hasCustomFactory ? iconFactory() : null;
+    const showConfirmation = (reply) => {
+      confirmationMessage.textContent = formatRsvpConfirmation(reply);
+      form.hidden = true;
+      confirmation.hidden = false;
+    };
 
-    if (!iconElement) {
-      if (!iconPath) {
-        return button;
+    const setBusy = (busy) => {
+      submitButton.disabled = busy;
+      form.setAttribute('aria-busy', busy ? 'true' : 'false');
+    };
+
+    const completeReply = (reply) => {
+      lastRsvpReply = reply;
+      status.textContent = '';
+      showConfirmation(reply);
+      confirmationMessage.focus();
+    };
+
+    const queueReply = (rsvp) => {
+      if (queueRsvp(rsvp)) {
+        completeReply({ rsvp, queued: true });
+      } else {
+        status.textContent = 'We could not send your reply. Please check your connection and try again.';
       }
+    };
 
-      iconElement = document.createElementNS(SVG_NAMESPACE, 'svg');
-      iconElement.setAttribute('viewBox', viewBox);
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
 
-      const path = document.createElementNS(SVG_NAMESPACE, 'path');
-      path.setAttribute('d', iconPath);
-      path.setAttribute('fill', 'currentColor');
-      iconElement.appendChild(path);
-    }
+      const formData = new FormData(form);
+      const { errors, rsvp } = validateRsvp(
+        {
+          guestToken: currentGuest?.token,
+          name: formData.get('name'),
+          attending: formData.get('attending'),
+          partySize: formData.get('partySize'),
+          email: formData.get('email'),
+          message: formData.get('message'),
+        },
+        { maxPartySize: getMaxPartySize(currentGuest) }
+      );
 
-    if (iconElement?.namespaceURI === SVG_NAMESPACE) {
-      if (!iconElement.hasAttribute('aria-hidden')) {
-        iconElement.setAttribute('aria-hidden', 'true');
+      showFormErrors(formFields, errors);
+      if (Object.keys(errors).length > 0) {
+        status.textContent = 'Please check the highlighted fields.';
+        return;
       }
-      if (!iconElement.hasAttribute('focusable')) {
-        iconElement.setAttribute('focusable', 'false');
-      }
-    } else if (iconElement instanceof HTMLImageElement) {
-      if (!iconElement.hasAttribute('alt')) {
-        iconElement.alt = '';
+
+      if (navigator.onLine === false) {
+        queueReply(rsvp);
+        return;
       }
-      iconElement.decoding = 'async';
-      iconElement.loading = 'lazy';
-    }
 
-    iconElement.classList.add('save-date-action__icon-graphic');
+      setBusy(true);
+      status.textContent = 'Sending your reply…';
+      postRsvp(rsvp)
+        .then(({ ok, status: httpStatus, body }) => {
+          if (ok) {
+            completeReply({ rsvp, queued: false });
+          } else if (httpStatus >= 500) {
+            queueReply(rsvp);
+          } else {
+            showFormErrors(formFields, body?.errors ?? {});
+            status.textContent = body?.error ?? 'We could not accept that reply. Please check it and try again.';
+          }
+        })
+        .catch(() => {
+          queueReply(rsvp);
+        })
+        .finally(() => {
+          setBusy(false);
+        });
+    });
 
-    icon.appendChild(iconElement);
+    attendanceInputs.forEach((input) => {
+      input.addEventListener('change', updatePartySizeVisibility);
+    });
 
-    // Create label
-    const labelEl = document.createElement('span');
-    labelEl.className = 'save-date-action__label';
-    if (isIconOnly) {
-      labelEl.classList.add('visually-hidden');
+    changeButton.addEventListener('click', () => {
+      confirmation.hidden = true;
+      form.hidden = false;
+      const checked = attendanceInputs.find((input) => input.checked) ?? attendanceInputs[0];
+      checked.focus();
+    });
+
+    // A replayed card shows the reply already made during this visit
+    if (lastRsvpReply) {
+      const { rsvp } = lastRsvpReply;
+      attendanceInputs.forEach((input) => {
+        input.checked = input.value === rsvp.attending;
+      });
+      nameInput.value = rsvp.name;
+      partySizeInput.value = String(rsvp.partySize || 1);
+      emailInput.value = rsvp.email;
+      messageInput.value = rsvp.message;
+      updatePartySizeVisibility();
+      showConfirmation(lastRsvpReply);
     }
-    labelEl.textContent = label;
 
-    button.append(icon, labelEl);
-    return button;
+    return section;
   };
 
-  /**
-   * Creates an icon element that reuses the site favicon
-   * @returns {HTMLImageElement} Image element referencing the favicon
-   */
-  const createFaviconIcon = () => {
-    const image = document.createElement('img');
-    // Dynamically get the favicon URL from the DOM, fallback to default if not found
-    const faviconUrl = document.querySelector('link[rel="icon"]')?.href || '/assets/favicon.png';
-    image.src = faviconUrl;
-    image.alt = '';
-    image.loading = 'lazy';
-    image.decoding = 'async';
-    return image;
-  };
+  // =====================================================================
+  // MAILING ADDRESS MODULE
+  // =====================================================================
+
+  const {
+    ADDRESS_COUNTRIES,
+    ADDRESS_LIMITS,
+    HOME_COUNTRY,
+    OTHER_COUNTRY,
+    getAddressCountry,
+    validateAddress,
+    formatMailingLabel,
+  } = window.SaveTheDateGuestResponses;
+
+  // Address saved during this visit, so reopening the form shows it
+  let lastMailingAddress = null;
+  let addressFormCount = 0;
 
   /**
-   * Creates the title section with names and ampersand
-   * @returns {HTMLElement} The title element with nested spans
+   * Builds the mailing address view opened from the details card actions.
+   * Field labels and requirements follow the chosen country, and the
+   * address is posted as JSON to the same-origin address endpoint.
+   * @returns {Object} Object containing wrapper, heading and back button elements
    */
-  const createSaveTheDateTitle = () => {
-    const title = document.createElement('h1');
-    title.className = 'save-date-title';
-    
-    const firstName = document.createElement('span');
-    firstName.className = 'save-date-name';
-    firstName.textContent = 'Lorraine';
+  const buildMailingAddressForm = () => {
+    addressFormCount += 1;
+    const idPrefix = `address-${addressFormCount}`;
 
-    const ampersand = document.createElement('span');
-    ampersand.className = 'save-date-amp';
-    ampersand.textContent = '&';
+    const wrapper = document.createElement('div');
+    wrapper.className = 'countdown-wrapper has-details save-date-address';
 
-    const secondName = document.createElement('span');
-    secondName.className = 'save-date-name';
-    secondName.textContent = 'Christopher';
+    const eyebrow = document.createElement('p');
+    eyebrow.className = 'eyebrow';
+    eyebrow.textContent = 'Formal invite to follow';
+
+    const heading = document.createElement('h2');
+    heading.className = 'save-date-address-heading';
+    heading.id = `${idPrefix}-heading`;
+    heading.tabIndex = -1;
+    heading.textContent = 'Where should we send your invitation?';
+
+    const form = document.createElement('form');
+    form.className = 'save-date-address-form';
+    form.noValidate = true;
+    form.setAttribute('aria-labelledby', heading.id);
+
+    // Controls
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.name = 'name';
+    nameInput.autocomplete = 'name';
+    nameInput.maxLength = ADDRESS_LIMITS.nameLength;
+    nameInput.value = currentGuest?.household ?? '';
+
+    const countrySelect = document.createElement('select');
+    countrySelect.name = 'country';
+    countrySelect.autocomplete = 'country';
+    ADDRESS_COUNTRIES.forEach(({ code, name }) => {
+      const option = document.createElement('option');
+      option.value = code;
+      option.textContent = name;
+      countrySelect.appendChild(option);
+    });
+    countrySelect.value = HOME_COUNTRY;
+
+    const countryNameInput = document.createElement('input');
+    countryNameInput.type = 'text';
+    countryNameInput.name = 'countryName';
+    countryNameInput.autocomplete = 'country-name';
+    countryNameInput.maxLength = ADDRESS_LIMITS.countryNameLength;
+
+    const line1Input = document.createElement('input');
+    line1Input.type = 'text';
+    line1Input.name = 'line1';
+    line1Input.autocomplete = 'address-line1';
+    line1Input.maxLength = ADDRESS_LIMITS.lineLength;
+
+    const line2Input = document.createElement('input');
+    line2Input.type = 'text';
+    line2Input.name = 'line2';
+    line2Input.autocomplete = 'address-line2';
+    line2Input.maxLength = ADDRESS_LIMITS.lineLength;
+
+    const cityInput = document.createElement('input');
+    cityInput.type = 'text';
+    cityInput.name = 'city';
+    cityInput.autocomplete = 'address-level2';
+    cityInput.maxLength = ADDRESS_LIMITS.cityLength;
+
+    const regionInput = document.createElement('input');
+    regionInput.type = 'text';
+    regionInput.name = 'region';
+    regionInput.autocomplete = 'address-level1';
+    regionInput.maxLength = ADDRESS_LIMITS.regionLength;
+
+    const postalCodeInput = document.createElement('input');
+    postalCodeInput.type = 'text';
+    postalCodeInput.name = 'postalCode';
+    postalCodeInput.autocomplete = 'postal-code';
+    postalCodeInput.maxLength = ADDRESS_LIMITS.postalCodeLength;
+
+    const emailInput = document.createElement('input');
+    emailInput.type = 'email';
+    emailInput.name = 'email';
+    emailInput.autocomplete = 'email';
+    emailInput.maxLength = ADDRESS_LIMITS.emailLength;
+
+    // Fields
+    const countryNameField = createFormField({
+      id: `${idPrefix}-country-name`,
+      label: 'Country',
+      control: countryNameInput,
+    });
+    const regionField = createFormField({ id: `${idPrefix}-region`, label: '', control: regionInput });
+    const postalCodeField = createFormField({ id: `${idPrefix}-postal-code`, label: '', control: postalCodeInput });
+
+    const localityRow = document.createElement('div');
+    localityRow.className = 'save-date-form-row';
+    localityRow.append(regionField, postalCodeField);
+
+    const privacyNote = document.createElement('p');
+    privacyNote.className = 'save-date-privacy-note';
+    privacyNote.id = `${idPrefix}-privacy`;
+    privacyNote.textContent = EVENT_CONFIG?.addressPrivacyNotice ?? '';
+    privacyNote.hidden = !privacyNote.textContent;
+    if (!privacyNote.hidden) {
+      form.setAttribute('aria-describedby', privacyNote.id);
+    }
 
-    title.append(firstName, ampersand, secondName);
-    return title;
-  };
+    const status = document.createElement('p');
+    status.className = 'save-date-form-status';
+    status.setAttribute('role', 'status');
+
+    const submitButton = document.createElement('button');
+    submitButton.type = 'submit';
+    submitButton.className = 'save-date-form-submit';
+    submitButton.textContent = 'Save my address';
+
+    form.append(
+      createFormField({ id: `${idPrefix}-name`, label: 'Name(s) for the envelope', control: nameInput }),
+      createFormField({ id: `${idPrefix}-country`, label: 'Country or region', control: countrySelect }),
+      countryNameField,
+      createFormField({ id: `${idPrefix}-line1`, label: 'Street address', control: line1Input }),
+      createFormField({ id: `${idPrefix}-line2`, label: 'Apartment, suite, unit (optional)', control: line2Input }),
+      createFormField({ id: `${idPrefix}-city`, label: 'City or town', control: cityInput }),
+      localityRow,
+      createFormField({ id: `${idPrefix}-email`, label: 'Email (optional)', control: emailInput }),
+      privacyNote,
+      status,
+      submitButton
+    );
+
+    // Confirmation state
+    const confirmation = document.createElement('div');
+    confirmation.className = 'save-date-address-confirmation';
+    confirmation.hidden = true;
+
+    const confirmationMessage = document.createElement('p');
+    confirmationMessage.className = 'save-date-form-confirmation-message';
+    confirmationMessage.tabIndex = -1;
+    confirmationMessage.textContent = 'Thank you! Your invitation will be mailed to:';
+
+    const confirmationLabel = document.createElement('address');
+    confirmationLabel.className = 'save-date-address-label';
+
+    const editButton = document.createElement('button');
+    editButton.type = 'button';
+    editButton.className = 'save-date-form-secondary';
+    editButton.textContent = 'Update address';
+
+    confirmation.append(confirmationMessage, confirmationLabel, editButton);
 
-  /**
-   * Creates the date and location information section
-   * @returns {HTMLElement} The date line element
-   */
-  const createSaveTheDateInfo = () => {
-    const dateLine = document.createElement('p');
-    dateLine.className = 'save-date-date';
-    
-    const dateMain = document.createElement('span');
-    dateMain.className = 'save-date-date-main';
-    dateMain.textContent = 'September 12, 2026';
+    const backButton = createBackToDetailsButton();
 
-    const dateLocation = document.createElement('span');
-    dateLocation.className = 'save-date-date-location';
-    dateLocation.textContent = 'Portola, California';
+    wrapper.append(eyebrow, heading, form, confirmation, backButton);
+
+    const formFields = {
+      name: { control: nameInput },
+      country: { control: countrySelect },
+      countryName: { control: countryNameInput },
+      line1: { control: line1Input },
+      line2: { control: line2Input },
+      city: { control: cityInput },
+      region: { control: regionInput },
+      postalCode: { control: postalCodeInput },
+      email: { control: emailInput },
+    };
 
-    dateLine.append(dateMain, dateLocation);
-    return dateLine;
+    const applyCountryFormat = () => {
+      const country = getAddressCountry(countrySelect.value) ?? getAddressCountry(OTHER_COUNTRY);
+      countryNameField.hidden = country.code !== OTHER_COUNTRY;
+      regionField.hidden = !country.regionLabel;
+      regionField.querySelector('.save-date-form-label').textContent = country.regionLabel ?? '';
+      postalCodeField.querySelector('.save-date-form-label').textContent = country.postalLabel;
+      regionInput.required = Boolean(country.regionRequired);
+      postalCodeInput.required = !country.postalOptional;
+    };
+
+    const showConfirmation = (address) => {
+      confirmationLabel.replaceChildren(
+        ...formatMailingLabel(address).flatMap((line, index) =>
+          index === 0 ? [document.createTextNode(line)] : [document.createElement('br'), document.createTextNode(line)]
+        )
+      );
+      form.hidden = true;
+      confirmation.hidden = false;
+    };
+
+    const setBusy = (busy) => {
+      submitButton.disabled = busy;
+      form.setAttribute('aria-busy', busy ? 'true' : 'false');
+    };
+
+    countrySelect.addEventListener('change', applyCountryFormat);
+
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+
+      const formData = new FormData(form);
+      const { errors, address } = validateAddress({
+        guestToken: currentGuest?.token,
+        ...Object.fromEntries(Object.keys(formFields).map((name) => [name, formData.get(name) ?? ''])),
+      });
+
+      showFormErrors(formFields, errors);
+      if (Object.keys(errors).length > 0) {
+        status.textContent = 'Please check the highlighted fields.';
+        return;
+      }
+
+      setBusy(true);
+      status.textContent = 'Saving your address…';
+      postJson(ADDRESS_ENDPOINT, address)
+        .then(({ ok, body }) => {
+          if (!ok) {
+            showFormErrors(formFields, body?.errors ?? {});
+            status.textContent = body?.error ?? 'We could not save your address. Please try again.';
+            return;
+          }
+          lastMailingAddress = address;
+          status.textContent = '';
+          showConfirmation(address);
+          confirmationMessage.focus();
+        })
+        .catch(() => {
+          status.textContent = 'We could not reach the server. Please check your connection and try again.';
+        })
+        .finally(() => {
+          setBusy(false);
+        });
+    });
+
+    editButton.addEventListener('click', () => {
+      confirmation.hidden = true;
+      form.hidden = false;
+      nameInput.focus();
+    });
+
+    // Reopening the form during the same visit shows the saved address
+    if (lastMailingAddress) {
+      Object.entries(formFields).forEach(([name, { control }]) => {
+        control.value = lastMailingAddress[name] ?? '';
+      });
+      showConfirmation(lastMailingAddress);
+    }
+    applyCountryFormat();
+
+    return { wrapper, heading, backButton };
   };
 
   /**
@@ -915,7 +4221,7 @@
       label: 'Wedding website',
       iconFactory: createFaviconIcon,
       element: 'a',
-      href: 'https://becomingcummings.love',
+      href: CALENDAR_EVENT.website,
       isIconOnly: true,
       tooltipText: 'Wedding website',
       ariaLabel: 'Visit our wedding website (opens in a new tab)',
@@ -944,18 +4250,39 @@
       iconPath:
         'M4 11h16c1.1 0 2 .9 2 2v5h-2v-3H4v3H2v-9c0-1.1.9-2 2-2h1V7c0-1.1.9-2 2-2h6c1.1 0 2 .9 2 2v2h3v2h-3V9H7v2H4z',
       element: 'a',
-      href: 'https://booking.chaletviewlodge.com/#/booking/step-1?group=becomingcummings',
+      href: EVENT_CONFIG?.links?.hotelBooking ?? '',
       ariaLabel: 'Book hotel reservations (opens in a new tab)',
       isIconOnly: true,
       tooltipText: 'Hotel reservations',
     });
 
+    // Mailing address form button
+    const addressButton = createSaveTheDateActionButton({
+      label: 'Mailing address',
+      iconPath:
+        'M20 4H4c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V6c0-1.1-.9-2-2-2zm0 4-8 5-8-5V6l8 5 8-5v2z',
+      ariaLabel: 'Send us your mailing address for the formal invitation',
+      isIconOnly: true,
+      tooltipText: 'Mailing address',
+    });
+
+    // Viewer preferences button
+    const preferencesButton = createSaveTheDateActionButton({
+      label: 'Preferences',
+      iconPath:
+        'M19.14 12.94c.04-.3.06-.61.06-.94 0-.32-.02-.64-.07-.94l2.03-1.58a.49.49 0 0 0 .12-.61l-1.92-3.32a.488.488 0 0 0-.59-.22l-2.39.96c-.5-.38-1.03-.7-1.62-.94l-.36-2.54a.484.484 0 0 0-.48-.41h-3.84c-.24 0-.43.17-.47.41l-.36 2.54c-.59.24-1.13.57-1.62.94l-2.39-.96c-.22-.08-.47 0-.59.22L2.74 8.87c-.12.21-.08.47.12.61l2.03 1.58c-.05.3-.09.63-.09.94s.02.64.07.94l-2.03 1.58a.49.49 0 0 0-.12.61l1.92 3.32c.12.22.37.29.59.22l2.39-.96c.5.38 1.03.7 1.62.94l.36 2.54c.05.24.24.41.48.41h3.84c.24 0 .44-.17.47-.41l.36-2.54c.59-.24 1.13-.56 1.62-.94l2.39.96c.22.08.47 0 .59-.22l1.92-3.32c.12-.22.07-.47-.12-.61l-2.01-1.58zM12 15.6c-1.98 0-3.6-1.62-3.6-3.6s1.62-3.6 3.6-3.6 3.6 1.62 3.6 3.6-1.62 3.6-3.6 3.6z',
+      additionalClassName: 'save-date-action--preferences',
+      ariaLabel: 'Preferences: sound, animations, contrast and date format',
+      isIconOnly: true,
+      tooltipText: 'Preferences',
+    });
+
     const iconActions = document.createElement('div');
     iconActions.className = 'save-date-action-icons';
-    iconActions.append(replayButton, websiteLink, hotelButton);
+    iconActions.append(replayButton, websiteLink, hotelButton, addressButton, preferencesButton);
 
     actions.append(sneakPeekButton, iconActions);
-    return { actions, websiteLink, replayButton, sneakPeekButton, hotelButton };
+    return { actions, websiteLink, replayButton, sneakPeekButton, hotelButton, addressButton, preferencesButton };
   };
 
   /**
@@ -968,59 +4295,74 @@
 
   let cachedCalendarBlobUrl = null;
 
+  // Reminder alarms for downloaded calendar files; invalid entries are skipped
+  const CALENDAR_REMINDERS = getCalendarReminders(EVENT_CONFIG);
+
   /**
-   * Escapes text according to ICS specification requirements
-   * @param {string} value - Text to escape
-   * @returns {string} Escaped text value
+   * Creates the all-day calendar entry spanning the whole weekend
+   * @returns {Object} Calendar entry
    */
-  const escapeIcsText = (value) =>
-    value
-      .replace(/\\/g, '\\\\')
-      .replace(/;/g, '\\;')
-      .replace(/,/g, '\\,')
-      .replace(/\n/g, '\\n');
+  const createWeekendCalendarEntry = () => eventCalendar.createWeekendCalendarEntry(EVENT_CONFIG);
 
   /**
-   * Formats a date instance to an ICS timestamp in UTC
-   * @param {Date} date - Date instance to format
-   * @returns {string} Formatted timestamp string
+   * Creates a timed calendar entry for a single itinerary event
+   * @param {Object} item - Itinerary event
+   * @returns {Object} Calendar entry
    */
-  const formatIcsTimestamp = (date) =>
-    date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}Z$/, 'Z');
+  const createItineraryCalendarEntry = (item) =>
+    eventCalendar.createItineraryCalendarEntry(EVENT_CONFIG, item);
 
   /**
-   * Creates the ICS file contents for the wedding event
-   * @returns {string} ICS file data
+   * Resolves the calendar entries written to the .ics file for a scope
+   * @param {string} scope - CALENDAR_SCOPE_WEEKEND or an itinerary event id
+   * @returns {Object[]} Calendar entries
    */
-  const createCalendarIcsContent = () => {
-    const lines = [
-      'BEGIN:VCALENDAR',
-      'VERSION:2.0',
-      'PRODID:-//Becoming Cummings//Save The Date//EN',
-      'CALSCALE:GREGORIAN',
-      'METHOD:PUBLISH',
-      'BEGIN:VEVENT',
-      `DTSTAMP:${formatIcsTimestamp(new Date())}`,
-      `DTSTART;VALUE=DATE:${CALENDAR_EVENT.startDate}`,
-      `DTEND;VALUE=DATE:${CALENDAR_EVENT.endDateExclusive}`,
-      `SUMMARY:${escapeIcsText(CALENDAR_EVENT.title)}`,
-      `DESCRIPTION:${escapeIcsText(CALENDAR_EVENT.description)}`,
-      `LOCATION:${escapeIcsText(CALENDAR_EVENT.location)}`,
-      `UID:${escapeIcsText(CALENDAR_EVENT.uid)}`,
-      `URL:${CALENDAR_EVENT.website}`,
-      'END:VEVENT',
-      'END:VCALENDAR',
-    ];
+  const getCalendarEntriesForScope = (scope) =>
+    eventCalendar.getCalendarEntriesForScope(EVENT_CONFIG, scope);
 
-    return `${lines.join('\r\n')}\r\n`;
+  /**
+   * Resolves the single entry used by link-based providers, which cannot
+   * add several events at once; the weekend scope uses the all-day span
+   * @param {string} scope - CALENDAR_SCOPE_WEEKEND or an itinerary event id
+   * @returns {Object} Calendar entry
+   */
+  const getCalendarLinkEntryForScope = (scope) => {
+    const item = ITINERARY.find(({ id }) => id === scope);
+    return item ? createItineraryCalendarEntry(item) : createWeekendCalendarEntry();
   };
 
+  /**
+   * Builds the download file name for a scope
+   * @param {string} scope - CALENDAR_SCOPE_WEEKEND or an itinerary event id
+   * @returns {string} File name ending in .ics
+   */
+  const getCalendarFileName = (scope) =>
+    scope === CALENDAR_SCOPE_WEEKEND ? 'wedding-weekend.ics' : `wedding-${scope}.ics`;
+
+  /**
+   * Creates the ICS file contents for one or more calendar entries
+   * @param {Object[]} [entries] - Calendar entries, defaulting to the whole weekend
+   * @param {Object} [options] - Output options
+   * @param {boolean} [options.includeReminders=true] - Whether to add reminder alarms
+   * @returns {string} ICS file data
+   */
+  const createCalendarIcsContent = (
+    entries = getCalendarEntriesForScope(CALENDAR_SCOPE_WEEKEND),
+    { includeReminders = true } = {}
+  ) =>
+    eventCalendar.createCalendarIcsContent(entries, {
+      timeZone: CALENDAR_EVENT.timeZone,
+      reminders: includeReminders ? CALENDAR_REMINDERS : [],
+    });
+
   /**
    * Creates a fresh object URL for the ICS download with enhanced mobile support
    * Revokes any previous blob URL to ensure each download uses a valid URL
+   * @param {string} [scope] - CALENDAR_SCOPE_WEEKEND or an itinerary event id
+   * @param {Object} [options] - Options passed to createCalendarIcsContent
    * @returns {string} Object URL pointing to ICS data
    */
-  const getCalendarIcsUrl = () => {
+  const getCalendarIcsUrl = (scope = CALENDAR_SCOPE_WEEKEND, options = {}) => {
     // Revoke any previously cached blob URL before creating a new one
     if (cachedCalendarBlobUrl) {
       try {
@@ -1031,7 +4373,7 @@
       cachedCalendarBlobUrl = null;
     }
 
-    const icsContent = createCalendarIcsContent();
+    const icsContent = createCalendarIcsContent(getCalendarEntriesForScope(scope), options);
     
     // Enhanced blob creation with better MIME type for mobile compatibility
     const blob = new Blob([icsContent], { 
@@ -1069,31 +4411,143 @@
   }
 
   /**
-   * Builds the Google Calendar template URL
+   * Builds the Google Calendar template URL. Timed entries are sent as UTC
+   * instants so they land at the right hour whatever the guest's time zone;
+   * `ctz` only controls the zone Google displays them in.
+   * @param {Object} [entry] - Calendar entry, defaulting to the all-day weekend
    * @returns {string} Google Calendar URL
    */
-  const buildGoogleCalendarUrl = () => {
+  const buildGoogleCalendarUrl = (entry = createWeekendCalendarEntry()) => {
     const baseUrl = 'https://www.google.com/calendar/render?action=TEMPLATE';
+    const dates = entry.allDay
+      ? `${entry.start}/${entry.end}`
+      : `${formatIcsTimestamp(entry.startsAt)}/${formatIcsTimestamp(entry.endsAt)}`;
+    const params = [
+      `text=${encodeCalendarText(entry.title)}`,
+      `details=${encodeCalendarText(entry.description)}`,
+      `location=${encodeCalendarText(entry.location)}`,
+      `dates=${dates}`,
+      `ctz=${encodeURIComponent(CALENDAR_EVENT.timeZone)}`,
+    ];
+
+    return `${baseUrl}&${params.join('&')}`;
+  };
+
+  /**
+   * Converts a compact YYYYMMDD date back to ISO YYYY-MM-DD notation
+   * @param {string} compactDate - Compact date string
+   * @returns {string} ISO date string
+   */
+  const toIsoDate = (compactDate) =>
+    `${compactDate.slice(0, 4)}-${compactDate.slice(4, 6)}-${compactDate.slice(6, 8)}`;
+
+  /**
+   * Formats an instant as an ISO 8601 UTC string without milliseconds
+   * @param {Date} date - Instant to format
+   * @returns {string} Timestamp such as 2026-09-12T23:00:00Z
+   */
+  const toIsoUtcString = (date) => date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+  /**
+   * Builds an Outlook compose deep link. Outlook.com and Office 365 share the
+   * same parameters and differ only by host. All-day entries use ISO dates
+   * with an exclusive end; timed entries use UTC instants.
+   * @param {string} origin - Outlook web origin
+   * @param {Object} [entry] - Calendar entry, defaulting to the all-day weekend
+   * @returns {string} Outlook deep link URL
+   */
+  const buildOutlookCalendarUrl = (origin, entry = createWeekendCalendarEntry()) => {
+    const baseUrl = `${origin}/calendar/0/deeplink/compose?path=%2Fcalendar%2Faction%2Fcompose&rru=addevent`;
+    const params = [
+      `subject=${encodeCalendarText(entry.title)}`,
+      `body=${encodeCalendarText(entry.description)}`,
+      `location=${encodeCalendarText(entry.location)}`,
+      ...(entry.allDay
+        ? [`startdt=${toIsoDate(entry.start)}`, `enddt=${toIsoDate(entry.end)}`, 'allday=true']
+        : [
+            `startdt=${encodeURIComponent(toIsoUtcString(entry.startsAt))}`,
+            `enddt=${encodeURIComponent(toIsoUtcString(entry.endsAt))}`,
+            'allday=false',
+          ]),
+    ];
+
+    return `${baseUrl}&${params.join('&')}`;
+  };
+
+  /**
+   * Builds the Yahoo Calendar link. All-day entries use compact dates with
+   * `dur=allday`; timed entries use compact UTC instants.
+   * @param {Object} [entry] - Calendar entry, defaulting to the all-day weekend
+   * @returns {string} Yahoo Calendar URL
+   */
+  const buildYahooCalendarUrl = (entry = createWeekendCalendarEntry()) => {
+    const baseUrl = 'https://calendar.yahoo.com/?v=60';
     const params = [
-      `text=${encodeCalendarText(CALENDAR_EVENT.title)}`,
-      `details=${encodeCalendarText(CALENDAR_EVENT.description)}`,
-      `location=${encodeCalendarText(CALENDAR_EVENT.location)}`,
-      `dates=${CALENDAR_EVENT.startDate}/${CALENDAR_EVENT.endDateExclusive}`,
-      `ctz=America/Los_Angeles`,
+      `title=${encodeCalendarText(entry.title)}`,
+      `desc=${encodeCalendarText(entry.description)}`,
+      `in_loc=${encodeCalendarText(entry.location)}`,
+      ...(entry.allDay
+        ? [`st=${entry.start}`, `et=${entry.end}`, 'dur=allday']
+        : [`st=${formatIcsTimestamp(entry.startsAt)}`, `et=${formatIcsTimestamp(entry.endsAt)}`]),
     ];
 
     return `${baseUrl}&${params.join('&')}`;
   };
 
+  /**
+   * Converts the published http(s) calendar feed URL to a webcal:// link,
+   * which calendar apps open as a subscription rather than a one-off import
+   * @param {string} feedUrl - Absolute URL of the static .ics feed
+   * @returns {string} Subscription URL
+   */
+  const toWebcalUrl = (feedUrl) => feedUrl.replace(/^https?:/, 'webcal:');
+
+  /**
+   * Builds a Google Calendar link that subscribes to the calendar feed
+   * @param {string} feedUrl - Absolute URL of the static .ics feed
+   * @returns {string} Google Calendar subscription URL
+   */
+  const buildGoogleCalendarSubscribeUrl = (feedUrl) =>
+    `https://calendar.google.com/calendar/render?cid=${encodeURIComponent(toWebcalUrl(feedUrl))}`;
+
+  /**
+   * Link-based calendar providers offered in the Add to calendar menu, in
+   * display order. Each builds a deep link for a single calendar entry.
+   */
+  const CALENDAR_LINK_PROVIDERS = [
+    { id: 'google', label: 'Google Calendar', buildUrl: buildGoogleCalendarUrl },
+    {
+      id: 'outlook',
+      label: 'Outlook.com',
+      buildUrl: (entry) => buildOutlookCalendarUrl('https://outlook.live.com', entry),
+    },
+    {
+      id: 'office365',
+      label: 'Office 365',
+      buildUrl: (entry) => buildOutlookCalendarUrl('https://outlook.office.com', entry),
+    },
+    { id: 'yahoo', label: 'Yahoo Calendar', buildUrl: buildYahooCalendarUrl },
+  ];
+
   /**
    * Creates a calendar option link element
    * @param {Object} options - Link configuration options
    * @param {string} options.label - The text label for the link
    * @param {string} options.href - The destination URL
    * @param {boolean} [options.download] - Whether to trigger a download
+   * @param {boolean} [options.newTab] - Whether a deep link opens in a new tab
+   * @param {Function} [options.getScope] - Returns the scope to download
+   * @param {Function} [options.getIcsOptions] - Returns options for the ICS content
    * @returns {HTMLAnchorElement} Configured anchor element
    */
-  const createCalendarOptionLink = ({ label, href, download = false }) => {
+  const createCalendarOptionLink = ({
+    label,
+    href,
+    download = false,
+    newTab = true,
+    getScope = () => CALENDAR_SCOPE_WEEKEND,
+    getIcsOptions = () => ({}),
+  }) => {
     const link = document.createElement('a');
     link.className = 'save-date-calendar-link';
     link.setAttribute('role', 'menuitem');
@@ -1105,13 +4559,15 @@
       link.setAttribute('download', 'wedding-weekend.ics');
       // Improved MIME type for better mobile compatibility
       link.setAttribute('type', 'text/calendar; charset=utf-8');
-      const clickCleanup = eventListenerManager.add(link, 'click', (event) => {
+      link.addEventListener('click', (event) => {
         // Add loading state
         link.setAttribute('aria-busy', 'true');
         link.style.pointerEvents = 'none';
         
         // Generate a fresh blob URL for each download attempt
-        const freshBlobUrl = getCalendarIcsUrl();
+        const scope = getScope();
+        link.setAttribute('download', getCalendarFileName(scope));
+        const freshBlobUrl = getCalendarIcsUrl(scope, getIcsOptions());
         // Revoke previous blob URL if present to prevent memory leaks
         if (link.href && link.href.startsWith('blob:')) {
           URL.revokeObjectURL(link.href);
@@ -1135,18 +4591,43 @@
           link.style.pointerEvents = '';
         }, 500);
       });
-      // Store cleanup function for potential cleanup
-      link._eventCleanup = clickCleanup;
     } else {
-      // For non-download links (like Google Calendar), set href normally
+      // For non-download links (calendar provider deep links), set href normally
       link.href = href;
-      link.setAttribute('target', '_blank');
-      link.setAttribute('rel', 'noreferrer noopener');
-      link.setAttribute('aria-describedby', 'google-calendar-hint');
+      if (newTab) {
+        link.setAttribute('target', '_blank');
+        link.setAttribute('rel', 'noreferrer noopener');
+        link.setAttribute('aria-label', `${label} (opens in a new tab)`);
+      }
     }
     return link;
   };
 
+  const CALENDAR_MENU_ITEM_SELECTOR =
+    '[role="menuitem"], [role="menuitemradio"], [role="menuitemcheckbox"]';
+
+  /**
+   * Creates a labelled group of calendar menu items
+   * @param {Object} options - Group configuration
+   * @param {string} options.id - Id for the group label
+   * @param {string} options.label - Visible group label
+   * @returns {HTMLElement} The group element
+   */
+  const createCalendarMenuGroup = ({ id, label }) => {
+    const group = document.createElement('div');
+    group.className = 'save-date-calendar-group';
+    group.setAttribute('role', 'group');
+    group.setAttribute('aria-labelledby', id);
+
+    const groupLabel = document.createElement('p');
+    groupLabel.className = 'save-date-calendar-group-label';
+    groupLabel.id = id;
+    groupLabel.textContent = label;
+
+    group.appendChild(groupLabel);
+    return group;
+  };
+
   /**
    * Creates the Add to calendar control with improved accessibility
    * @returns {Object} Object containing container and interactive elements
@@ -1184,17 +4665,101 @@
     menu.setAttribute('role', 'menu');
     menu.setAttribute('aria-labelledby', 'calendar-summary');
 
-    const googleLink = createCalendarOptionLink({
-      label: 'Google Calendar',
-      href: buildGoogleCalendarUrl(),
+    let selectedScope = CALENDAR_SCOPE_WEEKEND;
+
+    const scopeOptions = [
+      { scope: CALENDAR_SCOPE_WEEKEND, getLabel: () => 'Entire weekend' },
+      ...ITINERARY.map((item) => ({
+        scope: item.id,
+        getLabel: () =>
+          `${item.title} (${formatEventDate(item.date, { weekday: 'short' })} ${formatEventTime(item.startTime)})`,
+      })),
+    ];
+
+    const scopeGroup = createCalendarMenuGroup({ id: 'calendar-scope-label', label: 'Events' });
+    const scopeRadios = scopeOptions.map(({ scope, getLabel }) => {
+      const radio = document.createElement('button');
+      radio.type = 'button';
+      radio.className = 'save-date-calendar-link save-date-calendar-option';
+      radio.setAttribute('role', 'menuitemradio');
+      radio.setAttribute('aria-checked', scope === selectedScope ? 'true' : 'false');
+      radio.dataset.scope = scope;
+      setFormattedDateText(radio, getLabel);
+      scopeGroup.appendChild(radio);
+      return radio;
+    });
+
+    let includeReminders = CALENDAR_REMINDERS.length > 0;
+
+    const reminderGroup = createCalendarMenuGroup({ id: 'calendar-reminder-label', label: 'Reminders' });
+    const reminderCheckbox = document.createElement('button');
+    reminderCheckbox.type = 'button';
+    reminderCheckbox.className = 'save-date-calendar-link save-date-calendar-option save-date-calendar-option--checkbox';
+    reminderCheckbox.setAttribute('role', 'menuitemcheckbox');
+    reminderCheckbox.setAttribute('aria-checked', includeReminders ? 'true' : 'false');
+    reminderCheckbox.textContent = `Include reminders (${CALENDAR_REMINDERS
+      .map(({ daysBefore }) => `${daysBefore} ${daysBefore === 1 ? 'day' : 'days'}`)
+      .join(', ')} before)`;
+    reminderCheckbox.title = 'Applies to the downloaded .ics file';
+    reminderGroup.appendChild(reminderCheckbox);
+
+    const providerGroup = createCalendarMenuGroup({ id: 'calendar-provider-label', label: 'Add to' });
+
+    const providerLinks = CALENDAR_LINK_PROVIDERS.map((provider) => {
+      const link = createCalendarOptionLink({
+        label: provider.label,
+        href: provider.buildUrl(getCalendarLinkEntryForScope(selectedScope)),
+      });
+      link.dataset.provider = provider.id;
+      return { provider, link };
     });
 
     const universalLink = createCalendarOptionLink({
-      label: 'Apple, Outlook & others (ICS)',
+      label: 'Apple, Outlook desktop & others (ICS)',
       download: true,
+      getScope: () => selectedScope,
+      getIcsOptions: () => ({ includeReminders: includeReminders && selectedScope === CALENDAR_SCOPE_WEEKEND }),
     });
+    universalLink.dataset.provider = 'ics';
+
+    providerGroup.append(...providerLinks.map(({ link }) => link), universalLink);
+
+    // Subscriptions follow the published feed, so later schedule or venue
+    // changes reach guests without a fresh download
+    const subscribeGroup = createCalendarMenuGroup({ id: 'calendar-subscribe-label', label: 'Stay updated' });
+    if (CALENDAR_EVENT.feedUrl) {
+      const webcalLink = createCalendarOptionLink({
+        label: 'Subscribe (Apple, Outlook & others)',
+        href: toWebcalUrl(CALENDAR_EVENT.feedUrl),
+        newTab: false,
+      });
+      webcalLink.dataset.subscribe = 'webcal';
+      const googleSubscribeLink = createCalendarOptionLink({
+        label: 'Subscribe in Google Calendar',
+        href: buildGoogleCalendarSubscribeUrl(CALENDAR_EVENT.feedUrl),
+      });
+      googleSubscribeLink.dataset.subscribe = 'google';
+      subscribeGroup.append(webcalLink, googleSubscribeLink);
+    }
+
+    const createSeparator = () => {
+      const separator = document.createElement('div');
+      separator.className = 'save-date-calendar-separator';
+      separator.setAttribute('role', 'separator');
+      return separator;
+    };
 
-    menu.append(googleLink, universalLink);
+    if (scopeOptions.length > 1) {
+      menu.append(scopeGroup, createSeparator());
+    }
+    const reminderSeparator = createSeparator();
+    if (CALENDAR_REMINDERS.length > 0) {
+      menu.append(reminderGroup, reminderSeparator);
+    }
+    menu.append(providerGroup);
+    if (CALENDAR_EVENT.feedUrl) {
+      menu.append(createSeparator(), subscribeGroup);
+    }
     details.append(summary, menu);
     container.append(details);
 
@@ -1202,15 +4767,57 @@
       summary.setAttribute('aria-expanded', expanded ? 'true' : 'false');
     };
 
+    const selectScope = (scope) => {
+      selectedScope = scope;
+      scopeRadios.forEach((radio) => {
+        radio.setAttribute('aria-checked', radio.dataset.scope === scope ? 'true' : 'false');
+      });
+      const entry = getCalendarLinkEntryForScope(scope);
+      providerLinks.forEach(({ provider, link }) => {
+        link.href = provider.buildUrl(entry);
+      });
+      // Reminders count down to the weekend, so single events go without them
+      reminderGroup.hidden = scope !== CALENDAR_SCOPE_WEEKEND;
+      reminderSeparator.hidden = reminderGroup.hidden;
+    };
+
+    scopeRadios.forEach((radio) => {
+      radio.addEventListener('click', (event) => {
+        event.preventDefault();
+        selectScope(radio.dataset.scope);
+      });
+    });
+
+    // Tell host pages which calendar the guest picked
+    menu.addEventListener('click', (event) => {
+      const link = event.target.closest('a.save-date-calendar-link');
+      if (!link) {
+        return;
+      }
+
+      const isSubscription = Boolean(link.dataset.subscribe);
+      dispatchLifecycleEvent(LIFECYCLE_EVENTS.calendarAdd, {
+        provider: isSubscription ? link.dataset.subscribe : link.dataset.provider,
+        scope: isSubscription ? CALENDAR_SCOPE_WEEKEND : selectedScope,
+        subscription: isSubscription,
+      });
+    });
+
+    reminderCheckbox.addEventListener('click', (event) => {
+      event.preventDefault();
+      includeReminders = !includeReminders;
+      reminderCheckbox.setAttribute('aria-checked', includeReminders ? 'true' : 'false');
+    });
+
     // Handle native details toggle event
-    const toggleCleanup = eventListenerManager.add(details, 'toggle', () => {
+    details.addEventListener('toggle', () => {
       setExpanded(details.open);
       
       // Focus management for accessibility
       if (details.open) {
         // Focus first menu item when opened
         requestAnimationFrame(() => {
-          const firstMenuItem = menu.querySelector('[role="menuitem"]');
+          const firstMenuItem = menu.querySelector(CALENDAR_MENU_ITEM_SELECTOR);
           if (firstMenuItem) {
             firstMenuItem.focus();
           }
@@ -1219,7 +4826,7 @@
     });
 
     // Enhanced keyboard navigation
-    const summaryKeydownCleanup = eventListenerManager.add(summary, 'keydown', (event) => {
+    summary.addEventListener('keydown', (event) => {
       if (event.key === 'Enter' || event.key === ' ') {
         event.preventDefault();
         details.open = !details.open;
@@ -1232,8 +4839,9 @@
     });
 
     // Menu keyboard navigation
-    const menuKeydownCleanup = eventListenerManager.add(menu, 'keydown', (event) => {
-      const menuItems = Array.from(menu.querySelectorAll('[role="menuitem"]'));
+    menu.addEventListener('keydown', (event) => {
+      const menuItems = Array.from(menu.querySelectorAll(CALENDAR_MENU_ITEM_SELECTOR))
+        .filter((item) => !item.closest('[hidden]'));
       const currentIndex = menuItems.indexOf(document.activeElement);
 
       switch (event.key) {
@@ -1279,24 +4887,28 @@
       }, 0);
     };
 
-    const clickCleanup = eventListenerManager.add(document, 'click', handleOutsideClick);
-    const focusCleanup = eventListenerManager.add(details, 'focusout', handleFocusOut);
+    document.addEventListener('click', handleOutsideClick);
+    details.addEventListener('focusout', handleFocusOut);
 
-    // Comprehensive cleanup function
-    const cleanup = () => {
-      toggleCleanup();
-      summaryKeydownCleanup();
-      menuKeydownCleanup();
-      clickCleanup();
-      focusCleanup();
+    // The document listener outlives the card; releaseCalendarControls calls this
+    container._cleanup = () => {
+      document.removeEventListener('click', handleOutsideClick);
     };
 
-    // Store cleanup function for potential future use
-    container._cleanup = cleanup;
-
     return { container, details };
   };
 
+  /**
+   * Removes the document listeners of any calendar menu inside an element
+   * that is about to be replaced
+   * @param {Element} element - Stage container or frame being emptied
+   */
+  const releaseCalendarControls = (element) => {
+    element?.querySelectorAll('.save-date-calendar').forEach((calendar) => {
+      calendar._cleanup?.();
+    });
+  };
+
   /**
    * Builds the complete save the date details interface
    * @returns {Object} Object containing wrapper and interactive elements
@@ -1310,12 +4922,24 @@
     eyebrow.className = 'eyebrow';
     eyebrow.textContent = 'Save the Date';
 
+    // Create personal greeting for invite links
+    const greeting = createSaveTheDateGreeting();
+
     // Create title section
     const title = createSaveTheDateTitle();
 
     // Create date/location section
     const dateLine = createSaveTheDateInfo();
 
+    // Create live countdown to the weekend
+    const liveCountdown = createLiveCountdown();
+
+    // Create weekend schedule
+    const schedule = createSaveTheDateSchedule();
+
+    // Create RSVP form
+    const rsvp = createSaveTheDateRsvp();
+
     // Create note
     const note = document.createElement('p');
     note.className = 'countdown-note save-date-note';
@@ -1323,7 +4947,14 @@
 
     // Create action buttons
     const calendarControls = createCalendarInviteControls();
-    const { actions, websiteLink, replayButton, sneakPeekButton } = createSaveTheDateActions();
+    const {
+      actions,
+      websiteLink,
+      replayButton,
+      sneakPeekButton,
+      addressButton,
+      preferencesButton,
+    } = createSaveTheDateActions();
 
     const header = document.createElement('div');
     header.className = 'save-date-header';
@@ -1331,12 +4962,20 @@
 
     // Assemble the interface
     wrapper.appendChild(header);
+    wrapper.appendChild(greeting);
     wrapper.appendChild(title);
     wrapper.appendChild(dateLine);
+    if (liveCountdown) {
+      wrapper.appendChild(liveCountdown);
+    }
+    if (schedule) {
+      wrapper.appendChild(schedule);
+    }
+    wrapper.appendChild(rsvp);
     wrapper.appendChild(note);
     wrapper.appendChild(actions);
 
-    return { wrapper, title, replayButton, sneakPeekButton, websiteLink };
+    return { wrapper, title, replayButton, sneakPeekButton, websiteLink, addressButton, preferencesButton };
   };
 
   /**
@@ -1375,13 +5014,14 @@
    * @param {Object} handlers - Object containing callback functions
    * @param {Function} [handlers.onReplay] - Replay button click handler
    * @param {Function} [handlers.onSneakPeek] - Sneak peek button click handler
+   * @param {Function} [handlers.onMailingAddress] - Mailing address button click handler
    */
   const wireSaveTheDateActions = (
-    { replayButton, sneakPeekButton },
-    { onReplay, onSneakPeek } = {}
+    { replayButton, sneakPeekButton, addressButton, preferencesButton },
+    { onReplay, onSneakPeek, onMailingAddress } = {}
   ) => {
     if (replayButton && typeof onReplay === 'function') {
-      eventListenerManager.add(replayButton, 'click', (event) => {
+      replayButton.addEventListener('click', (event) => {
         // Add loading state and feedback
         replayButton.setAttribute('aria-busy', 'true');
         replayButton.style.pointerEvents = 'none';
@@ -1399,7 +5039,7 @@
     }
 
     if (sneakPeekButton && typeof onSneakPeek === 'function') {
-      eventListenerManager.add(sneakPeekButton, 'click', (event) => {
+      sneakPeekButton.addEventListener('click', (event) => {
         // Add loading state and feedback
         sneakPeekButton.setAttribute('aria-busy', 'true');
         sneakPeekButton.style.pointerEvents = 'none';
@@ -1415,6 +5055,26 @@
         }
       });
     }
+
+    // Leave the sneak peek out of the card when its video is missing
+    if (sneakPeekButton) {
+      checkVideoAvailability('sneakPeek').then((isAvailable) => {
+        sneakPeekButton.hidden = !isAvailable;
+      });
+    }
+
+    if (addressButton && typeof onMailingAddress === 'function') {
+      addressButton.addEventListener('click', (event) => {
+        event.preventDefault();
+        onMailingAddress(event);
+      });
+    }
+
+    if (preferencesButton) {
+      preferencesButton.addEventListener('click', () => {
+        preferencesPanel.open(preferencesButton);
+      });
+    }
   };
 
   /**
@@ -1430,17 +5090,22 @@
     if (!targetContainer) return;
 
     stopCelebrationVideoPlayback();
+    enterStage(STAGE_ROUTES.details);
 
     const elements = buildSaveTheDateDetails();
+    releaseCalendarControls(targetContainer);
     targetContainer.innerHTML = '';
     targetContainer.appendChild(elements.wrapper);
     
     wireSaveTheDateActions(elements, {
       onReplay: () => {
-        showCelebrationVideo({ targetContainer, withCelebrateEffectsOnComplete: false });
+        navigateToStage(STAGE_ROUTES.video);
       },
       onSneakPeek: () => {
-        showSneakPeekVideo({ targetContainer });
+        navigateToStage(STAGE_ROUTES.sneakPeek);
+      },
+      onMailingAddress: () => {
+        navigateToStage(STAGE_ROUTES.mailingAddress);
       },
     });
     
@@ -1461,36 +5126,49 @@
 
     const videoHashtag = document.createElement('p');
     videoHashtag.className = 'video-hashtag';
-    videoHashtag.textContent = '#BECOMINGCUMMINGS';
+    videoHashtag.textContent = EVENT_DISPLAY.hashtag;
 
     const videoFrame = document.createElement('div');
     videoFrame.className = 'countdown-video-frame countdown-video-frame--embedded';
 
     const celebrationVideo = getCelebrationVideoElement();
     celebrationVideo.pause();
+    // Hidden by the error state of an earlier attempt
+    celebrationVideo.hidden = false;
+    if (celebrationVideo.error) {
+      // Setting the source again makes the browser retry the download
+      applyVideoSource(celebrationVideo, 'celebration');
+    }
     celebrationVideo.currentTime = 0;
     enableSoundOnPlayback(celebrationVideo);
-    celebrationVideo.autoplay = true;
+    applyVideoLoading(celebrationVideo);
     celebrationVideo.controls = true;
     celebrationVideo.setAttribute('playsinline', '');
 
     videoFrame.appendChild(celebrationVideo);
+    const playButton = createTapToPlayButton(celebrationVideo, 'Play the celebration video');
+    if (playButton) {
+      videoFrame.appendChild(playButton);
+    }
+    const captionControls = createCaptionControls(celebrationVideo);
+    if (captionControls) {
+      videoFrame.appendChild(captionControls.toggle);
+    }
 
     const videoDetails = document.createElement('div');
     videoDetails.className = 'celebration-video-details';
 
     const celebrationDate = document.createElement('p');
     celebrationDate.className = 'countdown-note celebration-video-detail';
-    celebrationDate.textContent = '9/12/2026';
+    setFormattedDateText(celebrationDate, () => EVENT_DISPLAY.dateNumeric);
 
     const celebrationVenue = document.createElement('p');
     celebrationVenue.className = 'countdown-note celebration-video-detail';
-    // Make venue name configurable via data attribute, fallback to default
-    celebrationVenue.textContent = wrapper?.dataset?.venueName || 'Chalet View Lodge';
+    celebrationVenue.textContent = EVENT_DISPLAY.venueName;
 
     const celebrationLocation = document.createElement('p');
     celebrationLocation.className = 'countdown-note celebration-video-detail';
-    celebrationLocation.textContent = 'Portola CA';
+    celebrationLocation.textContent = EVENT_DISPLAY.cityShort;
 
     videoDetails.appendChild(celebrationDate);
     videoDetails.appendChild(celebrationVenue);
@@ -1499,6 +5177,9 @@
     wrapper.appendChild(videoHashtag);
     wrapper.appendChild(videoFrame);
     wrapper.appendChild(videoDetails);
+    if (captionControls) {
+      wrapper.appendChild(captionControls.transcript);
+    }
 
     return { wrapper, celebrationVideo };
   };
@@ -1520,15 +5201,25 @@
 
     const video = document.createElement('video');
     video.className = 'countdown-video countdown-video--embedded sneak-peek-embed';
-    video.src = VENUE_SNEAK_PEEK_VIDEO_SOURCE;
+    applyVideoSource(video, 'sneakPeek');
     video.controls = true;
-    video.preload = 'auto';
-    video.autoplay = true;
     video.setAttribute('playsinline', '');
     video.setAttribute('aria-label', 'Sneak peek of the celebration venue');
+    addVideoTracks(video, 'sneakPeek');
     enableSoundOnPlayback(video);
+    video.addEventListener('ended', () => {
+      dispatchLifecycleEvent(LIFECYCLE_EVENTS.videoEnded, { video: 'sneak-peek' });
+    });
 
     videoFrame.appendChild(video);
+    const playButton = createTapToPlayButton(video, 'Play the venue sneak peek');
+    if (playButton) {
+      videoFrame.appendChild(playButton);
+    }
+    const captionControls = createCaptionControls(video);
+    if (captionControls) {
+      videoFrame.appendChild(captionControls.toggle);
+    }
 
     const caption = document.createElement('p');
     caption.className = 'countdown-note sneak-peek-caption';
@@ -1539,11 +5230,132 @@
     wrapper.appendChild(videoHashtag);
     wrapper.appendChild(videoFrame);
     wrapper.appendChild(caption);
+    if (captionControls) {
+      wrapper.appendChild(captionControls.transcript);
+    }
     wrapper.appendChild(backButton);
 
     return { wrapper, video, backButton };
   };
 
+  // MediaError code for a source that is missing (404) or cannot be played
+  const MEDIA_ERR_SRC_NOT_SUPPORTED = 4;
+
+  /**
+   * Tells a missing or unplayable video file apart from connection trouble.
+   * Browsers report both a 404 and an unsupported file as
+   * MEDIA_ERR_SRC_NOT_SUPPORTED, and some report being offline that way too.
+   * @param {HTMLVideoElement} video - Video that failed
+   * @returns {boolean} True when trying again cannot help
+   */
+  const isVideoUnavailable = (video) =>
+    video.error?.code === MEDIA_ERR_SRC_NOT_SUPPORTED && navigator.onLine !== false;
+
+  /**
+   * Replaces a video that failed to load with the shared error state: the
+   * poster, or a gallery photo when there is none, behind a message and a
+   * way back to the details. Connection trouble also gets a retry button;
+   * a missing file does not, as retrying would fail the same way.
+   * @param {HTMLVideoElement} video - Video that failed
+   * @param {Object} options - Error state options
+   * @param {string} options.message - What could not be shown
+   * @param {Function} options.onRetry - Shows the stage again
+   */
+  const showVideoErrorState = (video, { message, onRetry }) => {
+    const videoFrame = video.closest('.countdown-video-frame');
+    if (!videoFrame || videoFrame.querySelector('.video-error')) {
+      return;
+    }
+
+    const hadFocus = videoFrame.contains(document.activeElement);
+    video.hidden = true;
+    videoFrame.querySelectorAll('.video-play-button, .video-captions-toggle').forEach((control) => {
+      control.hidden = true;
+    });
+    videoFrame.closest('.countdown-wrapper')?.querySelector('.video-transcript')?.setAttribute('hidden', '');
+
+    const errorState = document.createElement('div');
+    errorState.className = 'video-error';
+
+    const fallbackSource = video.poster || GALLERY_PHOTOS[GALLERY_PHOTOS.length - 1]?.src;
+    if (fallbackSource) {
+      const image = document.createElement('img');
+      image.className = 'video-error__image';
+      image.src = fallbackSource;
+      image.alt = '';
+      errorState.appendChild(image);
+    }
+
+    const content = document.createElement('div');
+    content.className = 'video-error__content';
+
+    const messageElement = document.createElement('p');
+    messageElement.className = 'video-error__message';
+    messageElement.setAttribute('role', 'alert');
+    messageElement.textContent = message;
+
+    const isUnavailable = isVideoUnavailable(video);
+
+    const hint = document.createElement('p');
+    hint.className = 'video-error__hint';
+    hint.textContent = isUnavailable
+      ? 'This video is not available right now.'
+      : 'Check your connection and try again.';
+
+    content.append(messageElement, hint);
+
+    let retryButton = null;
+    if (!isUnavailable) {
+      retryButton = document.createElement('button');
+      retryButton.type = 'button';
+      retryButton.className = 'video-error__button';
+      retryButton.textContent = 'Try again';
+      retryButton.addEventListener('click', onRetry, { once: true });
+      content.appendChild(retryButton);
+    }
+
+    // The sneak peek already has a back button under the video
+    let backButton = videoFrame.closest('.countdown-wrapper')?.querySelector('.save-date-back-button') ?? null;
+    if (!backButton) {
+      backButton = document.createElement('button');
+      backButton.type = 'button';
+      backButton.className = 'video-error__button video-error__button--secondary';
+      backButton.textContent = 'Back to details';
+      backButton.addEventListener('click', () => {
+        returnToDetails();
+      }, { once: true });
+      content.appendChild(backButton);
+    }
+
+    errorState.appendChild(content);
+    videoFrame.appendChild(errorState);
+
+    if (hadFocus) {
+      (retryButton ?? backButton).focus();
+    }
+  };
+
+  /**
+   * Shows the error state when the venue sneak peek fails to load, and
+   * remembers a missing file so the details card can hide its button
+   * @param {HTMLVideoElement} video - Sneak peek video
+   * @param {Function} onRetry - Shows the sneak peek again
+   */
+  const watchSneakPeekLoading = (video, onRetry) => {
+    video.addEventListener('loadeddata', () => {
+      setVideoAvailability('sneakPeek', true);
+    }, { once: true });
+    video.addEventListener('error', () => {
+      if (isVideoUnavailable(video)) {
+        setVideoAvailability('sneakPeek', false);
+      }
+      showVideoErrorState(video, {
+        message: 'The venue sneak peek could not be loaded.',
+        onRetry,
+      });
+    }, { once: true });
+  };
+
   // =====================================================================
   // VIDEO DISPLAY CONTROLLERS
   // =====================================================================
@@ -1556,46 +5368,64 @@
    * @param {Function} [options.onVideoError] - Callback on video error
    * @param {boolean} [options.withCelebrateEffectsOnComplete=true] - Whether to show effects
    */
-  const showCelebrationVideo = ({
-    targetContainer = cardShell,
-    onVideoEnded,
-    onVideoError,
-    withCelebrateEffectsOnComplete = true,
-  } = {}) => {
+  const showCelebrationVideo = (options = {}) => {
+    const {
+      targetContainer = cardShell,
+      onVideoEnded,
+      onVideoError,
+      withCelebrateEffectsOnComplete = true,
+    } = options;
     if (!targetContainer) return;
 
+    enterStage(STAGE_ROUTES.video);
+
     const { wrapper, celebrationVideo } = buildCelebrationVideo();
+    releaseCalendarControls(targetContainer);
     targetContainer.innerHTML = '';
     targetContainer.appendChild(wrapper);
+    crossfadeMusicIntoVideo(celebrationVideo);
 
     const resolvedOnEnded = typeof onVideoEnded === 'function'
       ? onVideoEnded
       : () => {
-          if (withCelebrateEffectsOnComplete) {
-            showSaveTheDateDetails({ targetContainer, withCelebrateEffects: true });
-          } else {
-            showSaveTheDateDetails({ targetContainer });
-          }
+          returnToDetails({ withCelebrateEffects: withCelebrateEffectsOnComplete });
         };
 
     const resolvedOnError = typeof onVideoError === 'function'
       ? onVideoError
       : () => {
-          showSaveTheDateDetails({ targetContainer });
+          showVideoErrorState(celebrationVideo, {
+            message: 'The celebration video could not be loaded.',
+            onRetry: () => showCelebrationVideo(options),
+          });
         };
 
     attachCelebrationVideoHandlers(celebrationVideo, {
       onEnded: () => {
-        window.setTimeout(resolvedOnEnded, VIDEO_COMPLETE_DELAY_MS);
+        dispatchLifecycleEvent(LIFECYCLE_EVENTS.videoEnded, { video: 'celebration' });
+        window.setTimeout(() => {
+          // The guest may have moved on while the video wrapped up
+          if (getStageRouteFromUrl() === STAGE_ROUTES.video) {
+            resolvedOnEnded();
+          }
+        }, VIDEO_COMPLETE_DELAY_MS);
       },
       onError: () => {
         resolvedOnError();
       },
     });
 
-    safelyPlayVideo(celebrationVideo, {
+    playVideoWhenAllowed(celebrationVideo, {
       onError: () => {
-        resolvedOnError();
+        // Download failures reach the error handler above
+        if (celebrationVideo.error) {
+          return;
+        }
+        if (typeof onVideoError === 'function') {
+          onVideoError();
+        } else {
+          returnToDetails();
+        }
       },
     });
   };
@@ -1609,22 +5439,25 @@
     if (!targetContainer) return;
 
     stopCelebrationVideoPlayback();
+    enterStage(STAGE_ROUTES.sneakPeek);
 
     const { wrapper, video, backButton } = buildSneakPeekVideo();
 
+    releaseCalendarControls(targetContainer);
     targetContainer.innerHTML = '';
     targetContainer.appendChild(wrapper);
 
     if (backButton) {
-      eventListenerManager.add(backButton, 'click', () => {
-        showSaveTheDateDetails({ targetContainer });
+      backButton.addEventListener('click', () => {
+        returnToDetails();
       });
     }
 
     if (video) {
       video.currentTime = 0;
+      watchSneakPeekLoading(video, () => showSneakPeekVideo({ targetContainer }));
 
-      safelyPlayVideo(video, {
+      playVideoWhenAllowed(video, {
         onError: (error) => {
           // Always log the error, regardless of its truthiness, and provide type context
           console.info(
@@ -1638,6 +5471,29 @@
     }
   };
 
+  /**
+   * Shows the mailing address form in the specified container
+   * @param {Object} options - Configuration options
+   * @param {HTMLElement} [options.targetContainer] - Target container element
+   */
+  const showMailingAddressForm = ({ targetContainer = cardShell } = {}) => {
+    if (!targetContainer) return;
+
+    stopCelebrationVideoPlayback();
+    enterStage(STAGE_ROUTES.mailingAddress);
+
+    const { wrapper, heading, backButton } = buildMailingAddressForm();
+
+    releaseCalendarControls(targetContainer);
+    targetContainer.innerHTML = '';
+    targetContainer.appendChild(wrapper);
+    heading.focus();
+
+    backButton.addEventListener('click', () => {
+      returnToDetails();
+    });
+  };
+
   // Mobile experience helpers ----------------------------------------
   const createMobileFrame = (additionalClassName = '') => {
     const frame = document.createElement('div');
@@ -1656,6 +5512,7 @@
     const existingFrame = mobileStage.firstElementChild;
 
     const placeNewFrame = () => {
+      releaseCalendarControls(mobileStage);
       mobileStage.replaceChildren(newFrame);
       if (prefersReducedMotion) {
         newFrame.classList.add('is-visible');
@@ -1680,6 +5537,7 @@
     }
 
     stopCelebrationVideoPlayback();
+    enterStage(STAGE_ROUTES.details);
 
     const elements = buildSaveTheDateDetails();
     const frame = createMobileFrame('mobile-frame--card');
@@ -1689,10 +5547,13 @@
 
     wireSaveTheDateActions(elements, {
       onReplay: () => {
-        showMobileVideo();
+        navigateToStage(STAGE_ROUTES.video);
       },
       onSneakPeek: () => {
-        showMobileSneakPeek();
+        navigateToStage(STAGE_ROUTES.sneakPeek);
+      },
+      onMailingAddress: () => {
+        navigateToStage(STAGE_ROUTES.mailingAddress);
       },
     });
 
@@ -1712,6 +5573,8 @@
       return;
     }
 
+    enterStage(STAGE_ROUTES.video);
+
     const { wrapper, celebrationVideo } = buildCelebrationVideo();
     const frame = createMobileFrame('mobile-frame--video');
     if (!prefersReducedMotion && isFromFinalPhoto) {
@@ -1720,21 +5583,31 @@
     frame.appendChild(wrapper);
 
     swapMobileFrame(frame);
+    crossfadeMusicIntoVideo(celebrationVideo);
 
     attachCelebrationVideoHandlers(celebrationVideo, {
       onEnded: () => {
+        dispatchLifecycleEvent(LIFECYCLE_EVENTS.videoEnded, { video: 'celebration' });
         window.setTimeout(() => {
-          showMobileSaveTheDate({ withCelebrateEffects: true });
+          if (getStageRouteFromUrl() === STAGE_ROUTES.video) {
+            returnToDetails({ withCelebrateEffects: true });
+          }
         }, VIDEO_COMPLETE_DELAY_MS);
       },
       onError: () => {
-        showMobileSaveTheDate({ withCelebrateEffects: false });
+        showVideoErrorState(celebrationVideo, {
+          message: 'The celebration video could not be loaded.',
+          onRetry: () => showMobileVideo(),
+        });
       },
     });
 
-    safelyPlayVideo(celebrationVideo, {
+    playVideoWhenAllowed(celebrationVideo, {
       onError: () => {
-        showMobileSaveTheDate({ withCelebrateEffects: false });
+        // Download failures reach the error handler above
+        if (!celebrationVideo.error) {
+          returnToDetails();
+        }
       },
     });
   };
@@ -1746,6 +5619,7 @@
     }
 
     stopCelebrationVideoPlayback();
+    enterStage(STAGE_ROUTES.sneakPeek);
 
     const { wrapper, video, backButton } = buildSneakPeekVideo();
 
@@ -1756,8 +5630,9 @@
 
     if (video) {
       video.currentTime = 0;
+      watchSneakPeekLoading(video, showMobileSneakPeek);
 
-      safelyPlayVideo(video, {
+      playVideoWhenAllowed(video, {
         onError: (error) => {
           if (error) {
             console.info('Sneak peek video playback could not start automatically.', error);
@@ -1767,72 +5642,284 @@
     }
 
     if (backButton) {
-      eventListenerManager.add(backButton, 'click', () => {
-        showMobileSaveTheDate({ withCelebrateEffects: false });
+      backButton.addEventListener('click', () => {
+        returnToDetails();
       });
     }
   };
 
-  const showMobilePhotoAtIndex = (index, cycleIndex = 0) => {
+  const showMobileMailingAddress = () => {
     if (!mobileStage) {
+      showMailingAddressForm({ targetContainer: cardShell });
       return;
     }
 
-    if (cycleIndex >= mobilePhotoLoopCount) {
-      showMobileVideo();
-      return;
-    }
+    stopCelebrationVideoPlayback();
+    enterStage(STAGE_ROUTES.mailingAddress);
 
-    if (index >= mobilePhotoDetails.length) {
-      showMobilePhotoAtIndex(0, cycleIndex + 1);
-      return;
-    }
+    const { wrapper, heading, backButton } = buildMailingAddressForm();
 
-    const photoDetails = mobilePhotoDetails[index];
-    if (!photoDetails || !photoDetails.src) {
-      window.setTimeout(() => {
-        showMobilePhotoAtIndex(index + 1, cycleIndex);
-      }, 0);
-      return;
-    }
+    const frame = createMobileFrame('mobile-frame--card');
+    frame.appendChild(wrapper);
+
+    swapMobileFrame(frame);
+    // Move focus once the new frame has replaced the details card
+    window.setTimeout(() => {
+      heading.focus();
+    }, prefersReducedMotion ? 0 : CELEBRATION_TRANSITION_DELAY_MS);
+
+    backButton.addEventListener('click', () => {
+      returnToDetails();
+    });
+  };
 
+  /**
+   * Shows one slideshow photo
+   * @param {Object} photoDetails - Photo source and alt text
+   * @param {boolean} isFinalPhoto - Whether the photo zooms into the video
+   */
+  const showMobilePhoto = (photoDetails, isFinalPhoto) => {
     const frame = createMobileFrame('mobile-frame--photo');
     const image = document.createElement('img');
     image.src = photoDetails.src;
     image.alt = photoDetails.alt || '';
-    const isFinalPhoto =
-      !prefersReducedMotion &&
-      cycleIndex === mobilePhotoLoopCount - 1 &&
-      index === mobilePhotoDetails.length - 1;
+    image.style.objectPosition = photoDetails.objectPosition;
     if (isFinalPhoto) {
       frame.classList.add('mobile-frame--photo-final');
       image.classList.add('mobile-frame__image--final');
     }
     frame.appendChild(image);
 
+    if (photoDetails.caption) {
+      const caption = document.createElement('p');
+      caption.className = 'mobile-frame__caption';
+      caption.textContent = photoDetails.caption;
+      frame.appendChild(caption);
+    }
+
     swapMobileFrame(frame);
+  };
+
+  // Mobile slideshow controls -----------------------------------------
+
+  /**
+   * Creates the stories-style controls laid over the mobile slideshow: a
+   * progress bar per photo, tap to pause, swipes and arrow keys to move
+   * between photos, and buttons for all of these plus skipping to the
+   * video. Moving between photos seeks the intro timeline, so the
+   * slideshow carries on from the chosen photo.
+   * @returns {Object} Controls with attach, setCurrentPhoto and detach
+   */
+  const createMobileSlideshowControls = () => {
+    let photoStarts = [];
+    let videoStart = 0;
+    let currentIndex = -1;
+    let bars = [];
+    let touchStart = null;
+    let keydownCleanup = null;
+
+    const element = document.createElement('div');
+    element.className = 'slideshow-controls';
+    element.setAttribute('role', 'group');
+    element.setAttribute('aria-label', 'Slideshow controls');
+    // Only the status line is announced, not every button label change
+    element.setAttribute('aria-live', 'off');
+
+    // Taps and swipes land on a layer over the photo; screen reader and
+    // keyboard users get the same actions from the buttons
+    const surface = document.createElement('div');
+    surface.className = 'slideshow-controls__surface';
+    surface.setAttribute('aria-hidden', 'true');
+
+    const progress = document.createElement('div');
+    progress.className = 'slideshow-progress';
+    progress.setAttribute('aria-hidden', 'true');
+
+    const status = document.createElement('p');
+    status.className = 'visually-hidden';
+    status.setAttribute('role', 'status');
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'slideshow-controls__toolbar';
+
+    const prevButton = createIconButton('slideshow-controls__button', 'Previous photo', ICON_PATHS.previous);
+    const toggleButton = createIconButton('slideshow-controls__button', 'Pause slideshow', ICON_PATHS.pause);
+    const nextButton = createIconButton('slideshow-controls__button', 'Next photo', ICON_PATHS.next);
+    const skipButton = document.createElement('button');
+    skipButton.type = 'button';
+    skipButton.className = 'slideshow-controls__skip';
+    skipButton.textContent = 'Skip to video';
+
+    toolbar.append(prevButton, toggleButton, nextButton, skipButton);
+    element.append(surface, progress, toolbar, status);
+
+    /**
+     * Seeks to a photo, or to the video when moving past the last one
+     * @param {number} index - Photo index
+     */
+    const goToPhoto = (index) => {
+      const target = index >= photoStarts.length ? videoStart : photoStarts[Math.max(0, index)];
+      experienceTimeline.seek(target);
+    };
+
+    const togglePause = () => {
+      if (experienceTimeline.getState().isPaused) {
+        experienceTimeline.resume('user');
+      } else {
+        experienceTimeline.pause('user');
+      }
+    };
+
+    const renderPauseState = (isPaused) => {
+      toggleButton.setAttribute('aria-label', isPaused ? 'Play slideshow' : 'Pause slideshow');
+      toggleButton.setAttribute('aria-pressed', isPaused ? 'true' : 'false');
+      toggleButton.querySelector('path').setAttribute('d', isPaused ? ICON_PATHS.play : ICON_PATHS.pause);
+    };
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'ArrowRight') {
+        event.preventDefault();
+        goToPhoto(currentIndex + 1);
+      } else if (event.key === 'ArrowLeft') {
+        event.preventDefault();
+        goToPhoto(currentIndex - 1);
+      }
+    };
+
+    // The controls outlive each photo frame, so their own listeners are
+    // attached once instead of through eventListenerManager
+    prevButton.addEventListener('click', () => goToPhoto(currentIndex - 1));
+    nextButton.addEventListener('click', () => goToPhoto(currentIndex + 1));
+    toggleButton.addEventListener('click', togglePause);
+    skipButton.addEventListener('click', () => goToPhoto(photoStarts.length));
+    surface.addEventListener('click', togglePause);
+    surface.addEventListener('touchstart', (event) => {
+      const touch = event.touches[0];
+      touchStart = event.touches.length === 1 ? { x: touch.clientX, y: touch.clientY } : null;
+    }, { passive: true });
+    surface.addEventListener('touchend', (event) => {
+      const touch = event.changedTouches[0];
+      const direction = touchStart && touch ? getSwipeDirection(touchStart, touch) : 0;
+      touchStart = null;
+      if (direction !== 0) {
+        // A swipe is not a tap, so keep the browser from following it with a click
+        event.preventDefault();
+        goToPhoto(currentIndex + direction);
+      }
+    });
 
+    /**
+     * Shows the controls for a slideshow
+     * @param {number[]} starts - Timeline offset of each photo
+     * @param {number} videoAt - Timeline offset of the video
+     */
+    const attach = (starts, videoAt) => {
+      photoStarts = starts;
+      videoStart = videoAt;
+      currentIndex = -1;
+      bars = starts.map((start, index) => {
+        const bar = document.createElement('span');
+        bar.className = 'slideshow-progress__bar';
+        const fill = document.createElement('span');
+        fill.className = 'slideshow-progress__fill';
+        bar.appendChild(fill);
+        bar.style.setProperty('--slideshow-photo-duration', `${(starts[index + 1] ?? videoAt) - start}ms`);
+        return bar;
+      });
+      progress.replaceChildren(...bars);
+      renderPauseState(experienceTimeline.getState().isPaused);
+
+      mobileStage?.parentElement?.appendChild(element);
+      document.body.classList.add('has-slideshow-controls');
+      keydownCleanup = eventListenerManager.add(document, 'keydown', handleKeyDown);
+    };
+
+    /**
+     * Marks the photo on screen, filling the bars before it and restarting
+     * the bar for this photo
+     * @param {number} index - Photo index
+     */
+    const setCurrentPhoto = (index) => {
+      currentIndex = index;
+      bars.forEach((bar, barIndex) => {
+        const fill = document.createElement('span');
+        fill.className = 'slideshow-progress__fill';
+        fill.classList.toggle('is-complete', barIndex < index);
+        fill.classList.toggle('is-current', barIndex === index);
+        // A new element restarts the fill animation after seeking
+        bar.replaceChildren(fill);
+      });
+      prevButton.disabled = index <= 0;
+      status.textContent = `Photo ${index + 1} of ${photoStarts.length}`;
+    };
+
+    const detach = () => {
+      if (!element.isConnected) {
+        return;
+      }
+
+      keydownCleanup?.();
+      keydownCleanup = null;
+      document.body.classList.remove('has-slideshow-controls');
+      element.remove();
+    };
+
+    experienceTimeline.onStateChange(({ isRunning, isPaused }) => {
+      if (!element.isConnected) {
+        return;
+      }
+      if (!isRunning) {
+        detach();
+      } else {
+        renderPauseState(isPaused);
+      }
+    });
+
+    return { attach, setCurrentPhoto, detach };
+  };
+
+  const mobileSlideshowControls = createMobileSlideshowControls();
+
+  /**
+   * Lays out the mobile slideshow on the timeline, ending with the video
+   * @returns {Array<{at: number, run: Function}>} Timeline cues
+   */
+  const createMobileSlideshowCues = () => {
+    const cues = [];
+    const photos = mobilePhotoDetails.filter((photoDetails) => photoDetails.src);
     const transitionDelay = prefersReducedMotion ? 0 : CELEBRATION_TRANSITION_DELAY_MS;
-    const displayDuration = getMobilePhotoDisplayDuration({ cycleIndex, photoIndex: index });
     const minimumDelay = transitionDelay > 0
       ? transitionDelay + MOBILE_PHOTO_TRANSITION_BUFFER_MS
       : 0;
-    const scheduleDelay = Math.max(displayDuration, minimumDelay);
+    let offset = 0;
+    let endsOnFinalPhoto = false;
+
+    for (let cycleIndex = 0; cycleIndex < mobilePhotoLoopCount; cycleIndex += 1) {
+      photos.forEach((photoDetails, index) => {
+        const isFinalPhoto =
+          !prefersReducedMotion &&
+          cycleIndex === mobilePhotoLoopCount - 1 &&
+          index === photos.length - 1;
+        const photoIndex = cycleIndex * photos.length + index;
+        cues.push({
+          at: offset,
+          run: () => {
+            showMobilePhoto(photoDetails, isFinalPhoto);
+            mobileSlideshowControls.setCurrentPhoto(photoIndex);
+          },
+        });
 
-    if (isFinalPhoto) {
-      const finalDelay = Math.max(
-        MOBILE_FINAL_PHOTO_ANIMATION_DURATION_MS + MOBILE_FINAL_PHOTO_ADDITIONAL_DELAY_MS,
-        scheduleDelay
-      );
-      window.setTimeout(() => {
-        showMobileVideo({ isFromFinalPhoto: true });
-      }, finalDelay);
-      return;
+        const displayDuration = getMobilePhotoDisplayDuration({ cycleIndex, photoIndex: index });
+        const scheduleDelay = Math.max(displayDuration, minimumDelay);
+        offset += isFinalPhoto
+          ? Math.max(MOBILE_FINAL_PHOTO_ANIMATION_DURATION_MS + MOBILE_FINAL_PHOTO_ADDITIONAL_DELAY_MS, scheduleDelay)
+          : scheduleDelay;
+        endsOnFinalPhoto = isFinalPhoto;
+      });
     }
 
-    window.setTimeout(() => {
-      showMobilePhotoAtIndex(index + 1, cycleIndex);
-    }, scheduleDelay);
+    cues.push({ at: offset, run: () => showMobileVideo({ isFromFinalPhoto: endsOnFinalPhoto }) });
+    return cues;
   };
 
   const startMobileSequence = () => {
@@ -1841,23 +5928,34 @@
       return;
     }
 
-    if (mobilePhotoDetails.length === 0) {
+    if (!mobilePhotoDetails.some((photoDetails) => photoDetails.src)) {
       showMobileVideo();
       return;
     }
 
-    showMobilePhotoAtIndex(0, 0);
+    enterStage(EXPERIENCE_STAGES.slideshow);
+    const cues = createMobileSlideshowCues();
+    const videoCue = cues[cues.length - 1];
+    mobileSlideshowControls.attach(cues.slice(0, -1).map((cue) => cue.at), videoCue.at);
+    experienceTimeline.play(cues);
   };
 
   // Countdown flow ----------------------------------------------------
-  const handleCountdownTick = () => {
+
+  /**
+   * Shows the countdown at a step, revealing one border cell per step
+   * @param {number} step - Steps since the countdown started
+   */
+  const showCountdownStep = (step) => {
     if (!countdownNumber) {
       return;
     }
 
-    currentValue -= 1;
+    currentValue = Math.max(0, countdownStart - step);
     countdownNumber.classList.add('is-transitioning');
     playTransitionSound();
+    // Spread the photos over the steps so the last one appears at zero
+    setRevealedBorderCells(Math.ceil(((step + 1) / (countdownStart + 1)) * borderCells.length));
 
     if (currentValue <= 0) {
       countdownNumber.textContent = '0';
@@ -1872,18 +5970,12 @@
       document.body.appendChild(announcement);
       setTimeout(() => announcement.remove(), 3000);
       
-      window.clearInterval(countdownIntervalId);
-      revealNextBorderCell();
       if (countdownNote) {
         countdownNote.textContent = 'Get ready for the celebration!';
       }
-      window.setTimeout(() => {
-        showCelebrationVideo();
-      }, COUNTDOWN_COMPLETE_VIDEO_DELAY_MS);
     } else {
       countdownNumber.textContent = String(currentValue);
       countdownNumber.setAttribute('aria-label', `Countdown at ${currentValue}`);
-      revealNextBorderCell();
     }
 
     window.setTimeout(() => {
@@ -1891,6 +5983,22 @@
     }, COUNTDOWN_TRANSITION_RESET_MS);
   };
 
+  /**
+   * Lays out the countdown on the timeline, ending with the celebration video
+   * @returns {Array<{at: number, run: Function}>} Timeline cues
+   */
+  const createCountdownCues = () => {
+    const cues = [];
+    for (let step = 0; step <= countdownStart; step += 1) {
+      cues.push({ at: step * COUNTDOWN_INTERVAL_MS, run: () => showCountdownStep(step) });
+    }
+    cues.push({
+      at: countdownStart * COUNTDOWN_INTERVAL_MS + COUNTDOWN_COMPLETE_VIDEO_DELAY_MS,
+      run: () => showCelebrationVideo(),
+    });
+    return cues;
+  };
+
   const startCountdownFlow = () => {
     if (isMobileExperienceActive) {
       primeMobileCelebrationVideoPlayback();
@@ -1903,11 +6011,8 @@
       return;
     }
 
-    countdownNumber.textContent = String(currentValue);
-    countdownNumber.setAttribute('aria-label', `Countdown at ${currentValue}`);
-    revealNextBorderCell();
-    playTransitionSound();
-    countdownIntervalId = window.setInterval(handleCountdownTick, COUNTDOWN_INTERVAL_MS);
+    enterStage(EXPERIENCE_STAGES.countdown);
+    experienceTimeline.play(createCountdownCues());
   };
 
   // Overlay lifecycle -------------------------------------------------
@@ -1935,6 +6040,7 @@
 
     const context = getAudioContext();
     resumeContextIfSuspended(context);
+    startBackgroundMusic();
 
     if (isMobileExperienceActive) {
       primeMobileCelebrationVideoPlayback();
@@ -1955,6 +6061,20 @@
     }
   };
 
+  /**
+   * Clears the intro overlay and shows a stage straight away
+   * @param {string} route - Stage route to show
+   */
+  const bypassIntro = (route) => {
+    hasStarted = true;
+
+    // Clean up all tracked event listeners using the manager
+    eventListenerManager.cleanup();
+    gracefullyHideStartOverlay();
+
+    showStage(route);
+  };
+
   const skipExperience = (event) => {
     if (event) {
       event.preventDefault();
@@ -1965,17 +6085,78 @@
       return;
     }
 
-    hasStarted = true;
+    bypassIntro(STAGE_ROUTES.details);
+  };
 
-    // Clean up all tracked event listeners using the manager
-    eventListenerManager.cleanup();
-    gracefullyHideStartOverlay();
+  // Stage navigation --------------------------------------------------
 
-    if (isMobileExperienceActive) {
-      showMobileSaveTheDate({ withCelebrateEffects: false });
-    } else {
-      showSaveTheDateDetails({ withCelebrateEffects: false });
+  /**
+   * Shows a stage in the layout that is currently active
+   * @param {string} route - Stage route
+   * @param {Object} [options] - Display options
+   * @param {boolean} [options.withCelebrateEffects=false] - Whether the details card celebrates
+   */
+  const showStage = (route, { withCelebrateEffects = false } = {}) => {
+    const stages = isMobileExperienceActive
+      ? {
+          [STAGE_ROUTES.details]: () => showMobileSaveTheDate({ withCelebrateEffects }),
+          [STAGE_ROUTES.video]: () => showMobileVideo(),
+          [STAGE_ROUTES.sneakPeek]: () => showMobileSneakPeek(),
+          [STAGE_ROUTES.mailingAddress]: () => showMobileMailingAddress(),
+        }
+      : {
+          [STAGE_ROUTES.details]: () => showSaveTheDateDetails({ withCelebrateEffects }),
+          [STAGE_ROUTES.video]: () => showCelebrationVideo({ withCelebrateEffectsOnComplete: false }),
+          [STAGE_ROUTES.sneakPeek]: () => showSneakPeekVideo(),
+          [STAGE_ROUTES.mailingAddress]: () => showMailingAddressForm(),
+        };
+
+    stages[route]?.();
+  };
+
+  /**
+   * Opens a stage as a new history entry, so the back button returns here
+   * @param {string} route - Stage route
+   */
+  const navigateToStage = (route) => {
+    pushStageRoute(route);
+    showStage(route);
+  };
+
+  /**
+   * Goes back to the details card. When the current stage was opened from
+   * the details card this steps back through history instead of stacking
+   * another details entry on top.
+   * @param {Object} [options] - Display options
+   * @param {boolean} [options.withCelebrateEffects=false] - Whether the details card celebrates
+   */
+  const returnToDetails = ({ withCelebrateEffects = false } = {}) => {
+    if (window.history.state?.from === STAGE_ROUTES.details) {
+      window.history.back();
+      return;
+    }
+    showStage(STAGE_ROUTES.details, { withCelebrateEffects });
+  };
+
+  /**
+   * Follows back/forward navigation and edited fragments between stages
+   */
+  const handleStageRouteChange = () => {
+    const route = getStageRouteFromUrl();
+    // Fragments such as the skip link's #mainContent are not stages
+    if (!route) {
+      return;
     }
+
+    // Jumping to a stage ends the intro sequence
+    experienceTimeline.stop();
+
+    if (!hasStarted) {
+      bypassIntro(route);
+      return;
+    }
+
+    showStage(route);
   };
 
   // Wire up interactions with proper event management --------------
@@ -1992,7 +6173,133 @@
     eventListenerManager.add(skipIntroButton, 'click', skipExperience);
   }
 
-  if (!startOverlay || !startButton) {
+  if (overlayPreferencesButton) {
+    // The whole overlay starts the intro, so keep clicks and key presses here to the button
+    eventListenerManager.add(overlayPreferencesButton, 'click', (event) => {
+      event.stopPropagation();
+      preferencesPanel.open(overlayPreferencesButton);
+    });
+    eventListenerManager.add(overlayPreferencesButton, 'keydown', (event) => {
+      if (KEYBOARD_ACTIVATION_KEYS.has(event.key)) {
+        event.stopPropagation();
+      }
+    });
+  }
+
+  window.addEventListener('popstate', handleStageRouteChange);
+
+  // The music belongs to the intro. The celebration video takes it over with
+  // a crossfade; leaving for any other stage fades it out.
+  document.documentElement.addEventListener(LIFECYCLE_EVENTS.stageChange, ({ detail }) => {
+    const introStages = [EXPERIENCE_STAGES.countdown, EXPERIENCE_STAGES.slideshow, EXPERIENCE_STAGES.video];
+    if (!introStages.includes(detail.stage)) {
+      stopBackgroundMusic();
+    }
+  });
+
+  // Deep links such as #sneak-peek skip the intro overlay
+  const initialStageRoute = getStageRouteFromUrl();
+  if (initialStageRoute) {
+    bypassIntro(initialStageRoute);
+  } else if (!startOverlay || !startButton) {
     startExperience();
   }
+
+  // =====================================================================
+  // OFFLINE SUPPORT MODULE
+  // =====================================================================
+
+  /**
+   * Registers the service worker that keeps the details card working
+   * offline, then asks it to cache the videos chosen for this device.
+   * Videos are left alone in data saver mode, and the sneak peek only when
+   * its file exists.
+   */
+  const registerServiceWorker = () => {
+    // Service workers need a secure context, so file:// and plain http skip this
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) {
+      return;
+    }
+
+    navigator.serviceWorker.register(SERVICE_WORKER_URL)
+      .then(() => navigator.serviceWorker.ready)
+      .then((registration) => {
+        if (isDataSaverActive()) {
+          return;
+        }
+
+        const videoKeys = ['celebration', 'sneakPeek'];
+        Promise.all(videoKeys.map(checkVideoAvailability)).then((availability) => {
+          const urls = videoKeys
+            .filter((videoKey, index) => availability[index])
+            .map((videoKey) => chooseVideoSource(document.createElement('video'), videoKey)?.src)
+            .filter(Boolean);
+          registration.active?.postMessage({ type: 'cache-videos', urls });
+        });
+      })
+      .catch((error) => {
+        console.warn('Offline support unavailable:', error.message);
+      });
+  };
+
+  // Registered after the page has loaded so it does not compete with the intro
+  if (document.readyState === 'complete') {
+    registerServiceWorker();
+  } else {
+    window.addEventListener('load', registerServiceWorker, { once: true });
+  }
+
+  // =====================================================================
+  // EMBEDDING API
+  // =====================================================================
+
+  // Host pages opt in to window.SaveTheDate with <html data-stdt-api>
+  if (document.documentElement.hasAttribute('data-stdt-api')) {
+    window.SaveTheDate = Object.freeze({
+      /**
+       * Starts the countdown or slideshow, as the intro button does
+       */
+      start: () => {
+        startExperience();
+      },
+
+      /**
+       * Skips the intro straight to the details card
+       */
+      skip: () => {
+        skipExperience();
+      },
+
+      /**
+       * Plays the celebration video from the beginning
+       */
+      replay: () => {
+        if (!hasStarted) {
+          bypassIntro(STAGE_ROUTES.video);
+          return;
+        }
+        experienceTimeline.stop();
+        navigateToStage(STAGE_ROUTES.video);
+      },
+
+      /**
+       * Shows the details card from any stage
+       */
+      showDetails: () => {
+        if (!hasStarted) {
+          bypassIntro(STAGE_ROUTES.details);
+          return;
+        }
+        if (currentStage !== EXPERIENCE_STAGES.details) {
+          experienceTimeline.stop();
+          returnToDetails();
+        }
+      },
+
+      /**
+       * @returns {string} Stage currently on screen, as reported by stdt:stage-change
+       */
+      getStage: () => currentStage,
+    });
+  }
 })();
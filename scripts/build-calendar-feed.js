@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Builds the subscribable calendar feed served from calendar/wedding-weekend.ics.
+ *
+ * Calendar apps that subscribe to the feed (via webcal://) poll it and
+ * replace their copy of an event when its SEQUENCE or LAST-MODIFIED value
+ * increases. calendar/feed-state.json remembers a fingerprint of every event
+ * that has been published, so re-running this script after editing
+ * assets/js/event-config.js bumps exactly the events that changed and leaves
+ * the rest of the feed byte for byte identical.
+ *
+ * Usage: node scripts/build-calendar-feed.js
+ * Commit both generated files alongside the config change.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const config = require('../assets/js/event-config.js');
+const eventCalendar = require('../assets/js/event-calendar.js');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const FEED_PATH = path.join(ROOT_DIR, 'calendar', 'wedding-weekend.ics');
+const STATE_PATH = path.join(ROOT_DIR, 'calendar', 'feed-state.json');
+
+// How often subscribed calendars are asked to check for changes
+const FEED_REFRESH_INTERVAL = 'PT12H';
+
+/**
+ * Fingerprints the guest-visible fields of a calendar entry
+ * @param {Object} entry - Calendar entry
+ * @returns {string} SHA-256 hex digest
+ */
+const hashCalendarEntry = (entry) =>
+  crypto
+    .createHash('sha256')
+    .update(JSON.stringify([
+      entry.title,
+      entry.description,
+      entry.location,
+      entry.url,
+      entry.allDay,
+      entry.start,
+      entry.end,
+      entry.timeZone ?? '',
+    ]))
+    .digest('hex');
+
+/**
+ * Reads the previously published revisions
+ * @returns {Object} Revisions keyed by UID
+ */
+const readFeedState = () => {
+  try {
+    return JSON.parse(fs.readFileSync(STATE_PATH, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw error;
+  }
+};
+
+/**
+ * Works out the revision of each entry, bumping SEQUENCE and LAST-MODIFIED
+ * for entries that are new or whose fingerprint changed
+ * @param {Object[]} entries - Calendar entries in the feed
+ * @param {Object} previousState - Revisions from the last build
+ * @param {Date} now - Build time
+ * @returns {Object} Next state and the UIDs that changed
+ */
+const reviseCalendarEntries = (entries, previousState, now) => {
+  // Entries that were removed stay in the state so their sequence keeps
+  // increasing if they are ever published again
+  const state = { ...previousState };
+  const changedUids = [];
+
+  entries.forEach((entry) => {
+    const hash = hashCalendarEntry(entry);
+    const previous = previousState[entry.uid];
+    if (previous?.hash === hash) {
+      return;
+    }
+
+    // LAST-MODIFIED has one second precision and must always move forward
+    const previousMs = previous ? Date.parse(previous.lastModified) : -Infinity;
+    const lastModified = new Date(Math.max(now.getTime(), previousMs + 1000));
+    lastModified.setUTCMilliseconds(0);
+
+    state[entry.uid] = {
+      hash,
+      sequence: previous ? previous.sequence + 1 : 0,
+      lastModified: lastModified.toISOString(),
+    };
+    changedUids.push(entry.uid);
+  });
+
+  return { state, changedUids };
+};
+
+const main = () => {
+  const problems = eventCalendar.validateEventConfig(config);
+  if (problems.length > 0) {
+    problems.forEach((problem) => console.error(`Event config: ${problem}`));
+    console.error('Calendar feed not written');
+    process.exitCode = 1;
+    return;
+  }
+
+  const entries = eventCalendar.getCalendarEntriesForScope(config, eventCalendar.CALENDAR_SCOPE_WEEKEND);
+  const { state, changedUids } = reviseCalendarEntries(entries, readFeedState(), new Date());
+
+  const revisions = Object.fromEntries(
+    entries.map(({ uid }) => [
+      uid,
+      { sequence: state[uid].sequence, lastModified: new Date(state[uid].lastModified) },
+    ])
+  );
+
+  // Alarms are left out: subscribers manage their own notifications
+  const feed = eventCalendar.createCalendarIcsContent(entries, {
+    timeZone: config.timeZone,
+    revisions,
+    feed: { name: config.weekend.title, refreshInterval: FEED_REFRESH_INTERVAL },
+  });
+
+  fs.mkdirSync(path.dirname(FEED_PATH), { recursive: true });
+  fs.writeFileSync(FEED_PATH, feed);
+  fs.writeFileSync(STATE_PATH, `${JSON.stringify(state, null, 2)}\n`);
+
+  const relativeFeedPath = path.relative(ROOT_DIR, FEED_PATH);
+  if (changedUids.length === 0) {
+    console.log(`${relativeFeedPath}: no changes`);
+  } else {
+    changedUids.forEach((uid) => {
+      console.log(`${relativeFeedPath}: ${uid} is now sequence ${state[uid].sequence}`);
+    });
+  }
+};
+
+main();
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Writes the precache list and cache versions into sw.js.
+ *
+ * The precache holds everything the details card needs offline: the page,
+ * the scripts and stylesheets it links to, the favicon, the gallery photos,
+ * video posters and caption files, and the calendar feed.
+ * Each cache version is a hash of the files it covers, so returning
+ * visitors' browsers pick up the new worker and replace their caches
+ * whenever one of those files changes.
+ *
+ * Usage: node scripts/build-service-worker.js
+ * Re-run after changing any precached file or video, and commit sw.js.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const config = require('../assets/js/event-config.js');
+const gallery = require('../assets/js/gallery-manifest.js');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const WORKER_PATH = path.join(ROOT_DIR, 'sw.js');
+const PAGE_PATH = 'index.html';
+const EXTRA_PRECACHE_PATHS = ['calendar/wedding-weekend.ics'];
+
+const GENERATED_SECTION = /(\/\/ --- Generated by [^\n]*\n)[\s\S]*?(\/\/ --- End of generated section ---)/;
+
+/**
+ * Lists the local scripts, stylesheets and icons the page links to
+ * @returns {string[]} Paths relative to the repository root
+ */
+const getPageAssetPaths = () => {
+  const html = fs.readFileSync(path.join(ROOT_DIR, PAGE_PATH), 'utf8');
+  return [...html.matchAll(/<(?:script|link)\b[^>]*?\b(?:src|href)="([^"]+)"/g)]
+    .map(([, url]) => url)
+    .filter((url) => !/^[a-z]+:|^\/\//i.test(url));
+};
+
+/**
+ * Lists the posters and caption files of the configured videos
+ * @returns {string[]} Paths relative to the repository root
+ */
+const getVideoExtrasPaths = () =>
+  Object.values(config.videos ?? {}).flatMap((video) => [
+    ...(video.poster ? [video.poster] : []),
+    ...(video.tracks ?? []).map((track) => track.src),
+  ]);
+
+/**
+ * Lists the video files the page may cache in the background
+ * @returns {string[]} Paths relative to the repository root
+ */
+const getVideoPaths = () =>
+  Object.values(config.videos ?? {}).flatMap((video) => (video.sources ?? []).map((source) => source.src));
+
+/**
+ * Drops duplicates and files that do not exist, warning about the latter
+ * @param {string[]} paths - Candidate paths
+ * @returns {string[]} Existing paths
+ */
+const keepExistingFiles = (paths) =>
+  [...new Set(paths)].filter((relativePath) => {
+    if (fs.existsSync(path.join(ROOT_DIR, relativePath))) {
+      return true;
+    }
+    console.warn(`Service worker: ${relativePath} does not exist and is not cached`);
+    return false;
+  });
+
+/**
+ * Hashes the names and contents of a set of files
+ * @param {string[]} paths - Paths relative to the repository root
+ * @returns {string} Short SHA-256 hex digest
+ */
+const hashFiles = (paths) => {
+  const hash = crypto.createHash('sha256');
+  paths.forEach((relativePath) => {
+    hash.update(relativePath);
+    hash.update(fs.readFileSync(path.join(ROOT_DIR, relativePath)));
+  });
+  return hash.digest('hex').slice(0, 12);
+};
+
+const main = () => {
+  const precachePaths = keepExistingFiles([
+    PAGE_PATH,
+    ...getPageAssetPaths(),
+    ...gallery.photos.map((photo) => photo.src),
+    ...getVideoExtrasPaths(),
+    ...EXTRA_PRECACHE_PATHS,
+  ]);
+  const videoPaths = keepExistingFiles(getVideoPaths());
+  const cacheVersion = hashFiles(precachePaths);
+
+  const generated = [
+    `const CACHE_VERSION = '${cacheVersion}';`,
+    `const VIDEO_CACHE_VERSION = '${hashFiles(videoPaths)}';`,
+    'const PRECACHE_URLS = [',
+    ...precachePaths.map((relativePath) => `  '${relativePath}',`),
+    '];',
+  ].join('\n');
+
+  const worker = fs.readFileSync(WORKER_PATH, 'utf8');
+  if (!GENERATED_SECTION.test(worker)) {
+    console.error('sw.js: generated section markers not found');
+    process.exitCode = 1;
+    return;
+  }
+
+  const nextWorker = worker.replace(GENERATED_SECTION, `$1${generated}\n$2`);
+  if (nextWorker === worker) {
+    console.log('sw.js: no changes');
+    return;
+  }
+
+  fs.writeFileSync(WORKER_PATH, nextWorker);
+  console.log(`sw.js: ${precachePaths.length} files precached, cache version ${cacheVersion}`);
+};
+
+main();
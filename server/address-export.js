@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Exports the mailing addresses collected by the stand-in server, either as
+ * CSV for a spreadsheet or print service, or as plain-text mailing labels.
+ * When a household saved its address more than once, only the latest
+ * submission is kept.
+ *
+ * Usage: node server/address-export.js [--format=csv|labels] [--out=file]
+ * Reads DATA_DIR/addresses.json (server/data/ by default) and writes to
+ * stdout unless --out is given.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { createSubmissionStore } = require('./dev-server.js');
+const { ADDRESS_COLUMNS, getLatestByGuestToken, toCsv, toMailingLabels } = require('./reports.js');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, 'data');
+
+const FORMATTERS = {
+  csv: (addresses) => toCsv(ADDRESS_COLUMNS, addresses),
+  labels: toMailingLabels,
+};
+
+const main = () => {
+  const options = Object.fromEntries(
+    process.argv.slice(2).map((argument) => {
+      const [name, value = ''] = argument.replace(/^--/, '').split('=');
+      return [name, value];
+    })
+  );
+  const format = options.format || 'csv';
+  const formatter = FORMATTERS[format];
+  if (!formatter) {
+    console.error(`Unknown format "${format}". Use --format=csv or --format=labels`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const dataDir = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : DEFAULT_DATA_DIR;
+  createSubmissionStore(path.join(dataDir, 'addresses.json'))
+    .list()
+    .then((records) => {
+      const output = formatter(getLatestByGuestToken(records));
+      if (options.out) {
+        fs.writeFileSync(options.out, output);
+        console.error(`Wrote ${options.out}`);
+      } else {
+        process.stdout.write(output);
+      }
+    })
+    .catch((error) => {
+      console.error('Address export failed:', error.message);
+      process.exitCode = 1;
+    });
+};
+
+main();
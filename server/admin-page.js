@@ -0,0 +1,183 @@
+'use strict';
+
+/**
+ * Server-rendered admin dashboard. The page has no scripts of its own and
+ * reuses the site stylesheet, so it works under a strict CSP.
+ */
+
+const reports = require('./reports.js');
+const guestResponses = require('../assets/js/guest-responses.js');
+
+const EXPORTS = [
+  ['/admin/export/households.csv', 'Households CSV'],
+  ['/admin/export/rsvps.csv', 'RSVPs CSV'],
+  ['/admin/export/addresses.csv', 'Addresses CSV'],
+  ['/admin/export/labels.txt', 'Mailing labels'],
+];
+
+/**
+ * Escapes text for use in HTML content and attribute values
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Formats an ISO timestamp for display
+ * @param {string} isoString - ISO 8601 timestamp
+ * @returns {string} Readable date and time
+ */
+const formatTimestamp = (isoString) => {
+  const date = new Date(isoString);
+  return Number.isNaN(date.getTime())
+    ? ''
+    : date.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+};
+
+/**
+ * Renders a table, or a note when there are no rows
+ * @param {Object} options - Table options
+ * @param {string} options.caption - Table caption
+ * @param {string[]} options.headings - Column headings
+ * @param {string[][]} options.rows - Cell HTML, already escaped
+ * @param {string} options.emptyText - Shown instead of an empty table
+ * @returns {string} Table HTML
+ */
+const renderTable = ({ caption, headings, rows, emptyText }) => {
+  if (rows.length === 0) {
+    return `<p class="admin-empty">${escapeHtml(emptyText)}</p>`;
+  }
+  return `
+    <div class="admin-table-scroll">
+      <table class="admin-table">
+        <caption class="visually-hidden">${escapeHtml(caption)}</caption>
+        <thead><tr>${headings.map((heading) => `<th scope="col">${escapeHtml(heading)}</th>`).join('')}</tr></thead>
+        <tbody>${rows.map((cells) => `<tr>${cells.map((cell) => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody>
+      </table>
+    </div>`;
+};
+
+/**
+ * Renders a status badge
+ * @param {string} text - Badge text
+ * @param {string} tone - One of "yes", "no", "maybe" or "pending"
+ * @returns {string} Badge HTML
+ */
+const renderBadge = (text, tone) => `<span class="admin-badge admin-badge--${tone}">${escapeHtml(text)}</span>`;
+
+/**
+ * Renders the admin dashboard
+ * @param {Object} data - Dashboard data
+ * @param {Object[]} data.guests - Guest list entries
+ * @param {Object[]} data.rsvps - Stored RSVPs, oldest first
+ * @param {Object[]} data.addresses - Stored addresses, oldest first
+ * @returns {string} HTML document
+ */
+const renderAdminPage = ({ guests, rsvps, addresses }) => {
+  const households = reports.getHouseholdStatuses(guests, rsvps, addresses);
+  const summary = reports.summarizeHouseholds(households);
+  const rsvpRows = reports.getRsvpRows(guests, rsvps);
+  const latestAddresses = reports.getLatestByGuestToken(addresses);
+
+  const summaryItems = [
+    ['Households', summary.households],
+    ['Replied', `${summary.replied} of ${summary.households}`],
+    ['Guests attending', summary.attendingGuests],
+    ['Declined', summary.declined],
+    ['Addresses', `${summary.addresses} of ${summary.households}`],
+  ];
+
+  const householdTable = renderTable({
+    caption: 'Household status',
+    headings: ['Household', 'Invited', 'RSVP', 'Party size', 'Mailing address'],
+    emptyText: 'The guest list is empty.',
+    rows: households.map((household) => [
+      `${escapeHtml(household.household)}<br><code>${escapeHtml(household.token)}</code>`,
+      escapeHtml(`${household.invited}${household.plusOne === 'Yes' ? ' + guest' : ''}`),
+      renderBadge(household.rsvpStatus, household.rsvp?.attending ?? 'pending'),
+      escapeHtml(household.partySize),
+      household.address ? escapeHtml(household.addressStatus) : renderBadge('Missing', 'pending'),
+    ]),
+  });
+
+  const rsvpTable = renderTable({
+    caption: 'Latest RSVP from each household',
+    headings: ['Received', 'Household', 'Name', 'Attending', 'Party', 'Email', 'Message'],
+    emptyText: 'No RSVPs yet.',
+    rows: rsvpRows
+      .slice()
+      .reverse()
+      .map((rsvp) => [
+        escapeHtml(formatTimestamp(rsvp.receivedAt))
+          + (rsvp.submissionCount > 1 ? `<br><small>${rsvp.submissionCount} replies</small>` : ''),
+        escapeHtml(rsvp.household || 'No invite link'),
+        escapeHtml(rsvp.name),
+        renderBadge(rsvp.attendingLabel, rsvp.attending),
+        escapeHtml(rsvp.attending === 'no' ? '' : rsvp.partySize),
+        escapeHtml(rsvp.email),
+        escapeHtml(rsvp.message),
+      ]),
+  });
+
+  const addressTable = renderTable({
+    caption: 'Latest mailing address from each household',
+    headings: ['Received', 'Household', 'Mailing label', 'Email'],
+    emptyText: 'No mailing addresses yet.',
+    rows: latestAddresses
+      .slice()
+      .reverse()
+      .map((address) => [
+        escapeHtml(formatTimestamp(address.receivedAt)),
+        escapeHtml(guests.find(({ token }) => token === address.guestToken)?.household ?? 'No invite link'),
+        guestResponses.formatMailingLabel(address).map(escapeHtml).join('<br>'),
+        escapeHtml(address.email),
+      ]),
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex, nofollow">
+  <title>Responses - Save the Date admin</title>
+  <link rel="icon" type="image/png" href="/assets/favicon.png">
+  <link rel="stylesheet" href="/assets/css/bordered-gallery.css">
+</head>
+<body class="admin-page">
+  <main class="admin-main">
+    <section class="countdown-wrapper has-details admin-panel" aria-labelledby="adminTitle">
+      <p class="eyebrow">Save the Date admin</p>
+      <h1 id="adminTitle" class="admin-title">Responses</h1>
+      <dl class="admin-summary">
+        ${summaryItems.map(([label, value]) => `<div><dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd></div>`).join('')}
+      </dl>
+      <nav class="admin-exports" aria-label="Exports">
+        ${EXPORTS.map(([href, label]) => `<a class="save-date-form-secondary" href="${href}" download>${escapeHtml(label)}</a>`).join('')}
+      </nav>
+    </section>
+    <section class="countdown-wrapper has-details admin-panel" aria-labelledby="adminHouseholds">
+      <h2 id="adminHouseholds">Households</h2>
+      ${householdTable}
+    </section>
+    <section class="countdown-wrapper has-details admin-panel" aria-labelledby="adminRsvps">
+      <h2 id="adminRsvps">RSVPs</h2>
+      ${rsvpTable}
+    </section>
+    <section class="countdown-wrapper has-details admin-panel" aria-labelledby="adminAddresses">
+      <h2 id="adminAddresses">Mailing addresses</h2>
+      ${addressTable}
+    </section>
+  </main>
+</body>
+</html>
+`;
+};
+
+module.exports = { renderAdminPage };
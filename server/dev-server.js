@@ -0,0 +1,475 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Local stand-in for the production backend. Serves the site from the
+ * repository root and accepts the JSON replies the details card sends, so
+ * the whole experience can be exercised on one origin without any
+ * dependencies beyond Node.js.
+ *
+ * Usage: node server/dev-server.js   (PORT, DATA_DIR and ADMIN_PASSWORD are optional)
+ * Submissions are written to server/data/, which is not committed. The
+ * admin dashboard at /admin asks for ADMIN_PASSWORD; when it is not set a
+ * random password is generated and printed on start.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const guestResponses = require('../assets/js/guest-responses.js');
+const reports = require('./reports.js');
+const { renderAdminPage } = require('./admin-page.js');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const DEFAULT_DATA_DIR = path.join(__dirname, 'data');
+const GUEST_LIST_PATH = path.join(__dirname, 'guests.json');
+const DEFAULT_PORT = 8080;
+const MAX_BODY_BYTES = 16 * 1024;
+const ADMIN_REALM = 'Save the Date admin';
+
+// The admin page is self-contained apart from the site stylesheet
+const ADMIN_CONTENT_SECURITY_POLICY =
+  "default-src 'none'; style-src 'self'; img-src 'self'; base-uri 'none'; form-action 'none'; frame-ancestors 'none'";
+
+// Top-level paths that are never served as static files
+const PRIVATE_PATHS = new Set(['server', 'scripts', 'tests', 'node_modules', 'package.json']);
+
+const CONTENT_TYPES = {
+  '.css': 'text/css; charset=utf-8',
+  '.html': 'text/html; charset=utf-8',
+  '.ics': 'text/calendar; charset=utf-8',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.mp4': 'video/mp4',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.vtt': 'text/vtt; charset=utf-8',
+  '.webm': 'video/webm',
+  '.webp': 'image/webp',
+};
+
+/**
+ * Error carrying the HTTP status and JSON body to answer with
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Message for the response body
+   * @param {Object} [details] - Extra response body fields
+   */
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Creates an append-only JSON file of submissions. Writes are queued and
+ * replace the file atomically so a crash never leaves half a record.
+ * @param {string} filePath - JSON file holding an array of records
+ * @returns {Object} Store with append and list methods
+ */
+const createSubmissionStore = (filePath) => {
+  let pendingWrite = Promise.resolve();
+
+  const list = () =>
+    fs.promises.readFile(filePath, 'utf8')
+      .then((contents) => JSON.parse(contents))
+      .catch((error) => {
+        if (error.code === 'ENOENT') {
+          return [];
+        }
+        throw error;
+      });
+
+  const append = (record) => {
+    const write = pendingWrite.then(() =>
+      list().then((records) => {
+        const temporaryPath = `${filePath}.${process.pid}.tmp`;
+        return fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+          .then(() => fs.promises.writeFile(temporaryPath, `${JSON.stringify([...records, record], null, 2)}\n`))
+          .then(() => fs.promises.rename(temporaryPath, filePath))
+          .then(() => record);
+      })
+    );
+    pendingWrite = write.catch(() => {});
+    return write;
+  };
+
+  return { append, list };
+};
+
+/**
+ * Reads the guest list. It holds every invite token, so it is never served
+ * as a whole; the page looks up its own token through /api/guest.
+ * @returns {Promise<Object[]>} Guest list entries
+ */
+const readGuestList = () =>
+  fs.promises.readFile(GUEST_LIST_PATH, 'utf8')
+    .then((contents) => {
+      const guestList = JSON.parse(contents);
+      return Array.isArray(guestList?.guests) ? guestList.guests : [];
+    })
+    .catch((error) => {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    });
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} response - Response to write
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+const sendJson = (response, status, body) => {
+  response.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store',
+  });
+  response.end(JSON.stringify(body));
+};
+
+/**
+ * Sends an admin response. Admin pages and exports hold guest details, so
+ * they are never cached or indexed.
+ * @param {http.ServerResponse} response - Response to write
+ * @param {string} contentType - Response content type
+ * @param {string} body - Response body
+ * @param {Object} [headers] - Extra response headers
+ */
+const sendAdminResponse = (response, contentType, body, headers = {}) => {
+  response.writeHead(200, {
+    'Content-Type': contentType,
+    'Cache-Control': 'no-store',
+    'X-Robots-Tag': 'noindex, nofollow',
+    ...headers,
+  });
+  response.end(body);
+};
+
+/**
+ * Checks a request's HTTP Basic credentials against the admin password.
+ * Any user name is accepted.
+ * @param {http.IncomingMessage} request - Incoming request
+ * @param {string} adminPassword - Expected password
+ * @returns {boolean} Whether the password matches
+ */
+const isAdminRequest = (request, adminPassword) => {
+  const [scheme, encoded = ''] = (request.headers.authorization ?? '').split(' ');
+  if (!/^basic$/i.test(scheme)) {
+    return false;
+  }
+  const credentials = Buffer.from(encoded, 'base64').toString('utf8');
+  const password = credentials.slice(credentials.indexOf(':') + 1);
+
+  // Compare fixed-length digests so the check takes the same time for any input
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return credentials.includes(':') && crypto.timingSafeEqual(digest(password), digest(adminPassword));
+};
+
+/**
+ * Reads and parses a JSON request body
+ * @param {http.IncomingMessage} request - Incoming request
+ * @returns {Promise<Object>} Parsed body
+ */
+const readJsonBody = (request) => {
+  if (!/^application\/json\b/i.test(request.headers['content-type'] ?? '')) {
+    return Promise.reject(new HttpError(415, 'Expected a JSON request body'));
+  }
+
+  return new Promise((resolve, reject) => {
+    let chunks = [];
+    let size = 0;
+
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // Drain the rest unread so the socket stays open for the 413
+        chunks = [];
+        request.removeListener('data', onData);
+        request.resume();
+        reject(new HttpError(413, 'Request body is too large'));
+        return;
+      }
+      chunks.push(chunk);
+    };
+
+    request.on('data', onData);
+    request.on('end', () => {
+      if (size > MAX_BODY_BYTES) {
+        return;
+      }
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(new HttpError(400, 'Request body is not valid JSON'));
+      }
+    });
+    request.on('error', reject);
+  });
+};
+
+/**
+ * Checks whether a path is a directory or lies inside it
+ * @param {string} filePath - Absolute path
+ * @param {string} directory - Absolute directory path
+ * @returns {boolean} True when filePath is within directory
+ */
+const isInsideDirectory = (filePath, directory) => {
+  const relativePath = path.relative(directory, filePath);
+  return !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+};
+
+/**
+ * Serves a file from the repository root
+ * @param {http.IncomingMessage} request - Incoming request
+ * @param {http.ServerResponse} response - Response to write
+ * @param {string} pathname - Decoded URL path
+ * @param {string} dataDir - Absolute path of the submissions directory,
+ * which is never served even when it lies inside the repository
+ */
+const serveStaticFile = (request, response, pathname, dataDir) => {
+  if (request.method !== 'GET' && request.method !== 'HEAD') {
+    throw new HttpError(405, 'Method not allowed');
+  }
+
+  const relativePath = path.normalize(pathname === '/' ? 'index.html' : pathname.slice(1));
+  const [topLevel] = relativePath.split(path.sep);
+  const isHidden = relativePath.split(path.sep).some((segment) => segment.startsWith('.'));
+  if (relativePath.startsWith('..') || path.isAbsolute(relativePath) || isHidden || PRIVATE_PATHS.has(topLevel)) {
+    throw new HttpError(404, 'Not found');
+  }
+
+  const filePath = path.join(ROOT_DIR, relativePath);
+  if (isInsideDirectory(filePath, dataDir)) {
+    throw new HttpError(404, 'Not found');
+  }
+
+  return fs.promises.stat(filePath)
+    .then((stats) => {
+      if (!stats.isFile()) {
+        throw new HttpError(404, 'Not found');
+      }
+      response.writeHead(200, {
+        'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] ?? 'application/octet-stream',
+        'Content-Length': stats.size,
+        'Cache-Control': 'no-cache',
+      });
+      if (request.method === 'HEAD') {
+        response.end();
+        return;
+      }
+      fs.createReadStream(filePath).pipe(response);
+    })
+    .catch((error) => {
+      throw error instanceof HttpError ? error : new HttpError(404, 'Not found');
+    });
+};
+
+/**
+ * Creates the stand-in server
+ * @param {Object} [options] - Server options
+ * @param {string} [options.dataDir] - Directory submissions are written to
+ * @param {string} [options.adminPassword] - Password for /admin; the
+ * dashboard is disabled without one
+ * @returns {http.Server} Server instance, not yet listening
+ */
+const createServer = ({ dataDir = DEFAULT_DATA_DIR, adminPassword = '' } = {}) => {
+  const resolvedDataDir = path.resolve(dataDir);
+  const rsvpStore = createSubmissionStore(path.join(dataDir, 'rsvps.json'));
+  const addressStore = createSubmissionStore(path.join(dataDir, 'addresses.json'));
+
+  /**
+   * Answers with the single guest matching the token in the query string
+   * @param {http.IncomingMessage} request - Incoming request
+   * @param {http.ServerResponse} response - Response to write
+   */
+  const handleGuestLookup = (request, response) => {
+    const token = new URL(request.url, 'http://localhost').searchParams.get('token') ?? '';
+    if (!guestResponses.GUEST_TOKEN_PATTERN.test(token)) {
+      throw new HttpError(404, 'Guest not found');
+    }
+
+    return readGuestList().then((guests) => {
+      const guest = guests.find((entry) => entry?.token === token);
+      if (!guest) {
+        throw new HttpError(404, 'Guest not found');
+      }
+      const { household, invited, plusOne } = guest;
+      sendJson(response, 200, { ok: true, guest: { token, household, invited, plusOne } });
+    });
+  };
+
+  /**
+   * Stores an RSVP after validating it against the guest list
+   * @param {http.IncomingMessage} request - Incoming request
+   * @param {http.ServerResponse} response - Response to write
+   */
+  const handleRsvp = (request, response) =>
+    Promise.all([readJsonBody(request), readGuestList()])
+      .then(([body, guests]) => {
+        const guest = guests.find(({ token }) => token === body?.guestToken);
+        const { errors, rsvp } = guestResponses.validateRsvp(body, {
+          maxPartySize: guestResponses.getMaxPartySize(guest),
+        });
+        if (Object.keys(errors).length > 0) {
+          throw new HttpError(400, 'Please check the highlighted fields', { errors });
+        }
+
+        // Unknown tokens are stored as anonymous replies
+        return rsvpStore.append({
+          id: crypto.randomUUID(),
+          receivedAt: new Date().toISOString(),
+          ...rsvp,
+          guestToken: guest ? rsvp.guestToken : null,
+        });
+      })
+      .then(({ id }) => sendJson(response, 201, { ok: true, id }));
+
+  /**
+   * Stores a mailing address for the formal invitation
+   * @param {http.IncomingMessage} request - Incoming request
+   * @param {http.ServerResponse} response - Response to write
+   */
+  const handleAddress = (request, response) =>
+    Promise.all([readJsonBody(request), readGuestList()])
+      .then(([body, guests]) => {
+        const { errors, address } = guestResponses.validateAddress(body);
+        if (Object.keys(errors).length > 0) {
+          throw new HttpError(400, 'Please check the highlighted fields', { errors });
+        }
+
+        const isKnownGuest = guests.some(({ token }) => token === address.guestToken);
+        return addressStore.append({
+          id: crypto.randomUUID(),
+          receivedAt: new Date().toISOString(),
+          ...address,
+          guestToken: isKnownGuest ? address.guestToken : null,
+        });
+      })
+      .then(({ id }) => sendJson(response, 201, { ok: true, id }));
+
+  /**
+   * Wraps an admin handler so it only runs for requests with the admin password
+   * @param {Function} handler - Receives the response and the collected data
+   * @returns {Function} Route handler
+   */
+  const adminRoute = (handler) => (request, response) => {
+    if (!adminPassword) {
+      throw new HttpError(404, 'Not found');
+    }
+    if (!isAdminRequest(request, adminPassword)) {
+      response.setHeader('WWW-Authenticate', `Basic realm="${ADMIN_REALM}", charset="UTF-8"`);
+      throw new HttpError(401, 'Admin password required');
+    }
+    return Promise.all([readGuestList(), rsvpStore.list(), addressStore.list()])
+      .then(([guests, rsvps, addresses]) => handler(response, { guests, rsvps, addresses }));
+  };
+
+  /**
+   * Creates a handler that downloads a CSV or text export
+   * @param {string} filename - Download file name
+   * @param {Function} createBody - Builds the file from the collected data
+   * @returns {Function} Route handler
+   */
+  const exportRoute = (filename, createBody) =>
+    adminRoute((response, data) => {
+      const contentType = filename.endsWith('.csv') ? 'text/csv; charset=utf-8' : 'text/plain; charset=utf-8';
+      sendAdminResponse(response, contentType, createBody(data), {
+        'Content-Disposition': `attachment; filename="${filename}"`,
+      });
+    });
+
+  const routes = {
+    '/api/guest': { GET: handleGuestLookup },
+    '/api/rsvp': { POST: handleRsvp },
+    '/api/address': { POST: handleAddress },
+    '/admin': {
+      GET: adminRoute((response, data) => {
+        sendAdminResponse(response, 'text/html; charset=utf-8', renderAdminPage(data), {
+          'Content-Security-Policy': ADMIN_CONTENT_SECURITY_POLICY,
+        });
+      }),
+    },
+    '/admin/export/households.csv': {
+      GET: exportRoute('households.csv', ({ guests, rsvps, addresses }) =>
+        reports.toCsv(reports.HOUSEHOLD_COLUMNS, reports.getHouseholdStatuses(guests, rsvps, addresses))),
+    },
+    '/admin/export/rsvps.csv': {
+      GET: exportRoute('rsvps.csv', ({ guests, rsvps }) =>
+        reports.toCsv(reports.RSVP_COLUMNS, reports.getRsvpRows(guests, rsvps))),
+    },
+    '/admin/export/addresses.csv': {
+      GET: exportRoute('addresses.csv', ({ addresses }) =>
+        reports.toCsv(reports.ADDRESS_COLUMNS, reports.getLatestByGuestToken(addresses))),
+    },
+    '/admin/export/labels.txt': {
+      GET: exportRoute('mailing-labels.txt', ({ addresses }) =>
+        reports.toMailingLabels(reports.getLatestByGuestToken(addresses))),
+    },
+  };
+
+  return http.createServer((request, response) => {
+    let pathname;
+    try {
+      pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+      sendJson(response, 400, { ok: false, error: 'Malformed URL' });
+      return;
+    }
+
+    Promise.resolve()
+      .then(() => {
+        const route = routes[pathname];
+        if (!route) {
+          return serveStaticFile(request, response, pathname, resolvedDataDir);
+        }
+        const handler = route[request.method];
+        if (!handler) {
+          response.setHeader('Allow', Object.keys(route).join(', '));
+          throw new HttpError(405, 'Method not allowed');
+        }
+        return handler(request, response);
+      })
+      .catch((error) => {
+        if (response.headersSent) {
+          response.destroy(error);
+          return;
+        }
+        if (error instanceof HttpError) {
+          if (error.status === 413) {
+            // The unread body makes the connection unsafe to reuse
+            response.setHeader('Connection', 'close');
+          }
+          sendJson(response, error.status, { ok: false, error: error.message, ...error.details });
+          return;
+        }
+        console.error('Dev server:', error);
+        sendJson(response, 500, { ok: false, error: 'Something went wrong' });
+      });
+  });
+};
+
+module.exports = { createServer, createSubmissionStore, HttpError };
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || DEFAULT_PORT;
+  const dataDir = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : DEFAULT_DATA_DIR;
+  const adminPassword = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+  createServer({ dataDir, adminPassword }).listen(port, () => {
+    console.log(`Save the Date dev server on http://localhost:${port}/ (data in ${dataDir})`);
+    if (!process.env.ADMIN_PASSWORD) {
+      console.log(`Admin dashboard: http://localhost:${port}/admin (password: ${adminPassword})`);
+    } else {
+      console.log(`Admin dashboard: http://localhost:${port}/admin`);
+    }
+  });
+}
@@ -0,0 +1,181 @@
+'use strict';
+
+/**
+ * Turns stored submissions into the views the admin page and export
+ * scripts share: the latest submission per household, each household's
+ * status against the guest list, CSV documents and mailing labels.
+ */
+
+const guestResponses = require('../assets/js/guest-responses.js');
+
+const RSVP_COLUMNS = [
+  ['Household', 'household'],
+  ['Name', 'name'],
+  ['Attending', 'attendingLabel'],
+  ['Party size', 'partySize'],
+  ['Email', 'email'],
+  ['Message', 'message'],
+  ['Guest token', 'guestToken'],
+  ['Received at', 'receivedAt'],
+  ['Replies sent', 'submissionCount'],
+];
+
+const ADDRESS_COLUMNS = [
+  ['Name', 'name'],
+  ['Address line 1', 'line1'],
+  ['Address line 2', 'line2'],
+  ['City', 'city'],
+  ['Region', 'region'],
+  ['Postal code', 'postalCode'],
+  ['Country code', 'country'],
+  ['Country', 'countryName'],
+  ['Email', 'email'],
+  ['Guest token', 'guestToken'],
+  ['Received at', 'receivedAt'],
+];
+
+const HOUSEHOLD_COLUMNS = [
+  ['Household', 'household'],
+  ['Guest token', 'token'],
+  ['Invited', 'invited'],
+  ['Plus one', 'plusOne'],
+  ['RSVP', 'rsvpStatus'],
+  ['Party size', 'partySize'],
+  ['Mailing address', 'addressStatus'],
+];
+
+const AWAITING_REPLY = 'Awaiting reply';
+
+/**
+ * Keeps the latest submission per guest token. Submissions without a token
+ * cannot be matched to a household and are all kept.
+ * @param {Object[]} records - Stored submissions, oldest first
+ * @returns {Object[]} Latest submissions, in the order they were received,
+ * each with the number of submissions it replaced included
+ */
+const getLatestByGuestToken = (records) => {
+  const latestByToken = new Map();
+  const countByToken = new Map();
+  records.forEach((record) => {
+    if (record.guestToken) {
+      latestByToken.set(record.guestToken, record);
+      countByToken.set(record.guestToken, (countByToken.get(record.guestToken) ?? 0) + 1);
+    }
+  });
+  return records
+    .filter((record) => !record.guestToken || latestByToken.get(record.guestToken) === record)
+    .map((record) => ({ ...record, submissionCount: countByToken.get(record.guestToken) ?? 1 }));
+};
+
+/**
+ * Looks up the label shown to guests for an attendance value
+ * @param {string} attending - Attendance value from an RSVP
+ * @returns {string} Attendance label
+ */
+const getAttendanceLabel = (attending) =>
+  guestResponses.RSVP_ATTENDANCE_OPTIONS.find(({ value }) => value === attending)?.label ?? attending;
+
+/**
+ * Prepares the latest RSVPs for display, naming the household each came from
+ * @param {Object[]} guests - Guest list entries
+ * @param {Object[]} rsvps - Stored RSVPs, oldest first
+ * @returns {Object[]} Latest RSVPs with household and attendance labels
+ */
+const getRsvpRows = (guests, rsvps) =>
+  getLatestByGuestToken(rsvps).map((rsvp) => ({
+    ...rsvp,
+    household: guests.find(({ token }) => token === rsvp.guestToken)?.household ?? '',
+    attendingLabel: getAttendanceLabel(rsvp.attending),
+  }));
+
+/**
+ * Works out where every household on the guest list stands
+ * @param {Object[]} guests - Guest list entries
+ * @param {Object[]} rsvps - Stored RSVPs, oldest first
+ * @param {Object[]} addresses - Stored addresses, oldest first
+ * @returns {Object[]} One status row per household, in guest list order
+ */
+const getHouseholdStatuses = (guests, rsvps, addresses) => {
+  const latestRsvps = getLatestByGuestToken(rsvps);
+  const latestAddresses = getLatestByGuestToken(addresses);
+
+  return guests.map((guest) => {
+    const rsvp = latestRsvps.find(({ guestToken }) => guestToken === guest.token) ?? null;
+    const address = latestAddresses.find(({ guestToken }) => guestToken === guest.token) ?? null;
+    return {
+      household: guest.household,
+      token: guest.token,
+      invited: guest.invited,
+      plusOne: guest.plusOne ? 'Yes' : 'No',
+      rsvp,
+      rsvpStatus: rsvp ? getAttendanceLabel(rsvp.attending) : AWAITING_REPLY,
+      partySize: rsvp?.attending === 'no' ? 0 : rsvp?.partySize ?? '',
+      address,
+      addressStatus: address ? guestResponses.formatMailingLabel(address).slice(1).join(', ') : 'Missing',
+    };
+  });
+};
+
+/**
+ * Totals the household statuses for the dashboard summary
+ * @param {Object[]} households - Rows from getHouseholdStatuses
+ * @returns {Object} Summary counts
+ */
+const summarizeHouseholds = (households) => ({
+  households: households.length,
+  replied: households.filter(({ rsvp }) => rsvp).length,
+  attendingGuests: households
+    .filter(({ rsvp }) => rsvp?.attending === 'yes')
+    .reduce((total, { rsvp }) => total + rsvp.partySize, 0),
+  declined: households.filter(({ rsvp }) => rsvp?.attending === 'no').length,
+  addresses: households.filter(({ address }) => address).length,
+});
+
+/**
+ * Quotes a CSV cell when needed. Cells that a spreadsheet would read as a
+ * formula are prefixed with an apostrophe.
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+const toCsvCell = (value) => {
+  let text = String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Formats records as CSV with a header row
+ * @param {Array<[string, string]>} columns - Column headings and the record field each reads
+ * @param {Object[]} records - Rows to write
+ * @returns {string} CSV document with CRLF line endings
+ */
+const toCsv = (columns, records) =>
+  [
+    columns.map(([heading]) => heading),
+    ...records.map((record) => columns.map(([, field]) => record[field])),
+  ]
+    .map((row) => row.map(toCsvCell).join(','))
+    .join('\r\n')
+    .concat('\r\n');
+
+/**
+ * Formats addresses as mailing labels separated by blank lines
+ * @param {Object[]} addresses - Address submissions
+ * @returns {string} Plain-text labels
+ */
+const toMailingLabels = (addresses) =>
+  addresses.map((address) => guestResponses.formatMailingLabel(address).join('\n')).join('\n\n').concat('\n');
+
+module.exports = {
+  RSVP_COLUMNS,
+  ADDRESS_COLUMNS,
+  HOUSEHOLD_COLUMNS,
+  getLatestByGuestToken,
+  getRsvpRows,
+  getHouseholdStatuses,
+  summarizeHouseholds,
+  toCsv,
+  toMailingLabels,
+};
@@ -0,0 +1,313 @@
+'use strict';
+
+/**
+ * Service worker that keeps the invitation usable on poor connections.
+ *
+ * The page, its scripts and styles, the gallery photos and the favicon are
+ * cached when the worker installs, so the details card and calendar
+ * downloads keep working offline. Pages, scripts, styles and data are
+ * fetched network first, falling back to the cache when the network fails
+ * or is too slow, so config updates reach returning visitors as soon as
+ * they are online. Images are served from the cache first. Videos are
+ * cached in the background when the page asks for it and are then served
+ * from the cache, including the byte ranges video players request.
+ *
+ * The generated section below is written by scripts/build-service-worker.js.
+ * Its cache versions are hashes of the cached files, so re-running the
+ * script after changing any of them makes browsers install a fresh copy and
+ * drop the old caches.
+ */
+
+// --- Generated by scripts/build-service-worker.js; do not edit by hand ---
+const CACHE_VERSION = '054144f49905';
+const VIDEO_CACHE_VERSION = '868675b113c9';
+const PRECACHE_URLS = [
+  'index.html',
+  'assets/css/bordered-gallery.css',
+  'assets/js/event-config.js',
+  'assets/js/ics-serializer.js',
+  'assets/js/event-calendar.js',
+  'assets/js/guest-responses.js',
+  'assets/js/gallery-manifest.js',
+  'assets/js/main.js',
+  'assets/favicon.png',
+  'assets/gallery/top_left.jpeg',
+  'assets/gallery/IMG_2336.jpeg',
+  'assets/gallery/top_right.jpeg',
+  'assets/gallery/left.jpeg',
+  'assets/gallery/right.jpeg',
+  'assets/gallery/bot_left.jpeg',
+  'assets/gallery/bot_mid.jpeg',
+  'assets/gallery/bot_right.jpeg',
+  'calendar/wedding-weekend.ics',
+];
+// --- End of generated section ---
+
+const CACHE_PREFIX = 'save-the-date-';
+const PRECACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+const VIDEO_CACHE_NAME = `${CACHE_PREFIX}videos-${VIDEO_CACHE_VERSION}`;
+const APP_SHELL_URL = 'index.html';
+// How long to wait for the network before answering from the cache
+const NETWORK_TIMEOUT_MS = 4000;
+// Paths under the scope that always go straight to the server
+const NETWORK_ONLY_PATHS = ['api/', 'admin'];
+
+const scopeUrl = new URL(self.registration.scope);
+
+/**
+ * Resolves a path against the worker's scope
+ * @param {string} path - Path relative to the site root
+ * @returns {string} Absolute URL
+ */
+const resolveUrl = (path) => new URL(path, scopeUrl).href;
+
+/**
+ * Gets a URL's path relative to the worker's scope
+ * @param {URL} url - Same-origin URL
+ * @returns {string} Relative path, e.g. "assets/js/main.js"
+ */
+const getScopePath = (url) => url.pathname.slice(scopeUrl.pathname.length);
+
+// =====================================================================
+// INSTALL & ACTIVATE
+// =====================================================================
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(PRECACHE_NAME)
+      // Bypass the HTTP cache so a new version never stores stale files
+      .then((cache) => cache.addAll(PRECACHE_URLS.map((url) => new Request(resolveUrl(url), { cache: 'reload' }))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(
+        names
+          .filter((name) => name.startsWith(CACHE_PREFIX) && name !== PRECACHE_NAME && name !== VIDEO_CACHE_NAME)
+          .map((name) => caches.delete(name))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// =====================================================================
+// FETCH STRATEGIES
+// =====================================================================
+
+/**
+ * Stores a copy of a successful response
+ * @param {FetchEvent} event - Event to keep alive while storing
+ * @param {string} cacheKey - URL to store the response under
+ * @param {Response} response - Response from the network
+ */
+const storeResponse = (event, cacheKey, response) => {
+  if (!response.ok || response.status !== 200) {
+    return;
+  }
+
+  const copy = response.clone();
+  event.waitUntil(caches.open(PRECACHE_NAME).then((cache) => cache.put(cacheKey, copy)));
+};
+
+/**
+ * Answers from the network, or from the cache when the network fails or
+ * takes longer than NETWORK_TIMEOUT_MS and a cached copy exists
+ * @param {FetchEvent} event - Fetch event
+ * @param {string} cacheKey - URL the response is cached under
+ * @returns {Promise<Response>} Response
+ */
+const networkFirst = (event, cacheKey) => {
+  const fromCache = () => caches.match(cacheKey);
+
+  return new Promise((resolve, reject) => {
+    let isSettled = false;
+    const settle = (response) => {
+      if (!isSettled && response) {
+        isSettled = true;
+        resolve(response);
+      }
+    };
+
+    const timeoutId = setTimeout(() => {
+      fromCache().then(settle);
+    }, NETWORK_TIMEOUT_MS);
+
+    fetch(event.request)
+      .then((response) => {
+        clearTimeout(timeoutId);
+        storeResponse(event, cacheKey, response);
+        settle(response);
+      })
+      .catch((error) => {
+        clearTimeout(timeoutId);
+        fromCache().then((cached) => {
+          if (cached) {
+            settle(cached);
+          } else if (!isSettled) {
+            reject(error);
+          }
+        });
+      });
+  });
+};
+
+/**
+ * Answers from the cache, fetching and caching on a miss
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>} Response
+ */
+const cacheFirst = (event) =>
+  caches.match(event.request).then((cached) => {
+    if (cached) {
+      return cached;
+    }
+    return fetch(event.request).then((response) => {
+      storeResponse(event, event.request.url, response);
+      return response;
+    });
+  });
+
+/**
+ * Serves the byte range a video player asked for from a complete cached
+ * response (RFC 7233)
+ * @param {Request} request - Request, possibly with a Range header
+ * @param {Response} cached - Complete cached response
+ * @returns {Promise<Response>} Full, partial or 416 response
+ */
+const createRangeResponse = (request, cached) => {
+  const range = request.headers.get('range');
+  if (!range) {
+    return Promise.resolve(cached);
+  }
+
+  return cached.blob().then((blob) => {
+    const size = blob.size;
+    const match = /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+    let start = NaN;
+    let end = size - 1;
+    if (match && match[1] !== '') {
+      start = Number(match[1]);
+      if (match[2] !== '') {
+        end = Math.min(Number(match[2]), size - 1);
+      }
+    } else if (match && match[2] !== '') {
+      // "bytes=-500" asks for the last 500 bytes
+      start = Math.max(size - Number(match[2]), 0);
+    }
+
+    if (!Number.isInteger(start) || start >= size || start > end) {
+      return new Response(null, {
+        status: 416,
+        statusText: 'Range Not Satisfiable',
+        headers: { 'Content-Range': `bytes */${size}` },
+      });
+    }
+
+    return new Response(blob.slice(start, end + 1), {
+      status: 206,
+      statusText: 'Partial Content',
+      headers: {
+        'Content-Type': cached.headers.get('Content-Type') || blob.type,
+        'Content-Range': `bytes ${start}-${end}/${size}`,
+        'Content-Length': String(end - start + 1),
+        'Accept-Ranges': 'bytes',
+      },
+    });
+  });
+};
+
+/**
+ * Serves a video from the background cache, or from the network when it
+ * has not been cached yet
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>} Response
+ */
+const serveVideo = (event) =>
+  caches.open(VIDEO_CACHE_NAME)
+    .then((cache) => cache.match(event.request.url, { ignoreVary: true }))
+    .then((cached) => (cached ? createRangeResponse(event.request, cached) : fetch(event.request)));
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== scopeUrl.origin) {
+    return;
+  }
+
+  const scopePath = getScopePath(url);
+  if (NETWORK_ONLY_PATHS.some((path) => scopePath.startsWith(path))) {
+    return;
+  }
+
+  if (request.destination === 'video') {
+    event.respondWith(serveVideo(event));
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    // Every stage and invite link is the same page
+    if (scopePath === '' || scopePath === APP_SHELL_URL) {
+      event.respondWith(networkFirst(event, resolveUrl(APP_SHELL_URL)));
+    }
+    return;
+  }
+
+  if (request.destination === 'image') {
+    event.respondWith(cacheFirst(event));
+    return;
+  }
+
+  event.respondWith(networkFirst(event, url.href));
+});
+
+// =====================================================================
+// BACKGROUND VIDEO CACHING
+// =====================================================================
+
+/**
+ * Downloads the videos the page chose for this device and drops any that
+ * are no longer wanted. Videos already cached are not downloaded again.
+ * @param {string[]} paths - Video URLs relative to the site root
+ * @returns {Promise} Settles when every download has finished or failed
+ */
+const cacheVideos = (paths) => {
+  const urls = paths
+    .map((path) => resolveUrl(path))
+    .filter((url) => new URL(url).origin === scopeUrl.origin);
+
+  return caches.open(VIDEO_CACHE_NAME).then((cache) =>
+    cache.keys()
+      .then((requests) => Promise.all(
+        requests
+          .filter((cachedRequest) => !urls.includes(cachedRequest.url))
+          .map((cachedRequest) => cache.delete(cachedRequest))
+      ))
+      .then(() => Promise.all(urls.map((url) =>
+        cache.match(url).then((cached) => {
+          if (cached) {
+            return undefined;
+          }
+          return fetch(url, { cache: 'reload' })
+            .then((response) => {
+              // Only complete files can answer later range requests
+              if (response.status === 200) {
+                return cache.put(url, response);
+              }
+              return undefined;
+            })
+            .catch(() => {
+              // Still offline or the file is missing - try again on the next visit
+            });
+        })
+      )))
+  );
+};
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'cache-videos' && Array.isArray(event.data.urls)) {
+    event.waitUntil(cacheVideos(event.data.urls));
+  }
+});
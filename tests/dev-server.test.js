@@ -0,0 +1,249 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { after, before, describe, it } = require('node:test');
+
+const { createServer } = require('../server/dev-server.js');
+
+const ADMIN_PASSWORD = 'correct horse';
+const GUEST_TOKEN = 'smith-family-7kq2mx';
+
+const VALID_RSVP = { guestToken: GUEST_TOKEN, name: 'Jo Smith', attending: 'yes', partySize: 2 };
+const VALID_ADDRESS = {
+  guestToken: GUEST_TOKEN,
+  name: '=HYPERLINK("https://example.com")',
+  country: 'US',
+  line1: '1 Main Street',
+  city: 'Portola',
+  region: 'CA',
+  postalCode: '96122',
+};
+
+let server;
+let dataDir;
+let baseUrl;
+
+/**
+ * Posts a JSON body to the server
+ * @param {string} pathname - Endpoint path
+ * @param {*} body - Body to send, serialized unless it is a string
+ * @param {Object} [headers] - Extra request headers
+ * @returns {Promise<Response>} Response
+ */
+const postJson = (pathname, body, headers = {}) =>
+  fetch(`${baseUrl}${pathname}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+  });
+
+/**
+ * Fetches an admin page with the given password
+ * @param {string} pathname - Admin path
+ * @param {string} [password] - Password to send; none when omitted
+ * @returns {Promise<Response>} Response
+ */
+const getAdmin = (pathname, password) =>
+  fetch(`${baseUrl}${pathname}`, {
+    headers: password === undefined
+      ? {}
+      : { Authorization: `Basic ${Buffer.from(`admin:${password}`).toString('base64')}` },
+  });
+
+before(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'save-the-date-'));
+  server = createServer({ dataDir, adminPassword: ADMIN_PASSWORD });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve();
+    });
+  });
+});
+
+after(() => {
+  server.closeAllConnections();
+  return new Promise((resolve) => server.close(resolve))
+    .then(() => fs.promises.rm(dataDir, { recursive: true, force: true }));
+});
+
+describe('GET /api/guest', () => {
+  it('answers with the guest matching the token', async () => {
+    const response = await fetch(`${baseUrl}/api/guest?token=${GUEST_TOKEN}`);
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), {
+      ok: true,
+      guest: { token: GUEST_TOKEN, household: 'the Smith Family', invited: 4, plusOne: false },
+    });
+  });
+
+  it('answers 404 for unknown and malformed tokens', async () => {
+    for (const token of ['nobody-000000', '../guests']) {
+      const response = await fetch(`${baseUrl}/api/guest?${new URLSearchParams({ token })}`);
+      assert.equal(response.status, 404);
+    }
+  });
+});
+
+describe('POST /api/rsvp', () => {
+  it('stores a valid reply', async () => {
+    const response = await postJson('/api/rsvp', VALID_RSVP);
+    assert.equal(response.status, 201);
+    const { ok, id } = await response.json();
+    assert.equal(ok, true);
+
+    const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'rsvps.json'), 'utf8'));
+    assert.equal(stored.at(-1).id, id);
+    assert.equal(stored.at(-1).guestToken, GUEST_TOKEN);
+  });
+
+  it('stores replies with unknown tokens as anonymous', async () => {
+    const response = await postJson('/api/rsvp', { ...VALID_RSVP, guestToken: 'nobody-000000' });
+    assert.equal(response.status, 201);
+    const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'rsvps.json'), 'utf8'));
+    assert.equal(stored.at(-1).guestToken, null);
+  });
+
+  it('answers 400 with field errors for an invalid reply', async () => {
+    const response = await postJson('/api/rsvp', { ...VALID_RSVP, partySize: 5, name: '' });
+    assert.equal(response.status, 400);
+    const body = await response.json();
+    assert.equal(body.ok, false);
+    assert.deepEqual(Object.keys(body.errors).sort(), ['name', 'partySize']);
+  });
+
+  it('answers 400 for a body that is not JSON', async () => {
+    const response = await postJson('/api/rsvp', '{"name":');
+    assert.equal(response.status, 400);
+  });
+
+  it('answers 415 for a body that is not declared as JSON', async () => {
+    const response = await postJson('/api/rsvp', VALID_RSVP, { 'Content-Type': 'text/plain' });
+    assert.equal(response.status, 415);
+  });
+
+  it('answers 413 for a body over the size limit', async () => {
+    const response = await postJson('/api/rsvp', { ...VALID_RSVP, message: 'a'.repeat(40 * 1024) });
+    assert.equal(response.status, 413);
+    assert.equal(response.headers.get('connection'), 'close');
+    assert.equal((await response.json()).ok, false);
+  });
+
+  it('answers 405 for other methods', async () => {
+    const response = await fetch(`${baseUrl}/api/rsvp`);
+    assert.equal(response.status, 405);
+    assert.equal(response.headers.get('allow'), 'POST');
+  });
+});
+
+describe('POST /api/address', () => {
+  it('stores a valid address', async () => {
+    const response = await postJson('/api/address', VALID_ADDRESS);
+    assert.equal(response.status, 201);
+    const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'addresses.json'), 'utf8'));
+    assert.equal(stored.at(-1).countryName, 'United States');
+  });
+
+  it('answers 400 with field errors for an invalid address', async () => {
+    const response = await postJson('/api/address', { ...VALID_ADDRESS, postalCode: 'nope' });
+    assert.equal(response.status, 400);
+    assert.deepEqual(Object.keys((await response.json()).errors), ['postalCode']);
+  });
+});
+
+describe('admin', () => {
+  it('asks for the password', async () => {
+    const response = await getAdmin('/admin');
+    assert.equal(response.status, 401);
+    assert.match(response.headers.get('www-authenticate'), /^Basic realm=/);
+  });
+
+  it('rejects a wrong password', async () => {
+    assert.equal((await getAdmin('/admin', 'wrong')).status, 401);
+    assert.equal((await getAdmin('/admin/export/rsvps.csv', '')).status, 401);
+  });
+
+  it('serves the dashboard uncached and unindexed', async () => {
+    const response = await getAdmin('/admin', ADMIN_PASSWORD);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('cache-control'), 'no-store');
+    assert.equal(response.headers.get('x-robots-tag'), 'noindex, nofollow');
+    assert.ok(response.headers.get('content-security-policy'));
+    assert.match(await response.text(), /the Smith Family/);
+  });
+
+  it('exports the latest RSVP per household', async () => {
+    const response = await getAdmin('/admin/export/rsvps.csv', ADMIN_PASSWORD);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/csv/);
+    assert.equal(response.headers.get('content-disposition'), 'attachment; filename="rsvps.csv"');
+    const rows = (await response.text()).trim().split('\r\n');
+    assert.equal(rows.filter((row) => row.includes(GUEST_TOKEN)).length, 1);
+  });
+
+  it('exports addresses with formulas neutralized', async () => {
+    const response = await getAdmin('/admin/export/addresses.csv', ADMIN_PASSWORD);
+    const [, row] = (await response.text()).split('\r\n');
+    assert.ok(row.startsWith('"\'=HYPERLINK(""https://example.com"")"'), row);
+  });
+
+  it('exports households and mailing labels', async () => {
+    const households = await getAdmin('/admin/export/households.csv', ADMIN_PASSWORD);
+    assert.match(await households.text(), /^Household,/);
+
+    const labels = await getAdmin('/admin/export/labels.txt', ADMIN_PASSWORD);
+    assert.equal(labels.headers.get('content-disposition'), 'attachment; filename="mailing-labels.txt"');
+    assert.match(await labels.text(), /1 Main Street\nPortola, CA 96122\n/);
+  });
+
+  it('is not served at all without an admin password', async () => {
+    const unprotected = createServer({ dataDir });
+    await new Promise((resolve) => unprotected.listen(0, '127.0.0.1', resolve));
+    try {
+      const response = await fetch(`http://127.0.0.1:${unprotected.address().port}/admin`);
+      assert.equal(response.status, 404);
+    } finally {
+      unprotected.closeAllConnections();
+      await new Promise((resolve) => unprotected.close(resolve));
+    }
+  });
+});
+
+describe('static files', () => {
+  it('serves the site', async () => {
+    const response = await fetch(`${baseUrl}/`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/html/);
+  });
+
+  it('never serves private files', async () => {
+    for (const pathname of ['/server/guests.json', '/package.json', '/.git/config', '/tests/reports.test.js']) {
+      assert.equal((await fetch(`${baseUrl}${pathname}`)).status, 404, pathname);
+    }
+  });
+
+  it('never serves submissions stored inside the site', async () => {
+    const publicDataDir = fs.mkdtempSync(path.join(__dirname, '..', 'assets', 'data-'));
+    const exposed = createServer({ dataDir: path.relative(process.cwd(), publicDataDir) });
+    await new Promise((resolve) => exposed.listen(0, '127.0.0.1', resolve));
+    try {
+      const exposedUrl = `http://127.0.0.1:${exposed.address().port}`;
+      const stored = await fetch(`${exposedUrl}/api/rsvp`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(VALID_RSVP),
+      });
+      assert.equal(stored.status, 201);
+
+      const pathname = `/assets/${path.basename(publicDataDir)}/rsvps.json`;
+      assert.equal((await fetch(`${exposedUrl}${pathname}`)).status, 404);
+    } finally {
+      exposed.closeAllConnections();
+      await new Promise((resolve) => exposed.close(resolve));
+      await fs.promises.rm(publicDataDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const config = require('../assets/js/event-config.js');
+const eventCalendar = require('../assets/js/event-calendar.js');
+const { parseCalendar, getProperty, unescapeText } = require('./ics-parser.js');
+
+const TIMESTAMP = new Date('2026-01-02T03:04:05Z');
+
+/**
+ * Generates the whole-weekend calendar file for a config and parses it back
+ * @param {Object} eventConfig - Event configuration object
+ * @returns {Object} Raw data and the parsed VCALENDAR component
+ */
+const generateWeekendCalendar = (eventConfig) => {
+  const data = eventCalendar.createCalendarIcsContent(
+    eventCalendar.getCalendarEntriesForScope(eventConfig, eventCalendar.CALENDAR_SCOPE_WEEKEND),
+    {
+      timeZone: eventConfig.timeZone,
+      reminders: eventCalendar.getCalendarReminders(eventConfig),
+      timestamp: TIMESTAMP,
+    }
+  );
+  return { data, calendar: parseCalendar(data) };
+};
+
+const getText = (component, name) => unescapeText(getProperty(component, name).value);
+const getEvents = (calendar) => calendar.components.filter(({ name }) => name === 'VEVENT');
+
+describe('createCalendarIcsContent', () => {
+  it('writes CRLF terminated lines of at most 75 octets', () => {
+    const { data } = generateWeekendCalendar(config);
+    assert.ok(data.endsWith('\r\n'));
+    assert.doesNotMatch(data, /[^\r]\n/);
+    data.split('\r\n').forEach((line) => {
+      assert.ok(Buffer.byteLength(line, 'utf8') <= 75, `${line} is too long`);
+    });
+  });
+
+  it('describes the calendar and its time zone', () => {
+    const { calendar } = generateWeekendCalendar(config);
+    assert.equal(calendar.name, 'VCALENDAR');
+    assert.equal(getProperty(calendar, 'VERSION').value, '2.0');
+    assert.equal(getProperty(calendar, 'METHOD').value, 'PUBLISH');
+
+    const timeZones = calendar.components.filter(({ name }) => name === 'VTIMEZONE');
+    assert.equal(timeZones.length, 1);
+    assert.equal(getProperty(timeZones[0], 'TZID').value, config.timeZone);
+  });
+
+  it('round-trips every itinerary event from the config', () => {
+    const { calendar } = generateWeekendCalendar(config);
+    const events = getEvents(calendar);
+    assert.equal(events.length, config.itinerary.length);
+
+    config.itinerary.forEach((item) => {
+      const event = events.find((candidate) => getText(candidate, 'UID') === item.uid);
+      assert.ok(event, `no VEVENT for ${item.uid}`);
+
+      assert.equal(
+        getText(event, 'SUMMARY'),
+        `${item.title}: ${config.couple.firstName} & ${config.couple.secondName}`
+      );
+      assert.equal(
+        getText(event, 'DESCRIPTION'),
+        `${item.description} Visit ${config.links.website} for details.`
+      );
+      assert.equal(
+        getText(event, 'LOCATION'),
+        item.location ?? `${config.venue.name}, ${config.venue.streetAddress}`
+      );
+      assert.equal(getProperty(event, 'URL').value, new URL(config.links.website).href);
+
+      const start = getProperty(event, 'DTSTART');
+      assert.deepEqual(start.params, { TZID: config.timeZone });
+      assert.equal(start.value, `${item.date.replace(/-/g, '')}T${item.startTime.replace(':', '')}00`);
+      const end = getProperty(event, 'DTEND');
+      assert.deepEqual(end.params, { TZID: config.timeZone });
+      assert.equal(end.value, `${item.date.replace(/-/g, '')}T${item.endTime.replace(':', '')}00`);
+
+      assert.equal(getProperty(event, 'DTSTAMP').value, '20260102T030405Z');
+    });
+  });
+
+  it('attaches the configured reminders to the first event only', () => {
+    const { calendar } = generateWeekendCalendar(config);
+    const [firstEvent, ...otherEvents] = getEvents(calendar);
+
+    const alarms = firstEvent.components.filter(({ name }) => name === 'VALARM');
+    assert.deepEqual(
+      alarms.map((alarm) => ({
+        trigger: getProperty(alarm, 'TRIGGER').value,
+        message: getText(alarm, 'DESCRIPTION'),
+      })),
+      config.reminders.map(({ daysBefore, message }) => ({ trigger: `-P${daysBefore}D`, message }))
+    );
+    otherEvents.forEach((event) => assert.deepEqual(event.components, []));
+  });
+
+  it('round-trips text that needs escaping and folding', () => {
+    const description = 'Brunch; coffee, tea \\ juice\nCafé ünïcode – 🎉 '.repeat(6);
+    const location = 'The Lodge, Room 1; "Upstairs"';
+    const editedConfig = {
+      ...config,
+      itinerary: [{ ...config.itinerary[0], description, location }],
+    };
+
+    const { data, calendar } = generateWeekendCalendar(editedConfig);
+    const [event] = getEvents(calendar);
+    assert.match(data, /\r\n /, 'expected folded lines');
+    assert.equal(getText(event, 'DESCRIPTION'), `${description} Visit ${config.links.website} for details.`);
+    assert.equal(getText(event, 'LOCATION'), location);
+  });
+
+  it('writes the all-day weekend entry when there is no itinerary', () => {
+    const { calendar } = generateWeekendCalendar({ ...config, itinerary: [] });
+    const [event, ...rest] = getEvents(calendar);
+    assert.equal(rest.length, 0);
+    assert.equal(getText(event, 'UID'), config.weekend.uid);
+    assert.equal(getText(event, 'SUMMARY'), config.weekend.title);
+    assert.deepEqual(getProperty(event, 'DTSTART').params, { VALUE: 'DATE' });
+    assert.equal(getProperty(event, 'DTSTART').value, config.weekend.startDate.replace(/-/g, ''));
+    assert.equal(getProperty(event, 'DTEND').value, config.weekend.endDateExclusive.replace(/-/g, ''));
+    assert.equal(calendar.components.filter(({ name }) => name === 'VTIMEZONE').length, 0);
+  });
+});
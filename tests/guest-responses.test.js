@@ -0,0 +1,158 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const {
+  RSVP_LIMITS,
+  ADDRESS_LIMITS,
+  getMaxPartySize,
+  validateRsvp,
+  validateAddress,
+  formatMailingLabel,
+} = require('../assets/js/guest-responses.js');
+
+const VALID_RSVP = {
+  guestToken: 'smith-family-7kq2mx',
+  name: '  Jo Smith ',
+  attending: 'yes',
+  partySize: '2',
+  email: 'jo@example.com',
+  message: 'See you there!',
+};
+
+const VALID_ADDRESS = {
+  guestToken: 'smith-family-7kq2mx',
+  name: 'The Smith Family',
+  country: 'US',
+  line1: '1 Main Street',
+  line2: '',
+  city: 'Portola',
+  region: 'CA',
+  postalCode: '96122',
+  email: '',
+};
+
+describe('getMaxPartySize', () => {
+  it('allows the invited count plus a plus-one', () => {
+    assert.equal(getMaxPartySize({ invited: 2, plusOne: false }), 2);
+    assert.equal(getMaxPartySize({ invited: 1, plusOne: true }), 2);
+  });
+
+  it('treats a malformed invited count as one guest', () => {
+    assert.equal(getMaxPartySize({ invited: 0 }), 1);
+    assert.equal(getMaxPartySize({ invited: '3', plusOne: 'yes' }), 1);
+  });
+
+  it('falls back to the general limit without a guest list entry', () => {
+    assert.equal(getMaxPartySize(undefined), RSVP_LIMITS.partySize);
+  });
+});
+
+describe('validateRsvp', () => {
+  it('normalizes a valid reply', () => {
+    const { errors, rsvp } = validateRsvp(VALID_RSVP, { maxPartySize: 4 });
+    assert.deepEqual(errors, {});
+    assert.deepEqual(rsvp, {
+      guestToken: 'smith-family-7kq2mx',
+      name: 'Jo Smith',
+      attending: 'yes',
+      partySize: 2,
+      email: 'jo@example.com',
+      message: 'See you there!',
+    });
+  });
+
+  it('reports every missing or malformed field', () => {
+    const { errors } = validateRsvp({ attending: 'perhaps', partySize: 'two', email: 'not-an-email' });
+    assert.deepEqual(Object.keys(errors).sort(), ['attending', 'email', 'name', 'partySize']);
+  });
+
+  it('keeps the party size within the guest list allowance', () => {
+    assert.ok(validateRsvp({ ...VALID_RSVP, partySize: 3 }, { maxPartySize: 2 }).errors.partySize);
+    assert.ok(validateRsvp({ ...VALID_RSVP, partySize: 1.5 }).errors.partySize);
+    assert.equal(
+      validateRsvp({ ...VALID_RSVP, partySize: 2 }, { maxPartySize: 1 }).errors.partySize,
+      'This invitation is for one guest.'
+    );
+  });
+
+  it('ignores the party size of a declined invitation', () => {
+    const { errors, rsvp } = validateRsvp({ ...VALID_RSVP, attending: 'no', partySize: 'none' });
+    assert.deepEqual(errors, {});
+    assert.equal(rsvp.partySize, 0);
+  });
+
+  it('enforces the length limits', () => {
+    const { errors } = validateRsvp({
+      ...VALID_RSVP,
+      name: 'a'.repeat(RSVP_LIMITS.nameLength + 1),
+      email: `${'a'.repeat(RSVP_LIMITS.emailLength)}@example.com`,
+      message: 'a'.repeat(RSVP_LIMITS.messageLength + 1),
+    });
+    assert.deepEqual(Object.keys(errors).sort(), ['email', 'message', 'name']);
+  });
+
+  it('drops malformed guest tokens and non-string fields', () => {
+    const { rsvp } = validateRsvp({ ...VALID_RSVP, guestToken: '../guests', message: { text: 'hi' } });
+    assert.equal(rsvp.guestToken, null);
+    assert.equal(rsvp.message, '');
+  });
+
+  it('rejects a missing body', () => {
+    assert.ok(validateRsvp(null).errors.name);
+  });
+});
+
+describe('validateAddress', () => {
+  it('normalizes a valid domestic address', () => {
+    const { errors, address } = validateAddress(VALID_ADDRESS);
+    assert.deepEqual(errors, {});
+    assert.equal(address.countryName, 'United States');
+    assert.equal(address.guestToken, 'smith-family-7kq2mx');
+  });
+
+  it('requires the fields the country needs', () => {
+    const { errors } = validateAddress({ ...VALID_ADDRESS, name: '', line1: ' ', city: '', region: '', postalCode: '' });
+    assert.deepEqual(Object.keys(errors).sort(), ['city', 'line1', 'name', 'postalCode', 'region']);
+  });
+
+  it('checks and upper-cases postal codes against the country pattern', () => {
+    assert.ok(validateAddress({ ...VALID_ADDRESS, postalCode: '9612' }).errors.postalCode);
+
+    const { errors, address } = validateAddress({
+      ...VALID_ADDRESS,
+      country: 'GB',
+      region: '',
+      postalCode: 'sw1a   1aa',
+    });
+    assert.deepEqual(errors, {});
+    assert.equal(address.postalCode, 'SW1A 1AA');
+  });
+
+  it('asks for the country name when it is not in the list', () => {
+    assert.ok(validateAddress({ ...VALID_ADDRESS, country: 'OTHER' }).errors.countryName);
+    assert.ok(validateAddress({ ...VALID_ADDRESS, country: 'ZZ' }).errors.country);
+
+    const { errors, address } = validateAddress({ ...VALID_ADDRESS, country: 'OTHER', countryName: 'Japan' });
+    assert.deepEqual(errors, {});
+    assert.equal(address.countryName, 'Japan');
+  });
+
+  it('enforces the email length limit', () => {
+    const email = `${'a'.repeat(ADDRESS_LIMITS.emailLength)}@example.com`;
+    assert.ok(validateAddress({ ...VALID_ADDRESS, email }).errors.email);
+  });
+});
+
+describe('formatMailingLabel', () => {
+  it('omits the country line for domestic addresses', () => {
+    const { address } = validateAddress({ ...VALID_ADDRESS, line2: 'Apt 2' });
+    assert.deepEqual(formatMailingLabel(address), ['The Smith Family', '1 Main Street', 'Apt 2', 'Portola, CA 96122']);
+  });
+
+  it('lays out foreign addresses the local way', () => {
+    const { address } = validateAddress({ ...VALID_ADDRESS, country: 'DE', region: '', postalCode: '10115', city: 'Berlin' });
+    assert.deepEqual(formatMailingLabel(address), ['The Smith Family', '1 Main Street', '10115 Berlin', 'GERMANY']);
+  });
+});
@@ -0,0 +1,116 @@
+'use strict';
+
+/**
+ * Small RFC 5545 reader used by the tests to check that generated calendar
+ * data round-trips. It unfolds lines, splits properties into name,
+ * parameters and value, decodes RFC 6868 parameter values and nests
+ * components. It is deliberately independent of assets/js/ics-serializer.js.
+ */
+
+const LINE_BREAK = '\r\n';
+
+/**
+ * Joins folded continuation lines back onto the line they belong to
+ * @param {string} data - iCalendar data
+ * @returns {string[]} Unfolded content lines
+ */
+const unfoldLines = (data) =>
+  data
+    .replace(/\r\n[ \t]/g, '')
+    .split(LINE_BREAK)
+    .filter((line) => line !== '');
+
+/**
+ * Decodes an RFC 6868 caret-encoded parameter value
+ * @param {string} value - Encoded value without surrounding quotes
+ * @returns {string} Decoded value
+ */
+const decodeParameterValue = (value) =>
+  value.replace(/\^(\^|n|')/g, (match, code) => ({ '^': '^', n: '\n', "'": '"' })[code]);
+
+/**
+ * Reverses TEXT escaping (RFC 5545 section 3.3.11)
+ * @param {string} value - Escaped text value
+ * @returns {string} Plain text
+ */
+const unescapeText = (value) =>
+  value.replace(/\\([\\;,nN])/g, (match, character) => (character.toLowerCase() === 'n' ? '\n' : character));
+
+/**
+ * Splits a content line into its name, parameters and raw value
+ * @param {string} line - Unfolded content line
+ * @returns {Object} Property with name, params and value
+ */
+const parseContentLine = (line) => {
+  const nameMatch = /^[A-Za-z0-9-]+/.exec(line);
+  if (!nameMatch) {
+    throw new SyntaxError(`Invalid content line: ${line}`);
+  }
+
+  const params = {};
+  let position = nameMatch[0].length;
+  while (line[position] === ';') {
+    const paramMatch = /^;([A-Za-z0-9-]+)=("[^"]*"|[^";:,]*)/.exec(line.slice(position));
+    if (!paramMatch) {
+      throw new SyntaxError(`Invalid parameter in: ${line}`);
+    }
+    const [text, paramName, rawValue] = paramMatch;
+    const unquoted = rawValue.startsWith('"') ? rawValue.slice(1, -1) : rawValue;
+    params[paramName.toUpperCase()] = decodeParameterValue(unquoted);
+    position += text.length;
+  }
+
+  if (line[position] !== ':') {
+    throw new SyntaxError(`Missing value in: ${line}`);
+  }
+
+  return { name: nameMatch[0].toUpperCase(), params, value: line.slice(position + 1) };
+};
+
+/**
+ * Parses iCalendar data into nested components
+ * @param {string} data - iCalendar data
+ * @returns {Object} Top-level component with name, properties and components
+ */
+const parseCalendar = (data) => {
+  const stack = [{ name: null, properties: [], components: [] }];
+
+  unfoldLines(data).forEach((line) => {
+    const property = parseContentLine(line);
+    const current = stack[stack.length - 1];
+    if (property.name === 'BEGIN') {
+      const component = { name: property.value, properties: [], components: [] };
+      current.components.push(component);
+      stack.push(component);
+    } else if (property.name === 'END') {
+      if (current.name !== property.value) {
+        throw new SyntaxError(`END:${property.value} does not close ${current.name}`);
+      }
+      stack.pop();
+    } else {
+      current.properties.push(property);
+    }
+  });
+
+  if (stack.length !== 1 || stack[0].components.length !== 1) {
+    throw new SyntaxError('Expected a single, closed top-level component');
+  }
+  return stack[0].components[0];
+};
+
+/**
+ * Finds the first property with a name in a parsed component
+ * @param {Object} component - Parsed component
+ * @param {string} name - Property name
+ * @returns {Object|undefined} Property
+ */
+const getProperty = (component, name) => component.properties.find((property) => property.name === name);
+
+module.exports = {
+  unfoldLines,
+  decodeParameterValue,
+  unescapeText,
+  parseContentLine,
+  parseCalendar,
+  getProperty,
+};
@@ -0,0 +1,151 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const {
+  escapeText,
+  escapeUri,
+  formatParameterValue,
+  foldLine,
+  serializeProperty,
+  textProperty,
+} = require('../assets/js/ics-serializer.js');
+const { unfoldLines, parseContentLine, unescapeText } = require('./ics-parser.js');
+
+const getOctets = (text) => Buffer.byteLength(text, 'utf8');
+
+/**
+ * Checks the folding rules every physical line must satisfy
+ * @param {string} folded - Output of foldLine
+ * @param {string} original - Line before folding
+ */
+const assertValidFolding = (folded, original) => {
+  const physicalLines = folded.split('\r\n');
+  physicalLines.forEach((physicalLine, index) => {
+    assert.ok(getOctets(physicalLine) <= 75, `line ${index} is ${getOctets(physicalLine)} octets`);
+    if (index > 0) {
+      assert.equal(physicalLine[0], ' ');
+    }
+    // A lone surrogate means a character was split across lines
+    assert.ok(physicalLine.isWellFormed(), `line ${index} splits a character`);
+  });
+  assert.deepEqual(unfoldLines(`${folded}\r\n`), [original]);
+};
+
+describe('foldLine', () => {
+  it('leaves a line of exactly 75 octets alone', () => {
+    const line = 'a'.repeat(75);
+    assert.equal(foldLine(line), line);
+  });
+
+  it('folds the 76th octet onto a continuation line', () => {
+    const line = 'a'.repeat(76);
+    assert.equal(foldLine(line), `${'a'.repeat(75)}\r\n a`);
+  });
+
+  it('counts the leading space of continuation lines towards the limit', () => {
+    const folded = foldLine('b'.repeat(75 + 74 + 1));
+    assert.deepEqual(folded.split('\r\n').map(getOctets), [75, 75, 2]);
+  });
+
+  it('moves a two-octet character that would cross the limit to the next line', () => {
+    const line = `${'a'.repeat(74)}é`;
+    assert.equal(foldLine(line), `${'a'.repeat(74)}\r\n é`);
+    assertValidFolding(foldLine(line), line);
+  });
+
+  it('moves a three-octet character that would cross the limit to the next line', () => {
+    const line = `${'a'.repeat(73)}€`;
+    assert.equal(foldLine(line), `${'a'.repeat(73)}\r\n €`);
+  });
+
+  it('keeps four-octet characters and surrogate pairs intact', () => {
+    const line = `${'a'.repeat(72)}😀😀`;
+    assert.equal(foldLine(line), `${'a'.repeat(72)}\r\n 😀😀`);
+    assertValidFolding(foldLine(line), line);
+  });
+
+  it('folds long multi-byte text on character boundaries', () => {
+    const line = `DESCRIPTION:${'Café ünïcode – 🎉 '.repeat(20)}`;
+    assertValidFolding(foldLine(line), line);
+  });
+});
+
+describe('escapeText', () => {
+  it('escapes backslashes, semicolons and commas', () => {
+    assert.equal(escapeText('a\\b;c,d'), 'a\\\\b\\;c\\,d');
+  });
+
+  it('escapes the backslash before the characters it introduces', () => {
+    assert.equal(escapeText('\\n'), '\\\\n');
+  });
+
+  it('turns every line break style into an escaped newline', () => {
+    assert.equal(escapeText('one\r\ntwo\rthree\nfour'), 'one\\ntwo\\nthree\\nfour');
+  });
+
+  it('drops control characters but keeps tabs', () => {
+    assert.equal(escapeText('a\u0007b\tc\u007F'), 'ab\tc');
+  });
+
+  it('treats missing values as empty text', () => {
+    assert.equal(escapeText(undefined), '');
+    assert.equal(escapeText(null), '');
+  });
+
+  it('round-trips through a parser', () => {
+    const text = 'Drinks; snacks, and a \\ backslash\r\nSecond line';
+    const { value } = parseContentLine(serializeProperty(textProperty('DESCRIPTION', text)));
+    assert.equal(unescapeText(value), text.replace('\r\n', '\n'));
+  });
+});
+
+describe('escapeUri', () => {
+  it('leaves absolute URLs untouched apart from normalization', () => {
+    assert.equal(escapeUri('https://becomingcummings.love'), 'https://becomingcummings.love/');
+    assert.equal(escapeUri('https://example.com/a?b=c;d,e'), 'https://example.com/a?b=c;d,e');
+  });
+
+  it('does not backslash escape URI values', () => {
+    assert.doesNotMatch(escapeUri('https://example.com/a,b;c'), /\\/);
+  });
+
+  it('percent-encodes spaces and non-ASCII characters', () => {
+    assert.equal(escapeUri(' https://example.com/a b/café '), 'https://example.com/a%20b/caf%C3%A9');
+  });
+
+  it('percent-encodes text that is not a URL and drops control characters', () => {
+    assert.equal(escapeUri('not a\nurl'), 'not%20aurl');
+  });
+});
+
+describe('formatParameterValue (RFC 6868)', () => {
+  it('leaves plain values unquoted', () => {
+    assert.equal(formatParameterValue('America/Los_Angeles'), 'America/Los_Angeles');
+  });
+
+  it('quotes values containing ":", ";" or ","', () => {
+    assert.equal(formatParameterValue('mailto:a@example.com'), '"mailto:a@example.com"');
+    assert.equal(formatParameterValue('a;b'), '"a;b"');
+    assert.equal(formatParameterValue('Smith, Jo'), '"Smith, Jo"');
+  });
+
+  it('caret-encodes carets, newlines and double quotes', () => {
+    assert.equal(formatParameterValue('a^b'), 'a^^b');
+    assert.equal(formatParameterValue('one\r\ntwo\nthree'), 'one^ntwo^nthree');
+    assert.equal(formatParameterValue('the "lodge"'), "the ^'lodge^'");
+  });
+
+  it('round-trips through a parser', () => {
+    const values = {
+      CN: 'Smith, "Jo" ^ Co',
+      ALTREP: 'https://example.com/a;b',
+      'X-NOTE': 'line one\nline two',
+    };
+    const line = serializeProperty({ name: 'ATTENDEE', params: values, value: 'mailto:jo@example.com' });
+    const parsed = parseContentLine(line);
+    assert.deepEqual(parsed.params, values);
+    assert.equal(parsed.value, 'mailto:jo@example.com');
+  });
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const reports = require('../server/reports.js');
+
+const GUESTS = [
+  { token: 'smith-family-7kq2mx', household: 'the Smith Family', invited: 4, plusOne: false },
+  { token: 'garcia-r4t8pw', household: 'Maria Garcia', invited: 1, plusOne: true },
+];
+
+const RSVPS = [
+  { id: '1', guestToken: 'smith-family-7kq2mx', name: 'Jo', attending: 'maybe', partySize: 2 },
+  { id: '2', guestToken: null, name: 'Anonymous', attending: 'yes', partySize: 1 },
+  { id: '3', guestToken: 'smith-family-7kq2mx', name: 'Jo', attending: 'yes', partySize: 3 },
+  { id: '4', guestToken: null, name: 'Someone else', attending: 'no', partySize: 0 },
+];
+
+describe('getLatestByGuestToken', () => {
+  it('keeps the latest submission per token and every anonymous one', () => {
+    const latest = reports.getLatestByGuestToken(RSVPS);
+    assert.deepEqual(latest.map(({ id }) => id), ['2', '3', '4']);
+    assert.deepEqual(latest.map(({ submissionCount }) => submissionCount), [1, 2, 1]);
+  });
+});
+
+describe('getHouseholdStatuses', () => {
+  it('reports each household against the guest list', () => {
+    const address = {
+      guestToken: 'garcia-r4t8pw',
+      name: 'Maria Garcia',
+      country: 'US',
+      countryName: 'United States',
+      line1: '1 Main Street',
+      city: 'Portola',
+      region: 'CA',
+      postalCode: '96122',
+    };
+    const [smith, garcia] = reports.getHouseholdStatuses(GUESTS, RSVPS, [address]);
+
+    assert.equal(smith.rsvpStatus, 'Joyfully accepts');
+    assert.equal(smith.partySize, 3);
+    assert.equal(smith.addressStatus, 'Missing');
+    assert.equal(garcia.rsvpStatus, 'Awaiting reply');
+    assert.equal(garcia.plusOne, 'Yes');
+    assert.equal(garcia.addressStatus, '1 Main Street, Portola, CA 96122');
+
+    assert.deepEqual(reports.summarizeHouseholds([smith, garcia]), {
+      households: 2,
+      replied: 1,
+      attendingGuests: 3,
+      declined: 0,
+      addresses: 1,
+    });
+  });
+});
+
+describe('toCsv', () => {
+  const columns = [['Name', 'name'], ['Message', 'message']];
+
+  it('writes a header row and CRLF line endings', () => {
+    assert.equal(reports.toCsv(columns, [{ name: 'Jo' }]), 'Name,Message\r\nJo,\r\n');
+  });
+
+  it('quotes commas, quotes and line breaks', () => {
+    assert.equal(
+      reports.toCsv(columns, [{ name: 'Smith, Jo', message: 'Say "hi"\nsoon' }]).split('\r\n')[1],
+      '"Smith, Jo","Say ""hi""\nsoon"'
+    );
+  });
+
+  it('keeps spreadsheets from reading cells as formulas', () => {
+    const rows = ['=SUM(A1)', '+1', '-1', '@cmd', '\tTab'].map((name) => ({ name }));
+    const cells = reports.toCsv(columns, rows).split('\r\n').slice(1, -1).map((line) => line.split(',')[0]);
+    assert.deepEqual(cells, ["'=SUM(A1)", "'+1", "'-1", "'@cmd", "'\tTab"]);
+  });
+});
+
+describe('toMailingLabels', () => {
+  it('separates labels with blank lines', () => {
+    const address = { name: 'Jo', line1: '1 Main Street', city: 'Berlin', postalCode: '10115', country: 'DE', countryName: 'Germany' };
+    assert.equal(
+      reports.toMailingLabels([address, { ...address, name: 'Sam' }]),
+      'Jo\n1 Main Street\n10115 Berlin\nGERMANY\n\nSam\n1 Main Street\n10115 Berlin\nGERMANY\n'
+    );
+  });
+});